@@ -9,15 +9,19 @@
 #include <HTTPClient.h>
 #include <ArduinoJson.h>
 #include <WebServer.h>
+#include <uri/UriBraces.h>
 #include <ESPmDNS.h>
 #include <Preferences.h>
 #include <DNSServer.h>
 #include <LittleFS.h>
+#include <PubSubClient.h>
+#include <mbedtls/md.h>
 #include <ESP.h>
 #include <math.h>
 #include "include/user_settings.h" // WIFI_SSID, WIFI_PASSWORD, HOME_LAT, HOME_LON, LOC_TOKEN (empty OK)
 
 // ----------------- CONFIG -----------------
+// RADIUS_KM, HYST_KM, FETCH_INTERVAL_MS, ISS_BEEP_HZ and LOC_TOKEN are defaults; /settings.json overrides them at runtime
 constexpr double RADIUS_KM = 800.0;
 constexpr double HYST_KM = 200.0;
 constexpr uint32_t FETCH_INTERVAL_MS = 5000;
@@ -37,23 +41,71 @@ constexpr uint16_t ISS_BEEP_HZ = 2300;
 constexpr uint16_t ISS_BEEP_MS = 120;
 
 constexpr uint32_t WIFI_CONNECT_TIMEOUT_MS = 20000;
+constexpr uint32_t WIFI_RETRY_EXTRA_MS = 15000; // the last retry of the preferred network waits longer (slow DHCP, hidden SSID)
+constexpr uint32_t WIFI_SCAN_TIMEOUT_MS = 10000;
 constexpr uint32_t WIFI_STALE_REVERT_MS = 45000;
+constexpr uint8_t MAX_WIFI_NETS = 5; // saved networks, tried in priority order
+
+constexpr uint32_t TLE_REFRESH_MS = 12UL * 3600UL * 1000UL; // TLE cache lifetime
+constexpr uint32_t TLE_RETRY_MS = 5UL * 60UL * 1000UL;      // retry after a failed TLE fetch
+
+constexpr uint8_t MAX_SSE_CLIENTS = 4;      // concurrent /events subscribers
+constexpr uint32_t SSE_KEEPALIVE_MS = 15000; // comment line so proxies/browsers keep the stream open
+
+constexpr uint8_t MAX_SATS = 8; // NORAD IDs the web dashboard tracks (ISS always first)
+constexpr uint8_t MAX_OBSERVERS = 6;      // named observer locations
+constexpr uint8_t OBSERVER_NAME_MAX = 24; // characters
+
+constexpr uint8_t TILE_MAX_ZOOM = 2;             // deepest /tiles zoom served; fetch_tiles.sh reads its limit from here
+constexpr uint32_t TILE_MAX_AGE_S = 30UL * 86400UL; // browsers may keep bundled tiles for a month
+
+constexpr uint32_t TRACK_BUDGET_BYTES = 192UL * 1024UL; // LittleFS kept for the track; upload_littlefs.sh reserves it too
+constexpr uint32_t TRACK_STEP_S = 30;                   // at most one persisted fix per 30 s (~180 KB/day)
+
+constexpr uint16_t MQTT_PORT = 1883;
+constexpr uint32_t MQTT_RETRY_MIN_MS = 5000;   // reconnect backoff, doubling per failure
+constexpr uint32_t MQTT_RETRY_MAX_MS = 120000;
+constexpr uint16_t MQTT_BUFFER_BYTES = 1024;   // Home Assistant discovery payloads run ~500 bytes (PubSubClient default: 256)
+
+constexpr uint8_t MAX_SESSIONS = 4;                   // concurrent admin logins
+constexpr uint32_t SESSION_TTL_S = 24UL * 3600UL;      // login cookie lifetime
+constexpr uint8_t LOGIN_MAX_FAILS = 5;                 // wrong passwords from one address before its logins pause
+constexpr uint32_t LOGIN_LOCK_MS = 60000;
+constexpr uint8_t LOGIN_TRACKED_IPS = 8;               // addresses whose wrong passwords are counted at once
+constexpr uint16_t ADMIN_HASH_ROUNDS = 2000;           // SHA-256 rounds over salt + password
+constexpr uint8_t ADMIN_PASS_MIN = 8;
 
 static const char *MDNS_NAME = "iss";
+static const char *SESSION_COOKIE = "iss_session";
+static const char *MQTT_TOPIC = "iss_tracker";          // default base topic
+static const char *MQTT_DISCOVERY = "homeassistant";    // default Home Assistant discovery prefix
+static const char *UI_LANGS[] = {"en", "de"};           // web UI translations in data/assets/prefs.js
 
 // ---- API ----
 static const char *ISS_URL = "https://api.wheretheiss.at/v1/satellites/25544?units=kilometers";
+static const char *TLE_URL = "https://api.wheretheiss.at/v1/satellites/25544/tles?format=json";
+static const char *NTP_SERVER = "pool.ntp.org"; // wall clock for cache timestamps (/tle.json fetched_ts)
 
 // ---- Files ----
-static const char *TRACK_FILE = "/track.ndjson"; // each line: {"ts":<unix>,"lat":<deg>,"lon":<deg>}
+static const char *TRACK_FILE = "/track.ndjson"; // each line: {"ts":<unix>,"lat":<deg>,"lon":<deg>,"alt":<km>} (older lines have no alt)
+static const char *TRACK_OLD_FILE = "/track.old.ndjson"; // TRACK_FILE before its last rotation, read first
+static const char *TLE_FILE = "/tle.json";       // {"name","line1","line2","tle_ts","fetched_ts"} for browser-side SGP4
 
 // ----------------- STATE -----------------
 WebServer server(80);
 Preferences prefs;
 DNSServer dns;
 
+// ----------------- SERVER-SENT EVENTS -----------------
+// WebServer is synchronous, so /events keeps its own copy of the client socket and
+// writes to it from loop(); the server drops its reference after the handler returns.
+WiFiClient sseClients[MAX_SSE_CLIENTS];
+uint32_t lastSseKeepaliveMs = 0;
+bool screenChanged = false; // set when the device display shows new content
+
 enum class WifiState
 {
+  CONNECTING, // joining a saved network; loop() keeps running (serviceStaConnect)
   STA_OK,
   PORTAL
 };
@@ -66,11 +118,69 @@ enum class StaAttemptResult { NONE, SUCCESS, TIMEOUT_FAIL };
 StaAttemptResult lastStaAttempt = StaAttemptResult::NONE;
 String lastStaAttemptSsid = "";          // SSID we most recently tried
 uint32_t lastStaAttemptDurationMs = 0;    // total time spent across attempts
+uint8_t lastDiscReason = 0;               // last STA disconnect reason (wifi_err_reason_t), 0 = none yet
+String lastDiscSsid = "";                 // network that reason belongs to
+uint32_t lastDiscMs = 0;
 
 uint32_t lastFetch = 0;
 uint32_t lastStaOkMs = 0;
+uint32_t nextTleFetchMs = 0; // 0 = fetch as soon as STA is up
 bool soundEnabled = true;
 
+// Runtime settings (NVS "iss", see /settings.json)
+double alertRadiusKm = RADIUS_KM;
+double alertHystKm = HYST_KM;
+uint32_t fetchIntervalMs = FETCH_INTERVAL_MS;
+uint16_t alertBeepHz = ISS_BEEP_HZ;
+bool ledAlerts = true;     // blink the LED while the ISS is close
+String locToken = LOC_TOKEN;
+
+// ----------------- DISPLAY SETTINGS -----------------
+// Display preferences (NVS "iss", see /settings.json): the device screen uses units and coords, browsers all five
+// (JSON APIs stay metric/decimal)
+enum class Units : uint8_t { METRIC, IMPERIAL, NAUTICAL }; // NVS "units" stores the raw value
+Units displayUnits = Units::METRIC;
+bool dmsCoords = false;  // degrees/minutes/seconds instead of decimal degrees
+bool clock12h = false;   // 12 h clock in the web UI
+String timeZone = "";    // IANA zone for web UI timestamps, "" = each browser's own
+String uiLang = "en";    // web UI language, one of UI_LANGS
+
+// MQTT / Home Assistant (NVS "mqtt", see /mqtt.json)
+bool mqttEnabled = false;
+String mqttHost = "";
+uint16_t mqttPort = MQTT_PORT;
+String mqttUser = "";
+String mqttPass = "";
+String mqttTopic = MQTT_TOPIC;
+bool mqttDiscovery = true;
+String mqttDiscoveryPrefix = MQTT_DISCOVERY;
+WiFiClient mqttNet;
+PubSubClient mqtt(mqttNet);
+uint32_t mqttNextTryMs = 0; // 0 = connect as soon as STA is up
+uint8_t mqttFails = 0;
+String mqttLastCommand = ""; // outcome of the last home/set message, for /mqtt.json
+
+// Admin password (NVS "iss" adminSalt/adminHash; empty = none) and the browser sessions it unlocks
+struct Session
+{
+  String id;   // cookie value
+  String csrf; // must accompany every state-changing request
+  uint32_t expiresMs;
+};
+Session sessions[MAX_SESSIONS];
+String adminSalt = "";
+String adminHash = "";
+String openCsrf = ""; // device-wide CSRF token while no password is set (per boot)
+// Wrong passwords per client address, so one guessing client doesn't lock everyone else out
+struct LoginFails
+{
+  uint32_t ip; // 0 = free
+  uint8_t fails;
+  uint32_t blockedUntilMs; // 0 = not blocked
+  uint32_t lastMs;
+};
+LoginFails loginFails[LOGIN_TRACKED_IPS];
+
 double issLat = NAN, issLon = NAN; // latest
 double issAltKm = NAN;             // altitude
 double issVelKmh = NAN;            // instantaneous
@@ -80,6 +190,7 @@ String issVis = "";     // visibility
 double issFootKm = NAN; // footprint (km)
 double solarLat = NAN, solarLon = NAN;
 uint32_t issTs = 0;
+uint32_t lastTrackTs = 0; // last fix written to TRACK_FILE
 
 // Prediction cache (6 points max for mini-map, every ~10 minutes = 1 hour)
 struct PredPoint
@@ -97,6 +208,21 @@ uint32_t prevSampleMs = 0;
 double homeLat = HOME_LAT;
 double homeLon = HOME_LON;
 
+// Named observer locations; the active one drives the proximity bar and buzzer and is mirrored in homeLat/homeLon
+struct Observer
+{
+  uint16_t id;
+  String name;
+  double lat;
+  double lon;
+};
+Observer observers[MAX_OBSERVERS];
+uint8_t observerCount = 0;
+uint16_t activeObsId = 0;
+
+// Web dashboard satellite list, comma-separated NORAD IDs (the device itself only follows the ISS)
+String satList = "25544";
+
 bool haveFix = false;
 bool wasClose = false;
 
@@ -110,6 +236,15 @@ uint32_t nextBeepAtMs = 0, beepOffAtMs = 0;
 // Memory: 240 * 135 * 2 = 64,800 bytes (~63 KB RGB565)
 TFT_eSprite canvas = TFT_eSprite(&M5.Lcd); // sprite backed by TFT_eSPI library
 
+// /screen.raw change tracking: a hash per row, and the frame in which each row last changed.
+// Frames are numbered per boot (screenEpoch is random) so a client never applies deltas to a stale copy.
+const int SCREEN_ROWS = 135;
+const uint8_t SCREEN_RAW_VERSION = 1;
+uint32_t screenEpoch = 0;
+uint32_t screenFrame = 0;
+uint32_t screenRowHash[SCREEN_ROWS];
+uint32_t screenRowFrame[SCREEN_ROWS];
+
 // ----------------- MATH HELPERS -----------------
 static inline double toRad(double deg)
 {
@@ -264,9 +399,9 @@ uint32_t periodForDistance(double d)
 {
   if (d < 0)
     d = 0;
-  if (d > RADIUS_KM)
-    d = RADIUS_KM;
-  double t = d / RADIUS_KM;
+  if (d > alertRadiusKm)
+    d = alertRadiusKm;
+  double t = d / alertRadiusKm;
   double p = MIN_BEEP_PERIOD_MS + t * (MAX_BEEP_PERIOD_MS - MIN_BEEP_PERIOD_MS);
   if (p < MIN_BEEP_PERIOD_MS)
     p = MIN_BEEP_PERIOD_MS;
@@ -280,7 +415,7 @@ void startContinuousBeepNow()
   if (!soundEnabled)
     return;
   buzzerAttachIfNeeded();
-  toneStart(ISS_BEEP_HZ);
+  toneStart(alertBeepHz);
   contBeepActive = true;
 }
 void stopContinuousBeepNow()
@@ -305,25 +440,62 @@ void drawHeader()
   canvas.drawString("B:Refresh", 175, 16);
 }
 
+// Screen units: factor from km (and km/h) plus labels
+double unitFactor()
+{
+  return displayUnits == Units::IMPERIAL ? 0.621371 : displayUnits == Units::NAUTICAL ? 0.539957 : 1.0;
+}
+const char *distUnit()
+{
+  return displayUnits == Units::IMPERIAL ? "mi" : displayUnits == Units::NAUTICAL ? "nmi" : "km";
+}
+const char *speedUnit()
+{
+  return displayUnits == Units::IMPERIAL ? "mph" : displayUnits == Units::NAUTICAL ? "kn" : "km/h";
+}
+
+// Lat or lon at text size 2: "-51.5072" after the label, or 51°30'26"N after a small one (at full size it would run
+// into the mini-map). The built-in font has no degree sign, so it is drawn as a small circle.
+void drawCoord(const char *label, double v, bool isLat, int y, uint16_t color)
+{
+  if (!dmsCoords)
+  {
+    canvas.drawString(label, 4, y);
+    canvas.drawFloat(v, 4, 56, y);
+    return;
+  }
+  canvas.setTextSize(1);
+  canvas.drawString(String(label).substring(0, 3), 4, y + 4);
+  canvas.setTextSize(2);
+  uint32_t secs = (uint32_t)lround(fabs(v) * 3600.0);
+  char hemi = isLat ? (v < 0 ? 'S' : 'N') : (v < 0 ? 'W' : 'E');
+  String deg = String(secs / 3600);
+  char rest[12];
+  snprintf(rest, sizeof(rest), "%02u'%02u\"%c", (unsigned)(secs / 60 % 60), (unsigned)(secs % 60), hemi);
+  canvas.drawString(deg, 24, y);
+  int x = 24 + canvas.textWidth(deg);
+  canvas.drawCircle(x + 3, y + 3, 2, color);
+  canvas.drawString(rest, x + 8, y);
+}
+
 void drawValues(double lat, double lon, double distKm, bool showVel, double vKmh, const String &dir8)
 {
   int y = 28;
   canvas.setTextSize(2);
   canvas.setTextColor(YELLOW, BLACK);
-  canvas.drawString("Lat:", 4, y);
-  canvas.drawFloat(lat, 4, 56, y);
+  drawCoord("Lat:", lat, true, y, YELLOW);
   y += 22;
-  canvas.drawString("Lon:", 4, y);
-  canvas.drawFloat(lon, 4, 56, y);
+  drawCoord("Lon:", lon, false, y, YELLOW);
   y += 22;
 
   // Velocity line + Altitude afterwards
+  const double k = unitFactor();
   canvas.setTextColor(WHITE, BLACK);
   canvas.drawString("Vel:", 4, y);
   if (showVel)
   {
-    canvas.drawFloat(vKmh, 1, 56, y);
-    canvas.drawString("km/h", 146, y);
+    canvas.drawFloat(vKmh * k, 1, 56, y);
+    canvas.drawString(speedUnit(), 146, y);
     if (dir8.length())
       canvas.drawString(dir8.c_str(), 201, y);
   }
@@ -335,8 +507,16 @@ void drawValues(double lat, double lon, double distKm, bool showVel, double vKmh
 
   canvas.setTextColor(CYAN, BLACK);
   canvas.drawString("Dis:", 4, y);
-  canvas.drawFloat(distKm, 1, 56, y);
-  canvas.drawString("km", 146, y);
+  canvas.drawFloat(distKm * k, 1, 56, y);
+  canvas.drawString(distUnit(), 146, y);
+  // ...from which observer, right-aligned in what the unit leaves free
+  if (observerCount > 1)
+  {
+    int from = 146 + canvas.textWidth(distUnit()) + 6;
+    canvas.setTextSize(1);
+    int room = (canvas.width() - 4 - from) / 6; // characters at size 1
+    canvas.drawRightString(activeObserverName().substring(0, max(room, 0)), canvas.width() - 4, y + 4, 1);
+  }
 }
 
 void drawProximityBar(double distKm)
@@ -344,7 +524,7 @@ void drawProximityBar(double distKm)
   const int barX = 4, barY = 116, barW = canvas.width() - 8, barH = 18;
   String status;
   uint16_t colFill;
-  if (distKm <= RADIUS_KM)
+  if (distKm <= alertRadiusKm)
   {
     status = "Close";
     colFill = GREEN;
@@ -493,63 +673,567 @@ void saveHomeToNVS(double la, double lo)
   prefs.putDouble("homeLat", la);
   prefs.putDouble("homeLon", lo);
   prefs.end();
+  // /loc and /savehome move the active observer
+  int i = findObserver(activeObsId);
+  if (i >= 0)
+  {
+    observers[i].lat = la;
+    observers[i].lon = lo;
+    saveObserversToNVS();
+  }
 }
 
-// Wi-Fi creds
-bool loadWifiCreds(String &ssid, String &pass)
+// Observers: one JSON array in NVS "iss"/"obs", the active id in "obsActive".
+// Call after loadHomeFromNVS(): the saved home is the active observer's position.
+void loadObserversFromNVS()
 {
-  prefs.begin("wifi", true);
-  String s = prefs.getString("ssid", ""), p = prefs.getString("pass", "");
+  prefs.begin("iss", true);
+  String raw = prefs.getString("obs", "");
+  activeObsId = prefs.getUShort("obsActive", 0);
   prefs.end();
-  if (s.length())
+
+  observerCount = 0;
+  DynamicJsonDocument doc(1536);
+  if (raw.length() && deserializeJson(doc, raw) == DeserializationError::Ok)
   {
-    ssid = s;
-    pass = p;
-    return true;
+    for (JsonObject o : doc.as<JsonArray>())
+    {
+      if (observerCount >= MAX_OBSERVERS)
+        break;
+      Observer &ob = observers[observerCount];
+      ob.id = o["id"] | 0;
+      ob.name = (const char *)(o["name"] | "Home");
+      ob.lat = o["lat"] | 0.0;
+      ob.lon = o["lon"] | 0.0;
+      if (ob.id)
+        observerCount++;
+    }
   }
-  return false;
+  if (observerCount == 0) // first boot, or upgraded from single-home firmware
+  {
+    observers[0] = {1, "Home", homeLat, homeLon};
+    observerCount = 1;
+  }
+  int i = findObserver(activeObsId);
+  if (i < 0)
+  {
+    i = 0;
+    activeObsId = observers[0].id;
+  }
+  observers[i].lat = homeLat;
+  observers[i].lon = homeLon;
 }
-void saveWifiCreds(const String &s, const String &p)
+void saveObserversToNVS()
 {
-  prefs.begin("wifi", false);
-  prefs.putString("ssid", s);
-  prefs.putString("pass", p);
+  DynamicJsonDocument doc(1536);
+  JsonArray arr = doc.to<JsonArray>();
+  for (uint8_t i = 0; i < observerCount; ++i)
+  {
+    JsonObject o = arr.createNestedObject();
+    o["id"] = observers[i].id;
+    o["name"] = observers[i].name;
+    o["lat"] = observers[i].lat;
+    o["lon"] = observers[i].lon;
+  }
+  String raw;
+  serializeJson(doc, raw);
+  prefs.begin("iss", false);
+  prefs.putString("obs", raw);
+  prefs.putUShort("obsActive", activeObsId);
   prefs.end();
 }
-void forgetWifiCreds()
+int findObserver(uint16_t id)
+{
+  for (uint8_t i = 0; i < observerCount; ++i)
+    if (observers[i].id == id)
+      return i;
+  return -1;
+}
+String activeObserverName()
+{
+  int i = findObserver(activeObsId);
+  return i >= 0 ? observers[i].name : String("Home");
+}
+
+// Runtime settings; anything missing keeps its compile-time default
+void loadSettingsFromNVS()
+{
+  prefs.begin("iss", true);
+  alertRadiusKm = prefs.getDouble("radiusKm", RADIUS_KM);
+  alertHystKm = prefs.getDouble("hystKm", HYST_KM);
+  fetchIntervalMs = prefs.getULong("fetchMs", FETCH_INTERVAL_MS);
+  alertBeepHz = prefs.getUShort("beepHz", ISS_BEEP_HZ);
+  soundEnabled = prefs.getBool("sound", true);
+  ledAlerts = prefs.getBool("led", true);
+  // Older firmware only had metric/imperial as a bool
+  displayUnits = (Units)prefs.getUChar("units", prefs.getBool("imperial", false) ? (uint8_t)Units::IMPERIAL : (uint8_t)Units::METRIC);
+  if (displayUnits > Units::NAUTICAL)
+    displayUnits = Units::METRIC;
+  dmsCoords = prefs.getBool("dms", false);
+  clock12h = prefs.getBool("clock12", false);
+  timeZone = prefs.getString("tz", "");
+  uiLang = prefs.getString("lang", "en");
+  locToken = prefs.getString("token", LOC_TOKEN);
+  prefs.end();
+}
+void saveSettingsToNVS()
+{
+  prefs.begin("iss", false);
+  prefs.putDouble("radiusKm", alertRadiusKm);
+  prefs.putDouble("hystKm", alertHystKm);
+  prefs.putULong("fetchMs", fetchIntervalMs);
+  prefs.putUShort("beepHz", alertBeepHz);
+  prefs.putBool("sound", soundEnabled);
+  prefs.putBool("led", ledAlerts);
+  prefs.putUChar("units", (uint8_t)displayUnits);
+  prefs.putBool("dms", dmsCoords);
+  prefs.putBool("clock12", clock12h);
+  prefs.putString("tz", timeZone);
+  prefs.putString("lang", uiLang);
+  prefs.putString("token", locToken);
+  prefs.end();
+}
+
+void loadMqttFromNVS()
+{
+  prefs.begin("mqtt", true);
+  mqttEnabled = prefs.getBool("on", false);
+  mqttHost = prefs.getString("host", "");
+  mqttPort = prefs.getUShort("port", MQTT_PORT);
+  mqttUser = prefs.getString("user", "");
+  mqttPass = prefs.getString("pass", "");
+  mqttTopic = prefs.getString("topic", MQTT_TOPIC);
+  mqttDiscovery = prefs.getBool("disc", true);
+  mqttDiscoveryPrefix = prefs.getString("discPrefix", MQTT_DISCOVERY);
+  prefs.end();
+}
+void saveMqttToNVS()
+{
+  prefs.begin("mqtt", false);
+  prefs.putBool("on", mqttEnabled);
+  prefs.putString("host", mqttHost);
+  prefs.putUShort("port", mqttPort);
+  prefs.putString("user", mqttUser);
+  prefs.putString("pass", mqttPass);
+  prefs.putString("topic", mqttTopic);
+  prefs.putBool("disc", mqttDiscovery);
+  prefs.putString("discPrefix", mqttDiscoveryPrefix);
+  prefs.end();
+}
+
+// Normalise "25544, 48274,x,20580" → "25544,48274,20580": digits only, no duplicates, ISS first, MAX_SATS max
+String cleanSatList(const String &in)
+{
+  String out = "25544";
+  uint8_t n = 1;
+  int i = 0;
+  while (i <= (int)in.length() && n < MAX_SATS)
+  {
+    int j = in.indexOf(',', i);
+    if (j < 0)
+      j = in.length();
+    String id = in.substring(i, j);
+    id.trim();
+    bool digits = id.length() > 0 && id.length() <= 6;
+    for (size_t k = 0; digits && k < id.length(); ++k)
+      digits = isDigit(id[k]);
+    if (digits && id.toInt() > 0 && ("," + out + ",").indexOf("," + String(id.toInt()) + ",") < 0)
+    {
+      out += "," + String(id.toInt());
+      ++n;
+    }
+    i = j + 1;
+  }
+  return out;
+}
+void loadSatsFromNVS()
+{
+  prefs.begin("iss", true);
+  satList = cleanSatList(prefs.getString("sats", "25544"));
+  prefs.end();
+}
+void saveSatsToNVS(const String &list)
+{
+  prefs.begin("iss", false);
+  prefs.putString("sats", list);
+  prefs.end();
+}
+
+// Wi-Fi creds: wifiNets[0] is tried first.
+// NVS "wifi" holds n + ssid0/pass0, ssid1/pass1, … (older firmware kept a single ssid/pass pair)
+struct WifiNet
+{
+  String ssid;
+  String pass;
+};
+WifiNet wifiNets[MAX_WIFI_NETS];
+uint8_t wifiNetCount = 0;
+
+void loadWifiNets()
+{
+  prefs.begin("wifi", true);
+  wifiNetCount = 0;
+  uint8_t n = prefs.getUChar("n", 0);
+  for (uint8_t i = 0; i < n && i < MAX_WIFI_NETS; ++i)
+  {
+    String s = prefs.getString(("ssid" + String(i)).c_str(), "");
+    if (!s.length())
+      continue;
+    wifiNets[wifiNetCount].ssid = s;
+    wifiNets[wifiNetCount].pass = prefs.getString(("pass" + String(i)).c_str(), "");
+    wifiNetCount++;
+  }
+  if (wifiNetCount == 0)
+  {
+    String s = prefs.getString("ssid", "");
+    if (s.length())
+    {
+      wifiNets[0].ssid = s;
+      wifiNets[0].pass = prefs.getString("pass", "");
+      wifiNetCount = 1;
+    }
+  }
+  prefs.end();
+}
+void saveWifiNets()
 {
   prefs.begin("wifi", false);
-  prefs.remove("ssid");
-  prefs.remove("pass");
+  prefs.clear(); // also drops the legacy ssid/pass keys
+  prefs.putUChar("n", wifiNetCount);
+  for (uint8_t i = 0; i < wifiNetCount; ++i)
+  {
+    prefs.putString(("ssid" + String(i)).c_str(), wifiNets[i].ssid);
+    prefs.putString(("pass" + String(i)).c_str(), wifiNets[i].pass);
+  }
   prefs.end();
 }
+int findWifiNet(const String &ssid)
+{
+  for (uint8_t i = 0; i < wifiNetCount; ++i)
+    if (wifiNets[i].ssid == ssid)
+      return i;
+  return -1;
+}
+// Save & Connect: store (or update) the network and make it the first one tried
+void saveWifiCreds(const String &s, const String &p)
+{
+  int i = findWifiNet(s);
+  if (i < 0)
+    i = (wifiNetCount < MAX_WIFI_NETS) ? wifiNetCount++ : MAX_WIFI_NETS - 1; // list full: drop the lowest priority
+  for (; i > 0; --i)
+    wifiNets[i] = wifiNets[i - 1];
+  wifiNets[0].ssid = s;
+  wifiNets[0].pass = p;
+  saveWifiNets();
+}
+void forgetWifiCreds()
+{
+  wifiNetCount = 0;
+  saveWifiNets();
+}
 
 // ----------------- AUTH -----------------
-bool tokenOk(const String &bearerOrQuery)
+// Two optional locks:
+//  - the API token (locToken) for scripts: /loc, /settings.json, /mqtt.json and MQTT home/set
+//  - the admin password for browsers: /login sets a session cookie, and state-changing routes then need that cookie
+//    plus the session's CSRF token (X-CSRF-Token header or "csrf" form field). Without a password, browser routes
+//    still need the device-wide CSRF token from /auth.json, which other sites' pages can't read.
+
+// Same-length compare that doesn't stop at the first difference
+bool sameSecret(const String &a, const String &b)
+{
+  if (a.length() != b.length() || !a.length())
+    return false;
+  uint8_t diff = 0;
+  for (size_t i = 0; i < a.length(); ++i)
+    diff |= a[i] ^ b[i];
+  return diff == 0;
+}
+
+bool tokenOk(const String &tok)
+{
+  if (locToken.length() == 0)
+    return true;
+  return sameSecret(tok, locToken);
+}
+
+String randomHex(uint8_t bytes)
+{
+  String out;
+  char buf[3];
+  for (uint8_t i = 0; i < bytes; ++i)
+  {
+    snprintf(buf, sizeof(buf), "%02x", (uint8_t)(esp_random() & 0xFF));
+    out += buf;
+  }
+  return out;
+}
+
+String hashPassword(const String &salt, const String &pw)
+{
+  uint8_t digest[32];
+  mbedtls_md_context_t ctx;
+  mbedtls_md_init(&ctx);
+  mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 0);
+  mbedtls_md_starts(&ctx);
+  mbedtls_md_update(&ctx, (const uint8_t *)salt.c_str(), salt.length());
+  mbedtls_md_update(&ctx, (const uint8_t *)pw.c_str(), pw.length());
+  mbedtls_md_finish(&ctx, digest);
+  for (uint16_t i = 1; i < ADMIN_HASH_ROUNDS; ++i)
+  {
+    mbedtls_md_starts(&ctx);
+    mbedtls_md_update(&ctx, digest, sizeof(digest));
+    mbedtls_md_update(&ctx, (const uint8_t *)salt.c_str(), salt.length());
+    mbedtls_md_finish(&ctx, digest);
+  }
+  mbedtls_md_free(&ctx);
+  String out;
+  char buf[3];
+  for (uint8_t b : digest)
+  {
+    snprintf(buf, sizeof(buf), "%02x", b);
+    out += buf;
+  }
+  return out;
+}
+
+bool adminSet()
+{
+  return adminHash.length() > 0;
+}
+
+bool adminPasswordOk(const String &pw)
+{
+  return adminSet() && sameSecret(hashPassword(adminSalt, pw), adminHash);
+}
+
+void loadAdminFromNVS()
+{
+  prefs.begin("iss", true);
+  adminSalt = prefs.getString("adminSalt", "");
+  adminHash = prefs.getString("adminHash", "");
+  prefs.end();
+}
+
+// Empty password removes it. Either way every session ends.
+void setAdminPassword(const String &pw)
+{
+  adminSalt = pw.length() ? randomHex(16) : "";
+  adminHash = pw.length() ? hashPassword(adminSalt, pw) : "";
+  prefs.begin("iss", false);
+  prefs.putString("adminSalt", adminSalt);
+  prefs.putString("adminHash", adminHash);
+  prefs.end();
+  for (Session &ss : sessions)
+    ss = Session();
+}
+
+// WebServer only keeps the request headers it is told about
+void collectAuthHeaders()
+{
+  static const char *hdrs[] = {"Authorization", "Cookie", "X-CSRF-Token", "Origin", "Sec-Fetch-Site"};
+  server.collectHeaders(hdrs, 5);
+}
+
+// Index of the live session named by the request's cookie, or -1
+int currentSession()
+{
+  if (!server.hasHeader("Cookie"))
+    return -1;
+  String cookies = "; " + server.header("Cookie");
+  String key = String("; ") + SESSION_COOKIE + "=";
+  int at = cookies.indexOf(key);
+  if (at < 0)
+    return -1;
+  at += key.length();
+  int end = cookies.indexOf(';', at);
+  String id = cookies.substring(at, end < 0 ? (int)cookies.length() : end);
+  id.trim();
+  for (uint8_t i = 0; i < MAX_SESSIONS; ++i)
+  {
+    Session &ss = sessions[i];
+    if (!ss.id.length() || !sameSecret(ss.id, id))
+      continue;
+    if ((int32_t)(millis() - ss.expiresMs) >= 0)
+    {
+      ss = Session();
+      return -1;
+    }
+    return i;
+  }
+  return -1;
+}
+
+// New session (replacing the one closest to expiry when all are taken) + its cookie
+int startSession()
+{
+  uint8_t slot = 0;
+  for (uint8_t i = 0; i < MAX_SESSIONS; ++i)
+  {
+    if (!sessions[i].id.length())
+    {
+      slot = i;
+      break;
+    }
+    if ((int32_t)(sessions[i].expiresMs - sessions[slot].expiresMs) < 0)
+      slot = i;
+  }
+  sessions[slot] = {randomHex(16), randomHex(16), millis() + SESSION_TTL_S * 1000UL};
+  server.sendHeader("Set-Cookie", String(SESSION_COOKIE) + "=" + sessions[slot].id + "; Path=/; Max-Age=" +
+                                      String(SESSION_TTL_S) + "; HttpOnly; SameSite=Strict");
+  return slot;
+}
+
+void clearSessionCookie()
+{
+  server.sendHeader("Set-Cookie", String(SESSION_COOKIE) + "=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict");
+}
+
+// The CSRF token a page with this session may use ("" = none: a password is set and there's no login)
+String csrfFor(int s)
+{
+  if (s >= 0)
+    return sessions[s].csrf;
+  if (adminSet())
+    return "";
+  if (!openCsrf.length())
+    openCsrf = randomHex(16);
+  return openCsrf;
+}
+
+bool csrfOk(int s)
 {
-  if (LOC_TOKEN[0] == 0)
+  String tok = server.hasHeader("X-CSRF-Token") ? server.header("X-CSRF-Token") : server.arg("csrf");
+  return sameSecret(tok, csrfFor(s));
+}
+
+// Browser routes: a login when a password is set, and the CSRF token. Sends 401/403 and returns false otherwise.
+bool requireBrowser(bool json = true)
+{
+  int s = currentSession();
+  const char *err = nullptr;
+  if (adminSet() && s < 0)
+    err = "login required";
+  else if (!csrfOk(s))
+    err = "missing or stale CSRF token, reload the page";
+  if (!err)
+    return true;
+  if (json)
+    server.send(s < 0 && adminSet() ? 401 : 403, "application/json", String("{\"err\":\"") + err + "\"}");
+  else
+    server.send(s < 0 && adminSet() ? 401 : 403, "text/plain; charset=utf-8", err);
+  return false;
+}
+
+// Script routes: the API token (Authorization: Bearer …, or `field` in the JSON body), or else a browser login
+// with its CSRF token. With neither a token nor a password set they stay open to scripts, as before; browsers
+// (they send Origin or Sec-Fetch-Site, even for an <img> pointed at /loc) still need the CSRF token.
+bool apiOk(JsonDocument *doc, const char *field)
+{
+  String tok = "";
+  if (server.hasHeader("Authorization") && server.header("Authorization").startsWith("Bearer "))
+    tok = server.header("Authorization").substring(7);
+  if (tok == "" && doc && doc->containsKey(field))
+    tok = (const char *)(*doc)[field];
+  if (locToken.length() && sameSecret(tok, locToken))
     return true;
-  return bearerOrQuery == LOC_TOKEN;
+  if (adminSet())
+  {
+    int s = currentSession();
+    return s >= 0 && csrfOk(s);
+  }
+  bool browser = server.hasHeader("Origin") || server.hasHeader("Sec-Fetch-Site");
+  return locToken.length() == 0 && (!browser || csrfOk(-1));
 }
 
 // ----------------- TRACK PERSISTENCE (NDJSON) -----------------
-void appendTrackPoint(uint32_t ts, double lat, double lon)
+// Two files share TRACK_BUDGET_BYTES: once TRACK_FILE reaches half of it, it replaces TRACK_OLD_FILE and a new one
+// starts, so the oldest half of the history goes and the track never takes more than the budget
+size_t fileSize(const char *path)
+{
+  if (!LittleFS.exists(path))
+    return 0;
+  File f = LittleFS.open(path, "r");
+  if (!f)
+    return 0;
+  size_t n = f.size();
+  f.close();
+  return n;
+}
+
+size_t trackBytes()
+{
+  return fileSize(TRACK_OLD_FILE) + fileSize(TRACK_FILE);
+}
+
+void rotateTrackIfFull()
+{
+  size_t n = fileSize(TRACK_FILE);
+  if (n < TRACK_BUDGET_BYTES / 2)
+    return;
+  LittleFS.remove(TRACK_OLD_FILE);
+  if (n > TRACK_BUDGET_BYTES)
+    LittleFS.remove(TRACK_FILE); // an unbounded file from older firmware: start over
+  else
+    LittleFS.rename(TRACK_FILE, TRACK_OLD_FILE);
+}
+
+// Oldest persisted fix (unix s), 0 when there is none
+uint32_t trackFirstTs()
+{
+  for (const char *path : {TRACK_OLD_FILE, TRACK_FILE})
+  {
+    if (!LittleFS.exists(path))
+      continue;
+    File f = LittleFS.open(path, "r");
+    if (!f)
+      continue;
+    String line = f.readStringUntil('\n');
+    f.close();
+    DynamicJsonDocument dj(128);
+    if (deserializeJson(dj, line) != DeserializationError::Ok)
+      continue;
+    uint32_t ts = dj["ts"] | (uint32_t)0;
+    if (ts)
+      return ts;
+  }
+  return 0;
+}
+
+void appendTrackPoint(uint32_t ts, double lat, double lon, double alt)
 {
+  if (lastTrackTs && ts >= lastTrackTs && ts - lastTrackTs < TRACK_STEP_S)
+    return;
+  rotateTrackIfFull();
   File f = LittleFS.open(TRACK_FILE, "a");
   if (!f)
     return;
-  DynamicJsonDocument dj(96);
+  DynamicJsonDocument dj(128);
   dj["ts"] = ts;
-  dj["lat"] = lat;
-  dj["lon"] = lon;
+  dj["lat"] = serialized(String(lat, 5)); // what /track.json serves; ~62 bytes a line
+  dj["lon"] = serialized(String(lon, 5));
+  if (!isnan(alt))
+    dj["alt"] = serialized(String(alt, 1));
   String line;
   serializeJson(dj, line);
   line += "\n";
-  f.print(line);
+  if (f.print(line) == line.length())
+    lastTrackTs = ts;
   f.close();
 }
 
 // ----------------- ISS NETWORKING -----------------
+// Current unix time: SNTP once it has synced, else the last API timestamp plus the time since, else 0 (unknown)
+uint32_t unixNow()
+{
+  time_t t = time(nullptr);
+  if (t > 1600000000)
+    return (uint32_t)t;
+  if (issTs != 0 && prevSampleMs != 0)
+    return issTs + (millis() - prevSampleMs) / 1000;
+  return 0;
+}
+
 bool fetchISS(double &outLat, double &outLon)
 {
   WiFiClientSecure client;
@@ -586,35 +1270,261 @@ bool fetchISS(double &outLat, double &outLon)
   return ok;
 }
 
-// ----------------- WIFI/AP -----------------
-String apSSID()
+// Fetch the current TLE and cache it in LittleFS as /tle.json
+bool fetchTLE()
+{
+  WiFiClientSecure client;
+  client.setInsecure();
+
+  HTTPClient http;
+  http.setTimeout(7000);
+  if (!http.begin(client, TLE_URL))
+    return false;
+
+  bool ok = false;
+  int code = http.GET();
+  if (code == HTTP_CODE_OK)
+  {
+    DynamicJsonDocument doc(1024);
+    DeserializationError err = deserializeJson(doc, http.getStream());
+    const char *l1 = doc["line1"] | "";
+    const char *l2 = doc["line2"] | "";
+    if (!err && strlen(l1) >= 69 && strlen(l2) >= 69)
+    {
+      DynamicJsonDocument out(512);
+      out["name"] = doc["header"] | "ISS (ZARYA)";
+      out["line1"] = l1;
+      out["line2"] = l2;
+      out["tle_ts"] = doc["tle_timestamp"] | (uint32_t)0;
+      out["fetched_ts"] = unixNow();
+      File f = LittleFS.open(TLE_FILE, "w");
+      if (f)
+      {
+        ok = serializeJson(out, f) > 0;
+        f.close();
+      }
+    }
+  }
+  http.end();
+  return ok;
+}
+
+// ----------------- MQTT / HOME ASSISTANT -----------------
+// Topics under the base (default "iss_tracker"):
+//   <base>/status    "online" / "offline" (retained, last will)
+//   <base>/state     {"lat","lon","alt_km","vel_kmh","dist_km","visibility","overhead","ts","home":{"lat","lon"}} (retained)
+//   <base>/event     {"event":"overhead_start"|"overhead_end","dist_km","ts"} when the ISS enters/leaves the alert radius
+//   <base>/home/set  command: {"lat":…,"lon":…} (plus "token" when an API token is set) moves the active observer
+// With discovery on, Home Assistant config for the sensors goes to <prefix>/<component>/<node>/<key>/config.
+String mqttNodeId()
 {
   uint8_t mac[6];
   WiFi.macAddress(mac);
-  char buf[32];
-  snprintf(buf, sizeof(buf), "ISS-Setup-%02X%02X", mac[4], mac[5]);
+  char buf[24];
+  snprintf(buf, sizeof(buf), "iss_tracker_%02x%02x%02x", mac[3], mac[4], mac[5]);
   return String(buf);
 }
-void drawPortalBanner(IPAddress apIp)
+
+String mqttTopicFor(const char *suffix)
 {
-  M5.Lcd.setTextSize(2);
-  M5.Lcd.setTextColor(ORANGE, BLACK);
-  canvas.fillRect(4, 150, 236, 20, BLACK);
-  String s = "Setup AP: " + apSSID() + "  " + apIp.toString();
-  M5.Lcd.drawString(s, 4, 150);
+  return mqttTopic + "/" + suffix;
 }
 
-// ----------------- STATIC FILE SERVER -----------------
-String contentTypeFor(const String &path)
+// One Home Assistant entity reading a field of <base>/state
+void mqttDiscoveryEntity(const char *component, const char *key, const char *name, const char *valueTpl,
+                         const char *unit, const char *devClass, const char *icon)
 {
-  if (path.endsWith(".html"))
-    return "text/html; charset=utf-8";
-  if (path.endsWith(".css"))
-    return "text/css; charset=utf-8";
-  if (path.endsWith(".js"))
-    return "application/javascript; charset=utf-8";
+  String node = mqttNodeId();
+  DynamicJsonDocument doc(896);
+  doc["name"] = name;
+  doc["unique_id"] = node + "_" + key;
+  doc["state_topic"] = mqttTopicFor("state");
+  doc["value_template"] = valueTpl;
+  doc["availability_topic"] = mqttTopicFor("status");
+  if (unit)
+  {
+    doc["unit_of_measurement"] = unit;
+    doc["state_class"] = "measurement";
+  }
+  if (devClass)
+    doc["device_class"] = devClass;
+  if (icon)
+    doc["icon"] = icon;
+  JsonObject dev = doc.createNestedObject("device");
+  dev.createNestedArray("identifiers").add(node);
+  dev["name"] = "ISS Tracker";
+  dev["model"] = "M5StickC Plus";
+  dev["manufacturer"] = "M5Stack";
+  dev["configuration_url"] = "http://" + WiFi.localIP().toString() + "/";
+  String out;
+  serializeJson(doc, out);
+  String topic = mqttDiscoveryPrefix + "/" + component + "/" + node + "/" + key + "/config";
+  mqtt.publish(topic.c_str(), out.c_str(), true);
+}
+
+void mqttPublishDiscovery()
+{
+  mqttDiscoveryEntity("sensor", "lat", "ISS latitude", "{{ value_json.lat }}", "°", nullptr, "mdi:latitude");
+  mqttDiscoveryEntity("sensor", "lon", "ISS longitude", "{{ value_json.lon }}", "°", nullptr, "mdi:longitude");
+  mqttDiscoveryEntity("sensor", "alt", "ISS altitude", "{{ value_json.alt_km }}", "km", "distance", "mdi:arrow-expand-up");
+  mqttDiscoveryEntity("sensor", "vel", "ISS velocity", "{{ value_json.vel_kmh }}", "km/h", "speed", nullptr);
+  mqttDiscoveryEntity("sensor", "dist", "ISS distance", "{{ value_json.dist_km }}", "km", "distance", "mdi:map-marker-distance");
+  mqttDiscoveryEntity("sensor", "vis", "ISS visibility", "{{ value_json.visibility }}", nullptr, nullptr, "mdi:weather-sunny");
+  mqttDiscoveryEntity("binary_sensor", "overhead", "ISS overhead", "{{ 'ON' if value_json.overhead else 'OFF' }}",
+                      nullptr, "occupancy", "mdi:space-station");
+}
+
+void mqttPublishState()
+{
+  if (!mqtt.connected() || !haveFix)
+    return;
+  DynamicJsonDocument doc(384);
+  doc["lat"] = serialized(String(issLat, 4));
+  doc["lon"] = serialized(String(issLon, 4));
+  if (!isnan(issAltKm))
+    doc["alt_km"] = serialized(String(issAltKm, 1));
+  if (issVelValid)
+    doc["vel_kmh"] = serialized(String(issVelEma, 0));
+  doc["dist_km"] = serialized(String(greatCircleKm(homeLat, homeLon, issLat, issLon), 1));
+  doc["visibility"] = issVis;
+  doc["overhead"] = wasClose;
+  doc["ts"] = issTs;
+  JsonObject home = doc.createNestedObject("home");
+  home["lat"] = homeLat;
+  home["lon"] = homeLon;
+  String out;
+  serializeJson(doc, out);
+  mqtt.publish(mqttTopicFor("state").c_str(), out.c_str(), true);
+}
+
+void mqttPublishEvent(const char *event, double distKm)
+{
+  if (!mqtt.connected())
+    return;
+  String out = String("{\"event\":\"") + event + "\",\"dist_km\":" + String(distKm, 1) + ",\"ts\":" + issTs + "}";
+  mqtt.publish(mqttTopicFor("event").c_str(), out.c_str(), false);
+}
+
+// <base>/home/set: same checks as /loc (token when one is set) and /savehome (ranges)
+void onMqttMessage(char *topic, byte *payload, unsigned int len)
+{
+  if (mqttTopicFor("home/set") != topic)
+    return;
+  DynamicJsonDocument doc(256);
+  if (deserializeJson(doc, payload, len) != DeserializationError::Ok)
+  {
+    mqttLastCommand = "rejected: invalid JSON";
+    return;
+  }
+  if (!tokenOk(doc["token"] | ""))
+  {
+    mqttLastCommand = "rejected: unauthorized";
+    return;
+  }
+  double lat = doc["lat"] | NAN, lon = doc["lon"] | NAN;
+  if (isnan(lat) || isnan(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180)
+  {
+    mqttLastCommand = "rejected: lat must be -90..90 and lon -180..180";
+    return;
+  }
+  homeLat = lat;
+  homeLon = lon;
+  saveHomeToNVS(lat, lon);
+  sseBroadcast("home", homeJson());
+  screenChanged = true;
+  mqttLastCommand = "home set to " + String(lat, 4) + ", " + String(lon, 4);
+  mqttPublishState();
+}
+
+// connect() blocks for up to a few seconds when the broker is unreachable; the backoff keeps that rare
+bool mqttConnect()
+{
+  mqtt.setServer(mqttHost.c_str(), mqttPort);
+  mqtt.setBufferSize(MQTT_BUFFER_BYTES);
+  mqtt.setCallback(onMqttMessage);
+  String status = mqttTopicFor("status");
+  bool ok = mqtt.connect(mqttNodeId().c_str(),
+                         mqttUser.length() ? mqttUser.c_str() : nullptr,
+                         mqttUser.length() ? mqttPass.c_str() : nullptr,
+                         status.c_str(), 0, true, "offline");
+  if (!ok)
+    return false;
+  mqtt.publish(status.c_str(), "online", true);
+  if (mqttDiscovery)
+    mqttPublishDiscovery();
+  mqtt.subscribe(mqttTopicFor("home/set").c_str());
+  mqttPublishState();
+  return true;
+}
+
+// Called from loop(): keep the session alive, reconnect with backoff
+void mqttLoop()
+{
+  if (!mqttEnabled || !mqttHost.length() || wifiState != WifiState::STA_OK || WiFi.status() != WL_CONNECTED)
+    return;
+  if (mqtt.connected())
+  {
+    mqtt.loop();
+    return;
+  }
+  uint32_t now = millis();
+  if (mqttNextTryMs && (int32_t)(now - mqttNextTryMs) < 0)
+    return;
+  if (mqttConnect())
+  {
+    mqttFails = 0;
+    mqttNextTryMs = 0;
+    return;
+  }
+  uint32_t wait = MQTT_RETRY_MIN_MS << (mqttFails < 5 ? mqttFails : 5);
+  mqttNextTryMs = now + (wait < MQTT_RETRY_MAX_MS ? wait : MQTT_RETRY_MAX_MS);
+  if (mqttFails < 255)
+    mqttFails++;
+}
+
+// After a settings change: drop the session (announcing "offline") and reconnect right away
+void mqttRestart()
+{
+  if (mqtt.connected())
+  {
+    mqtt.publish(mqttTopicFor("status").c_str(), "offline", true);
+    mqtt.disconnect();
+  }
+  mqttFails = 0;
+  mqttNextTryMs = 0;
+}
+
+// ----------------- WIFI/AP -----------------
+String apSSID()
+{
+  uint8_t mac[6];
+  WiFi.macAddress(mac);
+  char buf[32];
+  snprintf(buf, sizeof(buf), "ISS-Setup-%02X%02X", mac[4], mac[5]);
+  return String(buf);
+}
+void drawPortalBanner(IPAddress apIp)
+{
+  M5.Lcd.setTextSize(2);
+  M5.Lcd.setTextColor(ORANGE, BLACK);
+  canvas.fillRect(4, 150, 236, 20, BLACK);
+  String s = "Setup AP: " + apSSID() + "  " + apIp.toString();
+  M5.Lcd.drawString(s, 4, 150);
+}
+
+// ----------------- STATIC FILE SERVER -----------------
+String contentTypeFor(const String &path)
+{
+  if (path.endsWith(".html"))
+    return "text/html; charset=utf-8";
+  if (path.endsWith(".css"))
+    return "text/css; charset=utf-8";
+  if (path.endsWith(".js"))
+    return "application/javascript; charset=utf-8";
   if (path.endsWith(".json"))
     return "application/json; charset=utf-8";
+  if (path.endsWith(".webmanifest"))
+    return "application/manifest+json; charset=utf-8";
   if (path.endsWith(".png"))
     return "image/png";
   if (path.endsWith(".jpg") || path.endsWith(".jpeg"))
@@ -651,8 +1561,48 @@ bool serveStaticFile(String path)
   return true;
 }
 
-// Write current screen as a 24-bit BMP to LittleFS. Returns true on success.
-bool writeScreenBmpToFile(const char *path)
+// Offline basemap: /tiles/{z}/{x}/{y} → LittleFS /tiles/z/x/y.png (see fetch_tiles.sh)
+void handleTile()
+{
+  int z = server.pathArg(0).toInt();
+  int x = server.pathArg(1).toInt();
+  String ys = server.pathArg(2);
+  if (ys.endsWith(".png"))
+    ys.remove(ys.length() - 4);
+  int y = ys.toInt();
+  int n = 1 << min(max(z, 0), (int)TILE_MAX_ZOOM);
+  if (z < 0 || z > TILE_MAX_ZOOM || x < 0 || x >= n || y < 0 || y >= n)
+  {
+    server.send(404, "text/plain", "no tile");
+    return;
+  }
+  String path = "/tiles/" + String(z) + "/" + String(x) + "/" + String(y) + ".png";
+  File f = LittleFS.open(path, "r");
+  if (!f)
+  {
+    server.send(404, "text/plain", "no tile");
+    return;
+  }
+  server.sendHeader("Cache-Control", "public, max-age=" + String(TILE_MAX_AGE_S));
+  server.streamFile(f, "image/png");
+  f.close();
+}
+
+// /tiles.json: {"max_zoom":<deepest zoom bundled on LittleFS, -1 without tiles>}, so the web map upscales only past it
+void handleTilesJson()
+{
+  int maxZoom = -1;
+  for (int z = TILE_MAX_ZOOM; z >= 0 && maxZoom < 0; z--)
+  {
+    if (LittleFS.exists("/tiles/" + String(z) + "/0/0.png"))
+      maxZoom = z;
+  }
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", "{\"max_zoom\":" + String(maxZoom) + "}");
+}
+
+// Current screen as a 24-bit BMP, streamed a row at a time straight to the client (nothing touches LittleFS)
+void handleScreenBmp()
 {
   uint16_t w = canvas.width();
   uint16_t h = canvas.height();
@@ -661,95 +1611,239 @@ bool writeScreenBmpToFile(const char *path)
   uint32_t bmpDataSize = (rowBytes + pad) * h;
   uint32_t fileSize = 14 + 40 + bmpDataSize;
 
-  File f = LittleFS.open(path, "w");
-  if (!f)
-    return false;
+  server.sendHeader("Cache-Control", "no-store");
+  server.sendHeader("Content-Disposition", "inline; filename=\"screen.bmp\"");
+  server.setContentLength(fileSize);
+  server.send(200, "image/bmp", "");
 
-  // BITMAPFILEHEADER
-  uint8_t fileHeader[14] = {'B', 'M', 0, 0, 0, 0, 0, 0, 0, 0, 54, 0, 0, 0};
-  fileHeader[2] = (uint8_t)(fileSize & 0xFF);
-  fileHeader[3] = (uint8_t)((fileSize >> 8) & 0xFF);
-  fileHeader[4] = (uint8_t)((fileSize >> 16) & 0xFF);
-  fileHeader[5] = (uint8_t)((fileSize >> 24) & 0xFF);
-  if (f.write(fileHeader, 14) != 14)
+  uint8_t buf[14 + 40];
+  size_t n = 0;
+  auto put16 = [&](uint16_t v)
   {
-    f.close();
-    return false;
-  }
-
-  // BITMAPINFOHEADER
-  uint8_t info[40];
-  memset(info, 0, 40);
-  info[0] = 40;
-  uint32_t ww = w;
-  info[4] = (uint8_t)(ww & 0xFF);
-  info[5] = (uint8_t)((ww >> 8) & 0xFF);
-  info[6] = (uint8_t)((ww >> 16) & 0xFF);
-  info[7] = (uint8_t)((ww >> 24) & 0xFF);
-  uint32_t hh = h;
-  info[8] = (uint8_t)(hh & 0xFF);
-  info[9] = (uint8_t)((hh >> 8) & 0xFF);
-  info[10] = (uint8_t)((hh >> 16) & 0xFF);
-  info[11] = (uint8_t)((hh >> 24) & 0xFF);
-  info[12] = 1;
-  info[14] = 24;
-  info[20] = (uint8_t)(bmpDataSize & 0xFF);
-  info[21] = (uint8_t)((bmpDataSize >> 8) & 0xFF);
-  info[22] = (uint8_t)((bmpDataSize >> 16) & 0xFF);
-  info[23] = (uint8_t)((bmpDataSize >> 24) & 0xFF);
-  if (f.write(info, 40) != 40)
+    buf[n++] = v & 0xFF;
+    buf[n++] = v >> 8;
+  };
+  auto put32 = [&](uint32_t v)
   {
-    f.close();
-    return false;
-  }
-
-  uint8_t padbuf[3] = {0, 0, 0};
-
-  // Read from M5Canvas sprite using readPixelValue() (RGB565 format)
-  // BMP rows are bottom-to-top, pixels are BGR
+    put16(v & 0xFFFF);
+    put16(v >> 16);
+  };
+  // BITMAPFILEHEADER
+  buf[n++] = 'B';
+  buf[n++] = 'M';
+  put32(fileSize);
+  put32(0);
+  put32(14 + 40); // pixel data offset
+  // BITMAPINFOHEADER
+  put32(40);
+  put32(w);
+  put32(h); // positive: rows bottom-to-top
+  put16(1); // planes
+  put16(24); // bits per pixel
+  put32(0); // BI_RGB
+  put32(bmpDataSize);
+  put32(0);
+  put32(0);
+  put32(0);
+  put32(0);
+  server.sendContent((const char *)buf, n);
+
+  // Rows bottom-to-top, pixels B,G,R, each row padded to 4 bytes
+  uint8_t row[240 * 3 + 3];
+  if (rowBytes + pad > sizeof(row))
+    return;
   for (int y = (int)h - 1; y >= 0; --y)
   {
+    uint8_t *p = row;
     for (int x = 0; x < (int)w; ++x)
     {
-      // Get RGB565 from sprite buffer
       uint16_t rgb565 = (uint16_t)canvas.readPixel(x, y);
-
-      // Convert RGB565 to RGB888
       uint8_t r = ((rgb565 >> 11) & 0x1F) << 3; // 5 bits -> 8 bits
       uint8_t g = ((rgb565 >> 5) & 0x3F) << 2;  // 6 bits -> 8 bits
-      uint8_t b = (rgb565 & 0x1F) << 3;         // 5 bits -> 8 bits
+      uint8_t b = (rgb565 & 0x1F) << 3;
+      *p++ = b | (b >> 5); // expand to the full 8-bit range
+      *p++ = g | (g >> 6);
+      *p++ = r | (r >> 5);
+    }
+    for (uint32_t i = 0; i < pad; ++i)
+      *p++ = 0;
+    server.sendContent((const char *)row, rowBytes + pad);
+  }
+}
 
-      // Expand to full 8-bit range
-      r |= (r >> 5);
-      g |= (g >> 6);
-      b |= (b >> 5);
+// Re-hash the sprite's rows; rows that differ from last time belong to a new frame
+void updateScreenRows()
+{
+  int w = canvas.width();
+  int h = min((int)canvas.height(), SCREEN_ROWS);
+  bool changed = false;
+  for (int y = 0; y < h; ++y)
+  {
+    uint32_t hash = 2166136261u; // FNV-1a over the row's RGB565 bytes
+    for (int x = 0; x < w; ++x)
+    {
+      uint16_t px = (uint16_t)canvas.readPixel(x, y);
+      hash = (hash ^ (px & 0xFF)) * 16777619u;
+      hash = (hash ^ (px >> 8)) * 16777619u;
+    }
+    if (screenFrame == 0 || hash != screenRowHash[y])
+    {
+      screenRowHash[y] = hash;
+      screenRowFrame[y] = screenFrame + 1;
+      changed = true;
+    }
+  }
+  if (changed)
+    screenFrame++;
+}
 
-      // Write as B,G,R for BMP format
-      uint8_t px[3] = {b, g, r};
-      if (f.write(px, 3) != 3)
+// GET /screen.raw?since=<frame>&epoch=<epoch>: the sprite straight from RAM (nothing touches LittleFS).
+// Little-endian: "M5", u8 version, u8 flags (bit 0: whole screen), u16 width, u16 height, u32 epoch, u32 frame,
+// u16 first row, u16 row count, then (u16 count, u16 RGB565) runs over those rows, left to right, top to bottom.
+// With since/epoch from the previous reply only the band of rows changed after that frame is sent; 204 if none.
+void handleScreenRaw()
+{
+  updateScreenRows();
+  int w = canvas.width();
+  int h = min((int)canvas.height(), SCREEN_ROWS);
+  uint32_t since = server.hasArg("since") ? strtoul(server.arg("since").c_str(), nullptr, 10) : 0;
+  uint32_t epoch = server.hasArg("epoch") ? strtoul(server.arg("epoch").c_str(), nullptr, 10) : 0;
+  bool full = since == 0 || epoch != screenEpoch || since > screenFrame;
+  int y0 = 0, y1 = h - 1;
+  if (!full)
+  {
+    y0 = h;
+    y1 = -1;
+    for (int y = 0; y < h; ++y)
+    {
+      if (screenRowFrame[y] > since)
       {
-        f.close();
-        return false;
+        y0 = min(y0, y);
+        y1 = y;
       }
     }
-    // write padding if needed
-    if (pad)
+    if (y1 < 0)
+    {
+      server.sendHeader("Cache-Control", "no-store");
+      server.send(204);
+      return;
+    }
+  }
+
+  server.sendHeader("Cache-Control", "no-store");
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, "application/octet-stream", "");
+
+  uint8_t buf[512];
+  size_t n = 0;
+  auto put16 = [&](uint16_t v)
+  {
+    buf[n++] = v & 0xFF;
+    buf[n++] = v >> 8;
+  };
+  auto put32 = [&](uint32_t v)
+  {
+    put16(v & 0xFFFF);
+    put16(v >> 16);
+  };
+  buf[n++] = 'M';
+  buf[n++] = '5';
+  buf[n++] = SCREEN_RAW_VERSION;
+  buf[n++] = full ? 1 : 0;
+  put16(w);
+  put16(h);
+  put32(screenEpoch);
+  put32(screenFrame);
+  put16(y0);
+  put16(y1 - y0 + 1);
+
+  uint16_t run = 0, color = 0;
+  auto putRun = [&]()
+  {
+    if (n + 4 > sizeof(buf))
+    {
+      server.sendContent((const char *)buf, n);
+      n = 0;
+    }
+    put16(run);
+    put16(color);
+  };
+  for (int y = y0; y <= y1; ++y)
+  {
+    for (int x = 0; x < w; ++x)
     {
-      if (f.write(padbuf, pad) != (int)pad)
+      uint16_t px = (uint16_t)canvas.readPixel(x, y);
+      if (run && px == color && run < 0xFFFF)
       {
-        f.close();
-        return false;
+        run++;
+        continue;
       }
+      if (run)
+        putRun();
+      color = px;
+      run = 1;
     }
   }
-  f.close();
-  return true;
+  putRun();
+  server.sendContent((const char *)buf, n);
+  server.sendContent("");
 }
 
 // ----------------- JSON ENDPOINTS -----------------
-void handleIssJson()
+// ----- display preferences: in /settings.json, /config.json and every /iss.json sample -----
+const char *unitsName(Units u)
 {
-  DynamicJsonDocument doc(512);
+  return u == Units::IMPERIAL ? "imperial" : u == Units::NAUTICAL ? "nautical" : "metric";
+}
+bool parseUnits(const String &name, Units &out)
+{
+  for (Units u : {Units::METRIC, Units::IMPERIAL, Units::NAUTICAL})
+    if (name == unitsName(u))
+    {
+      out = u;
+      return true;
+    }
+  return false;
+}
+bool uiLangOk(const String &lang)
+{
+  for (const char *l : UI_LANGS)
+    if (lang == l)
+      return true;
+  return false;
+}
+// IANA names like "Europe/Berlin" or "Etc/GMT+5"; the browsers check the zone really exists
+bool timeZoneOk(const String &tz)
+{
+  if (tz.length() > 48)
+    return false;
+  for (size_t i = 0; i < tz.length(); i++)
+    if (!isalnum((unsigned char)tz[i]) && !strchr("/_+-", tz[i]))
+      return false;
+  return true;
+}
+
+void prefsToJson(JsonObject o)
+{
+  o["units"] = unitsName(displayUnits);
+  o["coords"] = dmsCoords ? "dms" : "decimal";
+  o["clock"] = clock12h ? "12h" : "24h";
+  o["tz"] = timeZone;
+  o["lang"] = uiLang;
+}
+
+String prefsJson()
+{
+  DynamicJsonDocument doc(256);
+  prefsToJson(doc.to<JsonObject>());
+  String out;
+  serializeJson(doc, out);
+  return out;
+}
+
+String issJson()
+{
+  DynamicJsonDocument doc(768);
   doc["haveFix"] = haveFix;
 
   if (haveFix)
@@ -784,15 +1878,95 @@ void handleIssJson()
   JsonObject home = doc.createNestedObject("home");
   home["lat"] = homeLat;
   home["lon"] = homeLon;
+  prefsToJson(doc.createNestedObject("prefs"));
 
   String out;
   serializeJson(doc, out);
+  return out;
+}
+
+void handleIssJson()
+{
   server.sendHeader("Cache-Control", "no-store");
-  server.send(200, "application/json", out);
+  server.send(200, "application/json", issJson());
 }
 
-// Return last N minutes of track from NDJSON
-void handleTrackJson()
+String homeJson()
+{
+  DynamicJsonDocument doc(160);
+  doc["lat"] = homeLat;
+  doc["lon"] = homeLon;
+  doc["id"] = activeObsId;
+  doc["name"] = activeObserverName();
+  String out;
+  serializeJson(doc, out);
+  return out;
+}
+
+// ----- /events (SSE): iss samples, home and display preference changes, screen-changed notices -----
+void sseSend(WiFiClient &c, const char *event, const String &data)
+{
+  c.print("event: ");
+  c.print(event);
+  c.print("\ndata: ");
+  c.print(data);
+  c.print("\n\n");
+}
+
+void sseBroadcast(const char *event, const String &data)
+{
+  for (auto &c : sseClients)
+  {
+    if (!c.connected())
+    {
+      c.stop();
+      continue;
+    }
+    sseSend(c, event, data);
+  }
+}
+
+void sseKeepalive()
+{
+  if (millis() - lastSseKeepaliveMs < SSE_KEEPALIVE_MS)
+    return;
+  lastSseKeepaliveMs = millis();
+  for (auto &c : sseClients)
+  {
+    if (c.connected())
+      c.print(": ping\n\n");
+    else
+      c.stop();
+  }
+}
+
+void handleEvents()
+{
+  WiFiClient c = server.client();
+  for (auto &slot : sseClients)
+  {
+    if (slot.connected())
+      continue;
+    slot.stop();
+    c.print("HTTP/1.1 200 OK\r\n"
+            "Content-Type: text/event-stream\r\n"
+            "Cache-Control: no-store\r\n"
+            "Connection: keep-alive\r\n\r\n"
+            "retry: 5000\n\n");
+    slot = c;
+    // Prime the new subscriber with current state
+    if (haveFix)
+      sseSend(slot, "iss", issJson());
+    sseSend(slot, "home", homeJson());
+    sseSend(slot, "observers", observersJson());
+    return;
+  }
+  server.send(503, "application/json", "{\"err\":\"too many event streams\"}");
+}
+
+// ----- track endpoints: /track.json, /track.geojson, /track.gpx -----
+// Shared ?mins=<1..1440> (default 60) and ?step=<s> (keep at most one point per step seconds)
+void trackWindowArgs(uint32_t &cutoff, uint32_t &step)
 {
   int mins = 60;
   if (server.hasArg("mins"))
@@ -801,236 +1975,1109 @@ void handleTrackJson()
     if (m > 0 && m <= 1440)
       mins = m;
   }
-  uint32_t cutoff = (millis() / 1000) + (issTs ? 0 : 0); // prefer file timestamps; no offset needed
+  step = 0;
+  if (server.hasArg("step"))
+  {
+    long st = server.arg("step").toInt();
+    if (st > 0 && st <= 3600)
+      step = (uint32_t)st;
+  }
+  cutoff = (millis() / 1000) + (issTs ? 0 : 0); // prefer file timestamps; no offset needed
   if (issTs)
     cutoff = issTs; // current unix ts
   if (cutoff > (uint32_t)mins * 60)
     cutoff -= (uint32_t)mins * 60;
   else
     cutoff = 0;
+}
 
-  String out = "[";
-  bool first = true;
-
-  File f = LittleFS.open(TRACK_FILE, "r");
-  if (f)
+// Call fn(ts, lat, lon, alt) for every persisted point newer than cutoff (alt is NAN on lines written without it)
+template <typename F>
+void forEachTrackPoint(uint32_t cutoff, uint32_t step, F fn)
+{
+  uint32_t lastTs = 0;
+  for (const char *path : {TRACK_OLD_FILE, TRACK_FILE})
   {
+    if (!LittleFS.exists(path))
+      continue;
+    File f = LittleFS.open(path, "r");
+    if (!f)
+      continue;
     while (f.available())
     {
       String line = f.readStringUntil('\n');
       if (line.length() < 8)
         continue;
-      DynamicJsonDocument dj(96);
-      if (deserializeJson(dj, line) == DeserializationError::Ok)
-      {
-        uint32_t ts = dj["ts"] | (uint32_t)0;
-        double la = dj["lat"] | NAN;
-        double lo = dj["lon"] | NAN;
-        if (ts >= cutoff && !isnan(la) && !isnan(lo))
-        {
-          if (!first)
-            out += ",";
-          first = false;
-          DynamicJsonDocument row(64);
-          row["ts"] = ts;
-          row["lat"] = la;
-          row["lon"] = lo;
-          String s;
-          serializeJson(row, s);
-          out += s;
-        }
-      }
+      DynamicJsonDocument dj(128);
+      if (deserializeJson(dj, line) != DeserializationError::Ok)
+        continue;
+      uint32_t ts = dj["ts"] | (uint32_t)0;
+      double la = dj["lat"] | NAN;
+      double lo = dj["lon"] | NAN;
+      double alt = dj["alt"] | NAN;
+      if (ts < cutoff || isnan(la) || isnan(lo))
+        continue;
+      if (step && lastTs && ts - lastTs < step)
+        continue;
+      lastTs = ts;
+      fn(ts, la, lo, alt);
     }
     f.close();
   }
-  out += "]";
+}
+
+// Chunked response helpers: responses are streamed so a 24 h window never has to fit in RAM
+void beginChunked(const char *contentType)
+{
   server.sendHeader("Cache-Control", "no-store");
-  server.send(200, "application/json", out);
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, contentType, "");
+}
+void flushChunk(String &buf, bool force = false)
+{
+  if (buf.length() && (force || buf.length() >= 1024))
+  {
+    server.sendContent(buf);
+    buf = "";
+  }
+}
+void endChunked(String &buf)
+{
+  flushChunk(buf, true);
+  server.sendContent("");
+}
+
+String isoTime(uint32_t ts)
+{
+  time_t t = ts;
+  struct tm tmv;
+  gmtime_r(&t, &tmv);
+  char buf[24];
+  strftime(buf, sizeof(buf), "%Y-%m-%dT%H:%M:%SZ", &tmv);
+  return String(buf);
+}
+
+// Return last N minutes of track from NDJSON as [{ts,lat,lon,alt?},...]
+void handleTrackJson()
+{
+  uint32_t cutoff, step;
+  trackWindowArgs(cutoff, step);
+  beginChunked("application/json");
+  String out = "[";
+  bool first = true;
+  forEachTrackPoint(cutoff, step, [&](uint32_t ts, double la, double lo, double alt)
+                    {
+    if (!first)
+      out += ",";
+    first = false;
+    out += "{\"ts\":" + String(ts) + ",\"lat\":" + String(la, 5) + ",\"lon\":" + String(lo, 5);
+    if (!isnan(alt))
+      out += ",\"alt\":" + String(alt, 1);
+    out += "}";
+    flushChunk(out); });
+  out += "]";
+  endChunked(out);
+}
+
+// Same window as GeoJSON: home Point + track MultiLineString split at the antimeridian
+void handleTrackGeoJson()
+{
+  uint32_t cutoff, step;
+  trackWindowArgs(cutoff, step);
+  beginChunked("application/geo+json");
+  String out = "{\"type\":\"FeatureCollection\",\"features\":[";
+  out += "{\"type\":\"Feature\",\"properties\":{\"name\":\"Home\"},\"geometry\":{\"type\":\"Point\",\"coordinates\":[" +
+         String(homeLon, 5) + "," + String(homeLat, 5) + "]}},";
+  out += "{\"type\":\"Feature\",\"properties\":{\"name\":\"ISS track\"},\"geometry\":{\"type\":\"MultiLineString\",\"coordinates\":[";
+  // A segment's first point is held back until a second one joins it: a lone point between two antimeridian
+  // crossings would make a one-position LineString, which GeoJSON doesn't allow
+  String held;
+  uint16_t segLen = 0;
+  bool anySeg = false;
+  double prevLon = NAN;
+  forEachTrackPoint(cutoff, step, [&](uint32_t, double la, double lo, double)
+                    {
+    String pt = "[" + String(lo, 5) + "," + String(la, 5) + "]";
+    if (segLen == 0 || fabs(lo - prevLon) > 180.0)
+    {
+      if (segLen >= 2)
+        out += "]";
+      held = pt;
+      segLen = 1;
+    }
+    else
+    {
+      if (segLen == 1)
+      {
+        out += anySeg ? ",[" : "[";
+        out += held;
+        anySeg = true;
+      }
+      out += "," + pt;
+      segLen++;
+    }
+    prevLon = lo;
+    flushChunk(out); });
+  if (segLen >= 2)
+    out += "]";
+  out += "]}}]}";
+  endChunked(out);
+}
+
+// Same window as GPX 1.1: home waypoint + one track, a new segment at each antimeridian crossing
+void handleTrackGpx()
+{
+  uint32_t cutoff, step;
+  trackWindowArgs(cutoff, step);
+  beginChunked("application/gpx+xml");
+  String out = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+               "<gpx version=\"1.1\" creator=\"ISS Tracker\" xmlns=\"http://www.topografix.com/GPX/1/1\">\n";
+  out += "<wpt lat=\"" + String(homeLat, 5) + "\" lon=\"" + String(homeLon, 5) + "\"><name>Home</name></wpt>\n";
+  out += "<trk><name>ISS track</name><trkseg>\n";
+  double prevLon = NAN;
+  forEachTrackPoint(cutoff, step, [&](uint32_t ts, double la, double lo, double alt)
+                    {
+    if (!isnan(prevLon) && fabs(lo - prevLon) > 180.0)
+      out += "</trkseg><trkseg>\n";
+    prevLon = lo;
+    out += "<trkpt lat=\"" + String(la, 5) + "\" lon=\"" + String(lo, 5) + "\">";
+    if (!isnan(alt))
+      out += "<ele>" + String(alt * 1000.0, 0) + "</ele>";
+    out += "<time>" + isoTime(ts) + "</time></trkpt>\n";
+    flushChunk(out); });
+  out += "</trkseg></trk>\n</gpx>\n";
+  endChunked(out);
+}
+
+// Very light 1-hour ground-track prediction based on recent motion vector
+void handlePredictJson()
+{
+  // Need two samples to estimate motion
+  if (isnan(prevLat) || isnan(prevLon) || isnan(issLat) || isnan(issLon))
+  {
+    server.send(200, "application/json", "[]");
+    return;
+  }
+  // Bearing from last two points
+  double brg = initialBearingDeg(prevLat, prevLon, issLat, issLon);
+
+  // Estimate ground speed (km/h) from last interval if available; else fall back to raw velocity * cos(lat) as crude proj
+  double gspeed = NAN;
+  if (prevSampleMs)
+  {
+    uint32_t dtMs = millis() - prevSampleMs;
+    if (dtMs >= 1000)
+    {
+      double dKm = greatCircleKm(prevLat, prevLon, issLat, issLon);
+      double hours = (double)dtMs / 3600000.0;
+      if (hours > 0)
+        gspeed = dKm / hours;
+    }
+  }
+  if (isnan(gspeed))
+  {
+    // crude: project orbital speed to ground speed; ignore winds, etc.
+    if (!isnan(issVelKmh))
+      gspeed = issVelKmh * 0.85; // heuristic
+    else
+      gspeed = 27500.0 * 0.85;
+  }
+
+  // Produce points every 60s for 60 minutes along great circle
+  String out = "[";
+  bool first = true;
+  double lat = issLat, lon = issLon;
+  for (int s = 60; s <= 3600; s += 60)
+  {
+    double distKm = gspeed * (s / 3600.0);
+    double yl, yo;
+    movePoint(issLat, issLon, distKm, brg, yl, yo);
+    if (!first)
+      out += ",";
+    first = false;
+    DynamicJsonDocument row(64);
+    row["lat"] = yl;
+    row["lon"] = yo;
+    String js;
+    serializeJson(row, js);
+    out += js;
+  }
+  out += "]";
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+void handleTleJson()
+{
+  File f = LittleFS.open(TLE_FILE, "r");
+  if (!f)
+  {
+    server.send(404, "application/json", "{\"err\":\"no tle cached\"}");
+    return;
+  }
+  server.sendHeader("Cache-Control", "no-store");
+  server.streamFile(f, "application/json");
+  f.close();
+}
+
+String satsJson()
+{
+  return "[" + satList + "]";
+}
+
+void handleConfigJson()
+{
+  DynamicJsonDocument doc(768);
+  doc["wifi"]["ssid"] = WiFi.SSID();
+  doc["wifi"]["ip"] = WiFi.localIP().toString();
+  doc["home"]["lat"] = homeLat;
+  doc["home"]["lon"] = homeLon;
+  // How much history /track.json can give: oldest fix, bytes used of the budget, recording step
+  doc["track"]["from_ts"] = trackFirstTs();
+  doc["track"]["bytes"] = trackBytes();
+  doc["track"]["budget"] = TRACK_BUDGET_BYTES;
+  doc["track"]["step_s"] = TRACK_STEP_S;
+  doc["sats"] = serialized(satsJson());
+  prefsToJson(doc.createNestedObject("prefs"));
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+void handleScanJson() {
+  // Always do a fresh synchronous scan - ONLY reliable method in AP_STA mode
+  int n = WiFi.scanNetworks(false, true);
+
+  // Known ESP32 quirk: in AP_STA mode after moving environments, scan can return 0 or -1 until radio fully reset.
+  // If first scan produced no results, perform a forced radio refresh and retry once.
+  if (n <= 0) {
+    // Preserve current AP SSID (portal mode) and restart cleanly
+    String apS = apSSID();
+    // Light reset sequence – avoid full device reboot
+    WiFi.scanDelete();
+    WiFi.disconnect(false); // clear ongoing states without erasing creds
+    WiFi.mode(WIFI_OFF);
+    delay(120);
+    WiFi.mode(WIFI_AP_STA);
+    WiFi.softAP(apS.c_str(), nullptr);
+    delay(250); // allow AP + STA init settle
+    n = WiFi.scanNetworks(false, true);
+  }
+
+  DynamicJsonDocument doc(4096);
+  JsonObject meta = doc.createNestedObject("meta");
+  meta["count"] = n;
+  meta["mode"] = (wifiState == WifiState::PORTAL ? "portal" : "sta");
+  meta["ap_sta"] = (WiFi.getMode() == WIFI_AP_STA);
+  JsonArray arr = doc.createNestedArray("nets");
+  if (n > 0) {
+    for (int i = 0; i < n; ++i) {
+      JsonObject o = arr.createNestedObject();
+      o["ssid"] = WiFi.SSID(i);
+      o["rssi"] = WiFi.RSSI(i);
+      o["locked"] = (WiFi.encryptionType(i) != WIFI_AUTH_OPEN);
+      o["saved"] = (findWifiNet(WiFi.SSID(i)) >= 0);
+    }
+  }
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+// ----------------- WIFI NETWORKS / DIAGNOSTICS -----------------
+const char *wifiStatusText(wl_status_t st)
+{
+  switch (st)
+  {
+  case WL_IDLE_STATUS: return "idle";
+  case WL_NO_SSID_AVAIL: return "network not found";
+  case WL_SCAN_COMPLETED: return "scan completed";
+  case WL_CONNECTED: return "connected";
+  case WL_CONNECT_FAILED: return "connect failed";
+  case WL_CONNECTION_LOST: return "connection lost";
+  case WL_DISCONNECTED: return "disconnected";
+  default: return "off";
+  }
+}
+
+// Numeric wifi_err_reason_t values, so this reads the same on every ESP32 core
+String disconnectReasonText(uint8_t r)
+{
+  switch (r)
+  {
+  case 0: return "";
+  case 2: return "authentication expired";
+  case 3: return "deauthenticated by the access point";
+  case 4: return "association expired";
+  case 15:
+  case 204: return "handshake timed out (wrong password?)";
+  case 23: return "802.1X authentication failed";
+  case 200: return "access point stopped responding";
+  case 201: return "network not found";
+  case 202: return "authentication failed (wrong password?)";
+  case 203: return "association refused";
+  case 205: return "connection failed";
+  default: return "reason " + String(r);
+  }
+}
+
+void onWifiEvent(WiFiEvent_t event, WiFiEventInfo_t info)
+{
+  if (event != ARDUINO_EVENT_WIFI_STA_DISCONNECTED)
+    return;
+  uint8_t r = info.wifi_sta_disconnected.reason;
+  if (r == 8) // ASSOC_LEAVE: we hung up ourselves, keep the real cause
+    return;
+  lastDiscReason = r;
+  lastDiscSsid = lastStaAttemptSsid;
+  lastDiscMs = millis();
+}
+
+void handleWifiDebug()
+{
+  DynamicJsonDocument d(768);
+  d["last_attempt_ssid"] = lastStaAttemptSsid;
+  d["last_attempt_result"] = (lastStaAttempt==StaAttemptResult::SUCCESS?"success":(lastStaAttempt==StaAttemptResult::TIMEOUT_FAIL?"timeout_fail":"none"));
+  d["last_attempt_duration_ms"] = lastStaAttemptDurationMs;
+  d["wifi_status"] = (int)WiFi.status();
+  d["saved_creds"] = (int)lastStaAttemptSsid.length();
+  d["wifi_status_text"] = wifiStatusText(WiFi.status());
+  d["mode"] = (wifiState == WifiState::PORTAL ? "portal" : "sta");
+  d["saved_count"] = wifiNetCount;
+  if (WiFi.status() == WL_CONNECTED)
+  {
+    d["ssid"] = WiFi.SSID();
+    d["rssi"] = WiFi.RSSI();
+    d["channel"] = WiFi.channel();
+    d["ip"] = WiFi.localIP().toString();
+  }
+  if (lastDiscReason)
+  {
+    d["last_fail_reason"] = lastDiscReason;
+    d["last_fail_text"] = disconnectReasonText(lastDiscReason);
+    d["last_fail_ssid"] = lastDiscSsid;
+    d["last_fail_age_s"] = (millis() - lastDiscMs) / 1000;
+  }
+  String out; serializeJson(d,out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+void sendWifiNets()
+{
+  DynamicJsonDocument doc(1024);
+  doc["max"] = MAX_WIFI_NETS;
+  JsonArray arr = doc.createNestedArray("nets");
+  bool up = (wifiState == WifiState::STA_OK && WiFi.status() == WL_CONNECTED);
+  for (uint8_t i = 0; i < wifiNetCount; ++i)
+  {
+    JsonObject o = arr.createNestedObject();
+    o["ssid"] = wifiNets[i].ssid;
+    o["open"] = (wifiNets[i].pass.length() == 0);
+    o["connected"] = up && WiFi.SSID() == wifiNets[i].ssid;
+  }
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+// GET: saved networks in priority order (no passwords).
+// POST {"nets":[{"ssid":"…","pass":"…"},…]}: replaces the list in that order; omit "pass" to keep a stored password.
+// Takes effect the next time the device connects.
+void handleWifiJson()
+{
+  if (server.method() == HTTP_GET)
+  {
+    sendWifiNets();
+    return;
+  }
+  if (!requireBrowser())
+    return;
+
+  DynamicJsonDocument doc(1536);
+  if (deserializeJson(doc, server.arg("plain")) != DeserializationError::Ok || !doc["nets"].is<JsonArray>())
+  {
+    server.send(400, "application/json", "{\"err\":\"nets array required\"}");
+    return;
+  }
+  JsonArray arr = doc["nets"];
+  if (arr.size() > MAX_WIFI_NETS)
+  {
+    server.send(400, "application/json", "{\"err\":\"at most " + String(MAX_WIFI_NETS) + " networks\"}");
+    return;
+  }
+  WifiNet next[MAX_WIFI_NETS];
+  uint8_t n = 0;
+  for (JsonObject o : arr)
+  {
+    String ssid = o["ssid"] | "";
+    if (!ssid.length() || ssid.length() > 32)
+    {
+      server.send(400, "application/json", "{\"err\":\"ssid must be 1-32 characters\"}");
+      return;
+    }
+    for (uint8_t j = 0; j < n; ++j)
+      if (next[j].ssid == ssid)
+      {
+        server.send(400, "application/json", "{\"err\":\"duplicate ssid\"}");
+        return;
+      }
+    int old = findWifiNet(ssid);
+    String pass = o.containsKey("pass") ? String((const char *)(o["pass"] | "")) : (old >= 0 ? wifiNets[old].pass : String(""));
+    if (pass.length() > 64)
+    {
+      server.send(400, "application/json", "{\"err\":\"password must be at most 64 characters\"}");
+      return;
+    }
+    next[n].ssid = ssid;
+    next[n].pass = pass;
+    n++;
+  }
+  for (uint8_t i = 0; i < n; ++i)
+    wifiNets[i] = next[i];
+  wifiNetCount = n;
+  saveWifiNets();
+  sendWifiNets();
+}
+
+// ----- legacy /loc and /savehome -----
+// The token goes in an Authorization: Bearer header or the JSON body's "token", never the URL (it would end up in logs)
+void handleLoc()
+{
+  double lat = NAN, lon = NAN;
+  DynamicJsonDocument doc(256);
+  bool haveBody = false;
+  if (server.method() == HTTP_GET)
+  {
+    if (server.hasArg("lat"))
+      lat = server.arg("lat").toDouble();
+    if (server.hasArg("lon"))
+      lon = server.arg("lon").toDouble();
+  }
+  else if (deserializeJson(doc, server.arg("plain")) == DeserializationError::Ok)
+  {
+    haveBody = true;
+    lat = doc["lat"] | NAN;
+    lon = doc["lon"] | NAN;
+  }
+  if (!apiOk(haveBody ? &doc : nullptr, "token"))
+  {
+    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    return;
+  }
+  if (isnan(lat) || isnan(lon))
+  {
+    server.send(400, "application/json", "{\"err\":\"lat/lon required\"}");
+    return;
+  }
+
+  homeLat = lat;
+  homeLon = lon;
+  saveHomeToNVS(lat, lon);
+  sseBroadcast("home", homeJson());
+  screenChanged = true;
+  server.send(200, "application/json", "{\"ok\":true}");
+}
+
+void handleSaveHome()
+{
+  if (!requireBrowser(false))
+    return;
+  double lat = NAN, lon = NAN;
+  if (server.hasArg("lat"))
+    lat = server.arg("lat").toDouble();
+  if (server.hasArg("lon"))
+    lon = server.arg("lon").toDouble();
+  if (isnan(lat) || isnan(lon))
+  {
+    server.send(400, "text/plain; charset=utf-8", "lat/lon required");
+    return;
+  }
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180)
+  {
+    server.send(400, "text/plain; charset=utf-8", "lat must be -90..90 and lon -180..180");
+    return;
+  }
+  homeLat = lat;
+  homeLon = lon;
+  saveHomeToNVS(lat, lon);
+  sseBroadcast("home", homeJson());
+  screenChanged = true;
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "text/html; charset=utf-8", "<meta http-equiv='refresh' content='1;url=/'/>Saved.");
+}
+
+// ----- runtime settings -----
+void settingsToJson(JsonDocument &doc)
+{
+  doc["radius_km"] = alertRadiusKm;
+  doc["hyst_km"] = alertHystKm;
+  doc["fetch_s"] = fetchIntervalMs / 1000.0;
+  doc["beep_hz"] = alertBeepHz;
+  doc["sound"] = soundEnabled;
+  doc["led"] = ledAlerts;
+  prefsToJson(doc.as<JsonObject>());
+  doc["token_set"] = locToken.length() > 0; // never echo the token itself
+}
+
+void sendSettings()
+{
+  DynamicJsonDocument doc(512);
+  settingsToJson(doc);
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+// GET: current settings. POST (JSON, any subset of the GET fields plus "token"): validate all, then apply live.
+// Changing settings needs the current token ("auth") or an admin login, see apiOk().
+void handleSettingsJson()
+{
+  if (server.method() == HTTP_GET)
+  {
+    sendSettings();
+    return;
+  }
+
+  DynamicJsonDocument doc(512);
+  if (deserializeJson(doc, server.arg("plain")) != DeserializationError::Ok)
+  {
+    server.send(400, "application/json", "{\"err\":\"invalid JSON\"}");
+    return;
+  }
+  if (!apiOk(&doc, "auth"))
+  {
+    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    return;
+  }
+
+  // Validate everything first so a bad field changes nothing
+  double radius = doc["radius_km"] | alertRadiusKm;
+  double hyst = doc["hyst_km"] | alertHystKm;
+  double fetchS = doc["fetch_s"] | (fetchIntervalMs / 1000.0);
+  long beepHz = doc["beep_hz"] | (long)alertBeepHz;
+  String units = doc["units"] | unitsName(displayUnits);
+  String coords = doc["coords"] | (dmsCoords ? "dms" : "decimal");
+  String clockFmt = doc["clock"] | (clock12h ? "12h" : "24h");
+  String tz = doc["tz"] | timeZone;
+  String lang = doc["lang"] | uiLang;
+  String token = doc["token"] | locToken;
+  Units newUnits;
+  const char *err = nullptr;
+  if (isnan(radius) || radius < 100 || radius > 5000)
+    err = "radius_km must be 100-5000";
+  else if (isnan(hyst) || hyst < 0 || hyst > 2000)
+    err = "hyst_km must be 0-2000";
+  else if (isnan(fetchS) || fetchS < 2 || fetchS > 300)
+    err = "fetch_s must be 2-300";
+  else if (beepHz < 200 || beepHz > 8000)
+    err = "beep_hz must be 200-8000";
+  else if (!parseUnits(units, newUnits))
+    err = "units must be metric, imperial or nautical";
+  else if (coords != "decimal" && coords != "dms")
+    err = "coords must be decimal or dms";
+  else if (clockFmt != "24h" && clockFmt != "12h")
+    err = "clock must be 24h or 12h";
+  else if (!timeZoneOk(tz))
+    err = "tz must be an IANA time zone name like Europe/Berlin, or empty";
+  else if (!uiLangOk(lang))
+    err = "lang must be en or de";
+  else if (token.length() > 64)
+    err = "token must be at most 64 characters";
+  if (err)
+  {
+    server.send(400, "application/json", String("{\"err\":\"") + err + "\"}");
+    return;
+  }
+
+  alertRadiusKm = radius;
+  alertHystKm = hyst;
+  fetchIntervalMs = (uint32_t)(fetchS * 1000.0);
+  alertBeepHz = (uint16_t)beepHz;
+  soundEnabled = doc["sound"] | soundEnabled;
+  ledAlerts = doc["led"] | ledAlerts;
+  displayUnits = newUnits;
+  dmsCoords = (coords == "dms");
+  clock12h = (clockFmt == "12h");
+  timeZone = tz;
+  uiLang = lang;
+  locToken = token;
+  saveSettingsToNVS();
+  sseBroadcast("prefs", prefsJson());
+
+  // Apply live: silence/blink state, header and values redraw on the next loop
+  if (!soundEnabled)
+    stopContinuousBeepNow();
+  if (!ledAlerts)
+  {
+    ledBlinking = false;
+    ledOff();
+  }
+  drawHeader();
+  screenChanged = true;
+  sendSettings();
+}
+
+// ----- MQTT settings: /mqtt.json -----
+void sendMqttSettings()
+{
+  DynamicJsonDocument doc(640);
+  doc["enabled"] = mqttEnabled;
+  doc["host"] = mqttHost;
+  doc["port"] = mqttPort;
+  doc["user"] = mqttUser;
+  doc["pass_set"] = mqttPass.length() > 0; // never echo the password
+  doc["topic"] = mqttTopic;
+  doc["discovery"] = mqttDiscovery;
+  doc["discovery_prefix"] = mqttDiscoveryPrefix;
+  doc["connected"] = mqtt.connected();
+  doc["state"] = mqtt.state(); // PubSubClient: 0 connected, <0 network/timeout, >0 refused by the broker
+  doc["node_id"] = mqttNodeId();
+  doc["last_command"] = mqttLastCommand;
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+// Topic bases: no wildcards, no empty levels at either end
+bool mqttTopicOk(const String &t)
+{
+  return t.length() > 0 && t.length() <= 48 && t.indexOf('+') < 0 && t.indexOf('#') < 0 &&
+         !t.startsWith("/") && !t.endsWith("/");
+}
+
+// GET: broker settings and connection state. POST (JSON, any subset of the GET fields plus "pass"; "pass":"" clears it):
+// validate all, save, and reconnect. Same token rule as /settings.json.
+void handleMqttJson()
+{
+  if (server.method() == HTTP_GET)
+  {
+    sendMqttSettings();
+    return;
+  }
+
+  DynamicJsonDocument doc(768);
+  if (deserializeJson(doc, server.arg("plain")) != DeserializationError::Ok)
+  {
+    server.send(400, "application/json", "{\"err\":\"invalid JSON\"}");
+    return;
+  }
+  if (!apiOk(&doc, "auth"))
+  {
+    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    return;
+  }
+
+  bool enabled = doc["enabled"] | mqttEnabled;
+  String host = doc["host"] | mqttHost;
+  long port = doc["port"] | (long)mqttPort;
+  String user = doc["user"] | mqttUser;
+  String pass = doc["pass"] | mqttPass;
+  String topic = doc["topic"] | mqttTopic;
+  String prefix = doc["discovery_prefix"] | mqttDiscoveryPrefix;
+  host.trim();
+  topic.trim();
+  prefix.trim();
+  const char *err = nullptr;
+  if (host.length() > 64)
+    err = "host must be at most 64 characters";
+  else if (enabled && !host.length())
+    err = "host required";
+  else if (port < 1 || port > 65535)
+    err = "port must be 1-65535";
+  else if (user.length() > 64 || pass.length() > 64)
+    err = "user and pass must be at most 64 characters";
+  else if (!mqttTopicOk(topic))
+    err = "topic must be 1-48 characters without + # or a leading/trailing /";
+  else if (!mqttTopicOk(prefix))
+    err = "discovery_prefix must be 1-48 characters without + # or a leading/trailing /";
+  if (err)
+  {
+    server.send(400, "application/json", String("{\"err\":\"") + err + "\"}");
+    return;
+  }
+
+  mqttRestart(); // announce "offline" under the old base topic before it changes
+  mqttEnabled = enabled;
+  mqttHost = host;
+  mqttPort = (uint16_t)port;
+  mqttUser = user;
+  mqttPass = pass;
+  mqttTopic = topic;
+  mqttDiscovery = doc["discovery"] | mqttDiscovery;
+  mqttDiscoveryPrefix = prefix;
+  saveMqttToNVS();
+  sendMqttSettings();
+}
+
+// ----- admin login: /auth.json, /login, /logout, /auth/password, /auth/token -----
+// What this browser may do; csrf is only handed to pages that may change things
+void sendAuthState(int s)
+{
+  DynamicJsonDocument doc(256);
+  doc["password_set"] = adminSet();
+  doc["logged_in"] = s >= 0;
+  doc["token_set"] = locToken.length() > 0;
+  String csrf = csrfFor(s);
+  if (csrf.length())
+    doc["csrf"] = csrf;
+  String out;
+  serializeJson(doc, out);
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", out);
+}
+
+void handleAuthJson()
+{
+  sendAuthState(currentSession());
+}
+
+bool loginPaused(const LoginFails &e)
+{
+  return e.blockedUntilMs && (int32_t)(millis() - e.blockedUntilMs) < 0;
+}
+
+// Which slot a new client takes over: a free one, else one that isn't paused, else the least recently seen
+bool reuseBefore(const LoginFails &a, const LoginFails &b)
+{
+  if (!a.ip != !b.ip)
+    return !a.ip;
+  if (loginPaused(a) != loginPaused(b))
+    return !loginPaused(a);
+  return (int32_t)(a.lastMs - b.lastMs) < 0;
+}
+
+// The requesting client's entry (a successful login frees it again)
+LoginFails &loginFailsForClient()
+{
+  uint32_t ip = (uint32_t)server.client().remoteIP();
+  LoginFails *pick = nullptr;
+  for (auto &e : loginFails)
+  {
+    if (e.ip == ip)
+    {
+      e.lastMs = millis();
+      return e;
+    }
+    if (!pick || reuseBefore(e, *pick))
+      pick = &e;
+  }
+  *pick = LoginFails();
+  pick->ip = ip;
+  pick->lastMs = millis();
+  return *pick;
+}
+
+// Counts a wrong password from this client; true (after answering 429) while its logins are paused
+bool loginBlocked(bool failed)
+{
+  LoginFails &e = loginFailsForClient();
+  if (failed && ++e.fails >= LOGIN_MAX_FAILS)
+  {
+    e.fails = 0;
+    e.blockedUntilMs = millis() + LOGIN_LOCK_MS;
+  }
+  if (loginPaused(e))
+  {
+    server.sendHeader("Retry-After", String((e.blockedUntilMs - millis()) / 1000 + 1));
+    server.send(429, "application/json", "{\"err\":\"too many wrong passwords, try again in a minute\"}");
+    return true;
+  }
+  e.blockedUntilMs = 0;
+  return false;
+}
+
+// POST {"password":"…"} → session cookie
+void handleLogin()
+{
+  if (loginBlocked(false))
+    return;
+  DynamicJsonDocument doc(256);
+  if (deserializeJson(doc, server.arg("plain")) != DeserializationError::Ok)
+  {
+    server.send(400, "application/json", "{\"err\":\"invalid JSON\"}");
+    return;
+  }
+  if (!adminSet())
+  {
+    server.send(400, "application/json", "{\"err\":\"no admin password set\"}");
+    return;
+  }
+  if (!adminPasswordOk(doc["password"] | ""))
+  {
+    if (!loginBlocked(true))
+      server.send(401, "application/json", "{\"err\":\"wrong password\"}");
+    return;
+  }
+  loginFailsForClient() = LoginFails();
+  sendAuthState(startSession());
+}
+
+void handleLogout()
+{
+  int s = currentSession();
+  if (s >= 0 && !csrfOk(s))
+  {
+    server.send(403, "application/json", "{\"err\":\"missing or stale CSRF token, reload the page\"}");
+    return;
+  }
+  if (s >= 0)
+    sessions[s] = Session();
+  clearSessionCookie();
+  sendAuthState(-1);
 }
 
-// Very light 1-hour ground-track prediction based on recent motion vector
-void handlePredictJson()
+// POST {"password":"…" ("" removes it), "current":"…" (when one is set), "auth":"…" (API token, first time only)}.
+// Ends every session; the caller gets a fresh one.
+void handleAuthPassword()
 {
-  // Need two samples to estimate motion
-  if (isnan(prevLat) || isnan(prevLon) || isnan(issLat) || isnan(issLon))
+  if (!requireBrowser() || loginBlocked(false))
+    return;
+  DynamicJsonDocument doc(384);
+  if (deserializeJson(doc, server.arg("plain")) != DeserializationError::Ok)
   {
-    server.send(200, "application/json", "[]");
+    server.send(400, "application/json", "{\"err\":\"invalid JSON\"}");
     return;
   }
-  // Bearing from last two points
-  double brg = initialBearingDeg(prevLat, prevLon, issLat, issLon);
-
-  // Estimate ground speed (km/h) from last interval if available; else fall back to raw velocity * cos(lat) as crude proj
-  double gspeed = NAN;
-  if (prevSampleMs)
+  if (!apiOk(&doc, "auth"))
   {
-    uint32_t dtMs = millis() - prevSampleMs;
-    if (dtMs >= 1000)
-    {
-      double dKm = greatCircleKm(prevLat, prevLon, issLat, issLon);
-      double hours = (double)dtMs / 3600000.0;
-      if (hours > 0)
-        gspeed = dKm / hours;
-    }
+    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    return;
   }
-  if (isnan(gspeed))
+  if (adminSet() && !adminPasswordOk(doc["current"] | ""))
   {
-    // crude: project orbital speed to ground speed; ignore winds, etc.
-    if (!isnan(issVelKmh))
-      gspeed = issVelKmh * 0.85; // heuristic
-    else
-      gspeed = 27500.0 * 0.85;
+    if (!loginBlocked(true))
+      server.send(401, "application/json", "{\"err\":\"current password is wrong\"}");
+    return;
   }
-
-  // Produce points every 60s for 60 minutes along great circle
-  String out = "[";
-  bool first = true;
-  double lat = issLat, lon = issLon;
-  for (int s = 60; s <= 3600; s += 60)
+  String pw = doc["password"] | "";
+  if (pw.length() && (pw.length() < ADMIN_PASS_MIN || pw.length() > 64))
   {
-    double distKm = gspeed * (s / 3600.0);
-    double yl, yo;
-    movePoint(issLat, issLon, distKm, brg, yl, yo);
-    if (!first)
-      out += ",";
-    first = false;
-    DynamicJsonDocument row(64);
-    row["lat"] = yl;
-    row["lon"] = yo;
-    String js;
-    serializeJson(row, js);
-    out += js;
+    server.send(400, "application/json", "{\"err\":\"password must be " + String(ADMIN_PASS_MIN) + "-64 characters\"}");
+    return;
+  }
+  setAdminPassword(pw);
+  if (adminSet())
+    sendAuthState(startSession());
+  else
+  {
+    clearSessionCookie();
+    sendAuthState(-1);
   }
-  out += "]";
-  server.sendHeader("Cache-Control", "no-store");
-  server.send(200, "application/json", out);
 }
 
-void handleConfigJson()
+// New random API token, shown once. Scripts using the old one stop working.
+void handleAuthToken()
 {
-  DynamicJsonDocument doc(192);
-  doc["wifi"]["ssid"] = WiFi.SSID();
-  doc["wifi"]["ip"] = WiFi.localIP().toString();
-  doc["home"]["lat"] = homeLat;
-  doc["home"]["lon"] = homeLon;
-  String out;
-  serializeJson(doc, out);
+  if (!requireBrowser())
+    return;
+  DynamicJsonDocument doc(256);
+  deserializeJson(doc, server.arg("plain")); // body is optional
+  if (!apiOk(&doc, "auth"))
+  {
+    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    return;
+  }
+  locToken = randomHex(12);
+  saveSettingsToNVS();
   server.sendHeader("Cache-Control", "no-store");
-  server.send(200, "application/json", out);
+  server.send(200, "application/json", "{\"token\":\"" + locToken + "\",\"token_set\":true}");
 }
 
-void handleScanJson() {
-  // Always do a fresh synchronous scan - ONLY reliable method in AP_STA mode
-  int n = WiFi.scanNetworks(false, true);
-
-  // Known ESP32 quirk: in AP_STA mode after moving environments, scan can return 0 or -1 until radio fully reset.
-  // If first scan produced no results, perform a forced radio refresh and retry once.
-  if (n <= 0) {
-    // Preserve current AP SSID (portal mode) and restart cleanly
-    String apS = apSSID();
-    // Light reset sequence – avoid full device reboot
-    WiFi.scanDelete();
-    WiFi.disconnect(false); // clear ongoing states without erasing creds
-    WiFi.mode(WIFI_OFF);
-    delay(120);
-    WiFi.mode(WIFI_AP_STA);
-    WiFi.softAP(apS.c_str(), nullptr);
-    delay(250); // allow AP + STA init settle
-    n = WiFi.scanNetworks(false, true);
+// Satellite list for the web dashboard: ids=25544,48274,...
+void handleSaveSats()
+{
+  if (!requireBrowser())
+    return;
+  if (!server.hasArg("ids"))
+  {
+    server.send(400, "application/json", "{\"err\":\"ids required\"}");
+    return;
   }
+  satList = cleanSatList(server.arg("ids"));
+  saveSatsToNVS(satList);
+  sseBroadcast("sats", satsJson());
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", "{\"ok\":true,\"sats\":" + satsJson() + "}");
+}
 
-  DynamicJsonDocument doc(4096);
-  JsonObject meta = doc.createNestedObject("meta");
-  meta["count"] = n;
-  meta["mode"] = (wifiState == WifiState::PORTAL ? "portal" : "sta");
-  meta["ap_sta"] = (WiFi.getMode() == WIFI_AP_STA);
-  JsonArray arr = doc.createNestedArray("nets");
-  if (n > 0) {
-    for (int i = 0; i < n; ++i) {
-      JsonObject o = arr.createNestedObject();
-      o["ssid"] = WiFi.SSID(i);
-      o["rssi"] = WiFi.RSSI(i);
-      o["locked"] = (WiFi.encryptionType(i) != WIFI_AUTH_OPEN);
-    }
+// ----- observers: /observers.json, /observers/save, /observers/delete, /observers/select -----
+String observersJson()
+{
+  DynamicJsonDocument doc(1536);
+  doc["active"] = activeObsId;
+  doc["max"] = MAX_OBSERVERS;
+  JsonArray arr = doc.createNestedArray("observers");
+  for (uint8_t i = 0; i < observerCount; ++i)
+  {
+    JsonObject o = arr.createNestedObject();
+    o["id"] = observers[i].id;
+    o["name"] = observers[i].name;
+    o["lat"] = observers[i].lat;
+    o["lon"] = observers[i].lon;
   }
   String out;
   serializeJson(doc, out);
+  return out;
+}
+
+void sendObservers()
+{
+  String out = observersJson();
+  sseBroadcast("observers", out);
+  screenChanged = true;
   server.sendHeader("Cache-Control", "no-store");
   server.send(200, "application/json", out);
 }
 
-// ----- legacy /loc and /savehome -----
-void handleLoc()
+// Make observer i the one the proximity bar and buzzer measure from
+void activateObserver(int i)
 {
-  String tok = "";
-  if (server.hasHeader("Authorization"))
+  activeObsId = observers[i].id;
+  homeLat = observers[i].lat;
+  homeLon = observers[i].lon;
+  saveHomeToNVS(homeLat, homeLon); // also stores the list with the new active id
+  // Start the alert over from the new place
+  wasClose = false;
+  stopContinuousBeepNow();
+  ledBlinking = false;
+  ledOff();
+  sseBroadcast("home", homeJson());
+}
+
+void handleObserversJson()
+{
+  server.sendHeader("Cache-Control", "no-store");
+  server.send(200, "application/json", observersJson());
+}
+
+// POST name, lat, lon → new observer; with id → rename/move that one
+void handleObserverSave()
+{
+  if (!requireBrowser())
+    return;
+  String name = server.hasArg("name") ? server.arg("name") : "";
+  name.trim();
+  double lat = server.hasArg("lat") ? server.arg("lat").toDouble() : NAN;
+  double lon = server.hasArg("lon") ? server.arg("lon").toDouble() : NAN;
+  if (!name.length() || name.length() > OBSERVER_NAME_MAX)
   {
-    String h = server.header("Authorization");
-    if (h.startsWith("Bearer "))
-      tok = h.substring(7);
+    server.send(400, "application/json", "{\"err\":\"name must be 1-" + String(OBSERVER_NAME_MAX) + " characters\"}");
+    return;
   }
-  if (tok == "" && server.hasArg("token"))
-    tok = server.arg("token");
-  if (!tokenOk(tok))
+  if (isnan(lat) || isnan(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180)
   {
-    server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
+    server.send(400, "application/json", "{\"err\":\"lat must be -90..90 and lon -180..180\"}");
     return;
   }
 
-  double lat = NAN, lon = NAN;
-  if (server.method() == HTTP_GET)
+  int i = -1;
+  if (server.hasArg("id"))
   {
-    if (server.hasArg("lat"))
-      lat = server.arg("lat").toDouble();
-    if (server.hasArg("lon"))
-      lon = server.arg("lon").toDouble();
+    i = findObserver(server.arg("id").toInt());
+    if (i < 0)
+    {
+      server.send(404, "application/json", "{\"err\":\"no such observer\"}");
+      return;
+    }
   }
   else
   {
-    String body = server.arg("plain");
-    DynamicJsonDocument doc(256);
-    if (deserializeJson(doc, body) == DeserializationError::Ok)
+    if (observerCount >= MAX_OBSERVERS)
     {
-      lat = doc["lat"] | NAN;
-      lon = doc["lon"] | NAN;
-      if (tok == "" && doc.containsKey("token"))
-        tok = (const char *)doc["token"];
-      if (!tokenOk(tok))
-      {
-        server.send(401, "application/json", "{\"err\":\"unauthorized\"}");
-        return;
-      }
+      server.send(400, "application/json", "{\"err\":\"at most " + String(MAX_OBSERVERS) + " observers\"}");
+      return;
     }
+    uint16_t id = 0;
+    for (uint8_t k = 0; k < observerCount; ++k)
+      id = max(id, observers[k].id);
+    i = observerCount++;
+    observers[i].id = id + 1;
   }
-  if (isnan(lat) || isnan(lon))
+  observers[i].name = name;
+  observers[i].lat = lat;
+  observers[i].lon = lon;
+  if (observers[i].id == activeObsId)
+    activateObserver(i);
+  else
+    saveObserversToNVS();
+  sendObservers();
+}
+
+void handleObserverDelete()
+{
+  if (!requireBrowser())
+    return;
+  int i = server.hasArg("id") ? findObserver(server.arg("id").toInt()) : -1;
+  if (i < 0)
   {
-    server.send(400, "application/json", "{\"err\":\"lat/lon required\"}");
+    server.send(404, "application/json", "{\"err\":\"no such observer\"}");
     return;
   }
-
-  homeLat = lat;
-  homeLon = lon;
-  saveHomeToNVS(lat, lon);
-  server.send(200, "application/json", "{\"ok\":true}");
+  if (observerCount == 1)
+  {
+    server.send(400, "application/json", "{\"err\":\"keep at least one observer\"}");
+    return;
+  }
+  bool wasActive = (observers[i].id == activeObsId);
+  for (uint8_t k = i; k + 1 < observerCount; ++k)
+    observers[k] = observers[k + 1];
+  observerCount--;
+  if (wasActive)
+    activateObserver(0);
+  else
+    saveObserversToNVS();
+  sendObservers();
 }
 
-void handleSaveHome()
+void handleObserverSelect()
 {
-  double lat = NAN, lon = NAN;
-  if (server.hasArg("lat"))
-    lat = server.arg("lat").toDouble();
-  if (server.hasArg("lon"))
-    lon = server.arg("lon").toDouble();
-  if (isnan(lat) || isnan(lon))
+  if (!requireBrowser())
+    return;
+  int i = server.hasArg("id") ? findObserver(server.arg("id").toInt()) : -1;
+  if (i < 0)
   {
-    server.send(400, "text/plain; charset=utf-8", "lat/lon required");
+    server.send(404, "application/json", "{\"err\":\"no such observer\"}");
     return;
   }
-  homeLat = lat;
-  homeLon = lon;
-  saveHomeToNVS(lat, lon);
+  activateObserver(i);
+  sendObservers();
+}
+
+// ----- device buttons: the physical ones and /button/a, /button/b from the web mirror -----
+// A: toggle sound
+void pressButtonA()
+{
+  soundEnabled = !soundEnabled;
+  if (!soundEnabled)
+    stopContinuousBeepNow();
+  saveSettingsToNVS();
+  drawHeader();
+  canvas.pushSprite(0, 0);
+  screenChanged = true;
+}
+
+// B: fetch ISS data now
+void pressButtonB()
+{
+  lastFetch = 0;
+}
+
+void handleButton(char which)
+{
+  if (!requireBrowser())
+    return;
+  if (which == 'A')
+    pressButtonA();
+  else
+    pressButtonB();
   server.sendHeader("Cache-Control", "no-store");
-  server.send(200, "text/html; charset=utf-8", "<meta http-equiv='refresh' content='1;url=/'/>Saved.");
+  server.send(200, "application/json", String("{\"button\":\"") + which + "\",\"sound\":" + (soundEnabled ? "true" : "false") + "}");
 }
 
 // ----------------- STATIC ROUTES -----------------
@@ -1056,6 +3103,10 @@ void routesForPortal()
   server.on("/", HTTP_GET, handleSetupHtml); // portal lands on setup
   server.on("/setup.html", HTTP_GET, handleSetupHtml);
   server.on("/index.html", HTTP_GET, handleIndex);
+  server.on("/embed.html", HTTP_GET, []()
+            { serveStaticFile("/embed.html"); });
+  server.on("/stats.html", HTTP_GET, []()
+            { serveStaticFile("/stats.html"); });
   server.on("/home", HTTP_GET, handleHomeRedirect);
 
   server.on("/favicon.ico", HTTP_GET, []()
@@ -1064,6 +3115,16 @@ void routesForPortal()
             { serveStaticFile("/assets/app.js"); });
   server.on("/assets/setup.js", HTTP_GET, []()
             { serveStaticFile("/assets/setup.js"); });
+  server.on("/assets/stats.js", HTTP_GET, []()
+            { serveStaticFile("/assets/stats.js"); });
+  server.on("/assets/prefs.js", HTTP_GET, []()
+            { serveStaticFile("/assets/prefs.js"); });
+  server.on("/assets/sgp4.js", HTTP_GET, []()
+            { serveStaticFile("/assets/sgp4.js"); });
+  server.on("/assets/geo.js", HTTP_GET, []()
+            { serveStaticFile("/assets/geo.js"); });
+  server.on("/assets/net.js", HTTP_GET, []()
+            { serveStaticFile("/assets/net.js"); });
   server.on("/assets/bootstrap.bundle.min.js", HTTP_GET, []()
             { serveStaticFile("/assets/bootstrap.bundle.min.js"); });
   server.on("/assets/leaflet.js", HTTP_GET, []()
@@ -1072,6 +3133,20 @@ void routesForPortal()
             { serveStaticFile("/assets/leaflet.terminator"); });
   server.on("/assets/style.css", HTTP_GET, []()
             { serveStaticFile("/assets/style.css"); });
+  server.on("/assets/cities.json", HTTP_GET, []()
+            { serveStaticFile("/assets/cities.json"); });
+  server.on("/assets/landmask.json", HTTP_GET, []()
+            { serveStaticFile("/assets/landmask.json"); });
+  server.on("/sw.js", HTTP_GET, []()
+            { serveStaticFile("/sw.js"); });
+  server.on("/manifest.webmanifest", HTTP_GET, []()
+            { serveStaticFile("/manifest.webmanifest"); });
+  server.on("/assets/icon-192.png", HTTP_GET, []()
+            { serveStaticFile("/assets/icon-192.png"); });
+  server.on("/assets/icon-512.png", HTTP_GET, []()
+            { serveStaticFile("/assets/icon-512.png"); });
+  server.on(UriBraces("/tiles/{}/{}/{}"), HTTP_GET, handleTile);
+  server.on("/tiles.json", HTTP_GET, handleTilesJson);
     server.on("/assets/bootstrap.min.css", HTTP_GET, []()
             { serveStaticFile("/assets/bootstrap.min.css"); });
     server.on("/assets/leaflet.css", HTTP_GET, []()
@@ -1079,38 +3154,32 @@ void routesForPortal()
 
   server.on("/iss.json", HTTP_GET, handleIssJson);
   server.on("/track.json", HTTP_GET, handleTrackJson);
+  server.on("/track.geojson", HTTP_GET, handleTrackGeoJson);
+  server.on("/track.gpx", HTTP_GET, handleTrackGpx);
   server.on("/predict.json", HTTP_GET, handlePredictJson);
+  server.on("/tle.json", HTTP_GET, handleTleJson);
   server.on("/config.json", HTTP_GET, handleConfigJson);
+  server.on("/events", HTTP_GET, handleEvents);
   server.on("/scan.json", HTTP_GET, handleScanJson);
   // Debug endpoint to inspect last STA connect attempt
-  server.on("/wifi_debug.json", HTTP_GET, [](){
-    DynamicJsonDocument d(256);
-    d["last_attempt_ssid"] = lastStaAttemptSsid;
-    d["last_attempt_result"] = (lastStaAttempt==StaAttemptResult::SUCCESS?"success":(lastStaAttempt==StaAttemptResult::TIMEOUT_FAIL?"timeout_fail":"none"));
-    d["last_attempt_duration_ms"] = lastStaAttemptDurationMs;
-    d["wifi_status"] = (int)WiFi.status();
-    d["saved_creds"] = (int)lastStaAttemptSsid.length();
-    String out; serializeJson(d,out);
-    server.sendHeader("Cache-Control", "no-store");
-    server.send(200, "application/json", out);
-  });
+  server.on("/wifi_debug.json", HTTP_GET, handleWifiDebug);
+  server.on("/wifi.json", HTTP_ANY, handleWifiJson);
 
-  // serve a BMP capture of the current screen (write to LittleFS then serve)
-  server.on("/screen.bmp", HTTP_GET, []()
-            {
-    const char* path = "/screen.bmp";
-    if (!writeScreenBmpToFile(path)) {
-      server.send(500, "text/plain", "failed to create bmp");
-      return;
-    }
-    if (!serveStaticFile(String(path))) {
-      server.send(500, "text/plain", "failed to serve bmp");
-    } });
+  server.on("/screen.raw", HTTP_GET, handleScreenRaw);
+  server.on("/button/a", HTTP_POST, []()
+            { handleButton('A'); });
+  server.on("/button/b", HTTP_POST, []()
+            { handleButton('B'); });
+
+  // BMP capture of the current screen
+  server.on("/screen.bmp", HTTP_GET, handleScreenBmp);
 
   // (screen.bmp route already registered above for portal; normal routes added below)
 
   server.on("/save", HTTP_POST, []()
             {
+    if (!requireBrowser(false))
+      return;
     String ssid = server.hasArg("ssid") ? server.arg("ssid") : "";
     String pass = server.hasArg("pass") ? server.arg("pass") : "";
     if (!ssid.length()) {
@@ -1124,6 +3193,8 @@ void routesForPortal()
     ESP.restart(); });
   server.on("/forget", HTTP_POST, []()
             {
+    if (!requireBrowser(false))
+      return;
     forgetWifiCreds();
     String apIP = WiFi.softAPIP().toString();
     server.sendHeader("Cache-Control", "no-store");
@@ -1133,7 +3204,20 @@ void routesForPortal()
 
   server.on("/loc", HTTP_ANY, handleLoc);
   server.on("/savehome", HTTP_POST, handleSaveHome);
-
+  server.on("/savesats", HTTP_POST, handleSaveSats);
+  server.on("/observers.json", HTTP_GET, handleObserversJson);
+  server.on("/observers/save", HTTP_POST, handleObserverSave);
+  server.on("/observers/delete", HTTP_POST, handleObserverDelete);
+  server.on("/observers/select", HTTP_POST, handleObserverSelect);
+  server.on("/settings.json", HTTP_ANY, handleSettingsJson);
+  server.on("/mqtt.json", HTTP_ANY, handleMqttJson);
+  server.on("/auth.json", HTTP_GET, handleAuthJson);
+  server.on("/login", HTTP_POST, handleLogin);
+  server.on("/logout", HTTP_POST, handleLogout);
+  server.on("/auth/password", HTTP_POST, handleAuthPassword);
+  server.on("/auth/token", HTTP_POST, handleAuthToken);
+
+  collectAuthHeaders();
   server.begin();
 }
 
@@ -1141,6 +3225,10 @@ void routesForNormal()
 {
   server.on("/", HTTP_GET, handleIndex);
   server.on("/index.html", HTTP_GET, handleIndex);
+  server.on("/embed.html", HTTP_GET, []()
+            { serveStaticFile("/embed.html"); });
+  server.on("/stats.html", HTTP_GET, []()
+            { serveStaticFile("/stats.html"); });
   server.on("/setup", HTTP_GET, handleSetupHtml);
   server.on("/setup.html", HTTP_GET, handleSetupHtml);
   server.on("/home", HTTP_GET, handleHomeRedirect);
@@ -1151,6 +3239,16 @@ void routesForNormal()
             { serveStaticFile("/assets/app.js"); });
   server.on("/assets/setup.js", HTTP_GET, []()
             { serveStaticFile("/assets/setup.js"); });
+  server.on("/assets/stats.js", HTTP_GET, []()
+            { serveStaticFile("/assets/stats.js"); });
+  server.on("/assets/prefs.js", HTTP_GET, []()
+            { serveStaticFile("/assets/prefs.js"); });
+  server.on("/assets/sgp4.js", HTTP_GET, []()
+            { serveStaticFile("/assets/sgp4.js"); });
+  server.on("/assets/geo.js", HTTP_GET, []()
+            { serveStaticFile("/assets/geo.js"); });
+  server.on("/assets/net.js", HTTP_GET, []()
+            { serveStaticFile("/assets/net.js"); });
   server.on("/assets/bootstrap.bundle.min.js", HTTP_GET, []()
             { serveStaticFile("/assets/bootstrap.bundle.min.js"); });
   server.on("/assets/leaflet.js", HTTP_GET, []()
@@ -1159,6 +3257,20 @@ void routesForNormal()
             { serveStaticFile("/assets/leaflet.terminator"); });
   server.on("/assets/style.css", HTTP_GET, []()
             { serveStaticFile("/assets/style.css"); });
+  server.on("/assets/cities.json", HTTP_GET, []()
+            { serveStaticFile("/assets/cities.json"); });
+  server.on("/assets/landmask.json", HTTP_GET, []()
+            { serveStaticFile("/assets/landmask.json"); });
+  server.on("/sw.js", HTTP_GET, []()
+            { serveStaticFile("/sw.js"); });
+  server.on("/manifest.webmanifest", HTTP_GET, []()
+            { serveStaticFile("/manifest.webmanifest"); });
+  server.on("/assets/icon-192.png", HTTP_GET, []()
+            { serveStaticFile("/assets/icon-192.png"); });
+  server.on("/assets/icon-512.png", HTTP_GET, []()
+            { serveStaticFile("/assets/icon-512.png"); });
+  server.on(UriBraces("/tiles/{}/{}/{}"), HTTP_GET, handleTile);
+  server.on("/tiles.json", HTTP_GET, handleTilesJson);
     server.on("/assets/bootstrap.min.css", HTTP_GET, []()
             { serveStaticFile("/assets/bootstrap.min.css"); });
     server.on("/assets/leaflet.css", HTTP_GET, []()
@@ -1166,37 +3278,41 @@ void routesForNormal()
 
   server.on("/iss.json", HTTP_GET, handleIssJson);
   server.on("/track.json", HTTP_GET, handleTrackJson);
+  server.on("/track.geojson", HTTP_GET, handleTrackGeoJson);
+  server.on("/track.gpx", HTTP_GET, handleTrackGpx);
   server.on("/predict.json", HTTP_GET, handlePredictJson);
+  server.on("/tle.json", HTTP_GET, handleTleJson);
   server.on("/config.json", HTTP_GET, handleConfigJson);
+  server.on("/events", HTTP_GET, handleEvents);
   server.on("/scan.json", HTTP_GET, handleScanJson);
   // Same diagnostics endpoint when in normal STA mode
-  server.on("/wifi_debug.json", HTTP_GET, [](){
-    DynamicJsonDocument d(256);
-    d["last_attempt_ssid"] = lastStaAttemptSsid;
-    d["last_attempt_result"] = (lastStaAttempt==StaAttemptResult::SUCCESS?"success":(lastStaAttempt==StaAttemptResult::TIMEOUT_FAIL?"timeout_fail":"none"));
-    d["last_attempt_duration_ms"] = lastStaAttemptDurationMs;
-    d["wifi_status"] = (int)WiFi.status();
-    d["saved_creds"] = (int)lastStaAttemptSsid.length();
-    String out; serializeJson(d,out);
-    server.sendHeader("Cache-Control", "no-store");
-    server.send(200, "application/json", out);
-  });
+  server.on("/wifi_debug.json", HTTP_GET, handleWifiDebug);
+  server.on("/wifi.json", HTTP_ANY, handleWifiJson);
 
-  // ensure /screen.bmp is available in normal routes (STA mode)
-  server.on("/screen.bmp", HTTP_GET, []()
-            {
-    const char* path = "/screen.bmp";
-    if (!writeScreenBmpToFile(path)) {
-      server.send(500, "text/plain", "failed to create bmp");
-      return;
-    }
-    if (!serveStaticFile(String(path))) {
-      server.send(500, "text/plain", "failed to serve bmp");
-    } });
+  server.on("/screen.raw", HTTP_GET, handleScreenRaw);
+  server.on("/button/a", HTTP_POST, []()
+            { handleButton('A'); });
+  server.on("/button/b", HTTP_POST, []()
+            { handleButton('B'); });
+
+  server.on("/screen.bmp", HTTP_GET, handleScreenBmp);
 
   server.on("/loc", HTTP_ANY, handleLoc);
   server.on("/savehome", HTTP_POST, handleSaveHome);
-
+  server.on("/savesats", HTTP_POST, handleSaveSats);
+  server.on("/observers.json", HTTP_GET, handleObserversJson);
+  server.on("/observers/save", HTTP_POST, handleObserverSave);
+  server.on("/observers/delete", HTTP_POST, handleObserverDelete);
+  server.on("/observers/select", HTTP_POST, handleObserverSelect);
+  server.on("/settings.json", HTTP_ANY, handleSettingsJson);
+  server.on("/mqtt.json", HTTP_ANY, handleMqttJson);
+  server.on("/auth.json", HTTP_GET, handleAuthJson);
+  server.on("/login", HTTP_POST, handleLogin);
+  server.on("/logout", HTTP_POST, handleLogout);
+  server.on("/auth/password", HTTP_POST, handleAuthPassword);
+  server.on("/auth/token", HTTP_POST, handleAuthToken);
+
+  collectAuthHeaders();
   server.begin();
   if (MDNS.begin(MDNS_NAME))
   {
@@ -1205,8 +3321,17 @@ void routesForNormal()
 }
 
 // =================== Wi-Fi control ===================
+// The STA connect in progress: scan, then each candidate in turn, then the first one again with a longer timeout
+enum class StaStep : uint8_t { SCAN, BEGIN, WAIT };
+StaStep staStep = StaStep::BEGIN;
+WifiNet staCand[MAX_WIFI_NETS];
+uint8_t staCandCount = 0;
+uint8_t staCandIdx = 0;
+bool staRetrying = false;
+uint32_t staStepMs = 0;
+
 void startPortal() {
-  // WiFi.disconnect(false) was already called in tryConnectSTA() after failed connection
+  // WiFi.disconnect(false) was already called in serviceStaConnect() after failed connection
   // Now safe to switch to AP_STA mode and start AP
   WiFi.mode(WIFI_AP_STA);
   WiFi.softAP(apSSID().c_str(), nullptr);
@@ -1219,69 +3344,102 @@ void startPortal() {
   wifiState = WifiState::PORTAL;
 }
 
-bool tryConnectSTA() {
-  String ssid, pass;
-  bool haveSaved = loadWifiCreds(ssid, pass);
-  if (!haveSaved && strlen(WIFI_SSID) > 0) {
-    ssid = WIFI_SSID;
-    pass = WIFI_PASSWORD;
-  }
-  if (!ssid.length()) {
-    startPortal();
-    return false;
-  }
-  // Record attempt metadata
-  lastStaAttemptSsid = ssid;
+void staConnected() {
+  lastStaAttempt = StaAttemptResult::SUCCESS;
+  server.stop();
+  routesForNormal();
+  beep(WIFI_BEEP_HZ, WIFI_BEEP_MS);
+  wifiState = WifiState::STA_OK;
+  lastStaOkMs = millis();
+  configTime(0, 0, NTP_SERVER);
+}
+
+// Start joining a saved network (the compiled-in credentials only when nothing is saved). Returns at once;
+// serviceStaConnect() carries it on from loop() so the screen and buttons stay responsive meanwhile.
+void startStaConnect() {
   lastStaAttempt = StaAttemptResult::NONE;
   lastStaAttemptDurationMs = 0;
-
-  WiFi.mode(WIFI_STA);
-  WiFi.begin(ssid.c_str(), pass.c_str());
-  uint32_t t0 = millis();
-  while (WiFi.status() != WL_CONNECTED && (millis() - t0) < WIFI_CONNECT_TIMEOUT_MS) {
-    delay(250);
-  }
-  lastStaAttemptDurationMs = millis() - t0;
-  if (WiFi.status() == WL_CONNECTED) {
-    lastStaAttempt = StaAttemptResult::SUCCESS;
-    server.stop();
-    routesForNormal();
-    beep(WIFI_BEEP_HZ, WIFI_BEEP_MS);
-    wifiState = WifiState::STA_OK;
-    lastStaOkMs = millis();
-    return true;
+  staCandCount = 0;
+  staCandIdx = 0;
+  staRetrying = false;
+  if (wifiNetCount == 0 && strlen(WIFI_SSID) == 0) {
+    startPortal();
+    return;
   }
-
-  // First attempt failed; perform a light radio reset & retry once with extended timeout.
-  WiFi.disconnect(false);
-  delay(120);
-  WiFi.mode(WIFI_OFF);
-  delay(120);
+  wifiState = WifiState::CONNECTING;
   WiFi.mode(WIFI_STA);
-  delay(80);
-  WiFi.begin(ssid.c_str(), pass.c_str());
-  uint32_t t1 = millis();
-  const uint32_t EXT_TIMEOUT_MS = WIFI_CONNECT_TIMEOUT_MS + 15000; // +15s for slow DHCP / hidden SSID
-  while (WiFi.status() != WL_CONNECTED && (millis() - t1) < EXT_TIMEOUT_MS) {
-    delay(300);
-  }
-  lastStaAttemptDurationMs += millis() - t1;
-  if (WiFi.status() == WL_CONNECTED) {
-    lastStaAttempt = StaAttemptResult::SUCCESS;
-    server.stop();
-    routesForNormal();
-    beep(WIFI_BEEP_HZ, WIFI_BEEP_MS);
-    wifiState = WifiState::STA_OK;
-    lastStaOkMs = millis();
-    return true;
+  if (wifiNetCount == 0) {
+    staCand[staCandCount].ssid = WIFI_SSID;
+    staCand[staCandCount].pass = WIFI_PASSWORD;
+    staCandCount++;
+    staStep = StaStep::BEGIN;
+    return;
   }
+  WiFi.scanNetworks(true, true);
+  staStep = StaStep::SCAN;
+  staStepMs = millis();
+}
 
-  // Final failure -> portal fallback
-  lastStaAttempt = StaAttemptResult::TIMEOUT_FAIL;
-  WiFi.disconnect(false);
-  delay(100);
-  startPortal();
-  return false;
+void serviceStaConnect() {
+  switch (staStep) {
+  case StaStep::SCAN: {
+    int n = WiFi.scanComplete();
+    if (n == WIFI_SCAN_RUNNING && millis() - staStepMs < WIFI_SCAN_TIMEOUT_MS)
+      return;
+    // Skip networks that aren't in range; if none show up (hidden SSID, empty scan) try them all
+    for (uint8_t i = 0; i < wifiNetCount; ++i) {
+      for (int j = 0; j < n; ++j) {
+        if (WiFi.SSID(j) == wifiNets[i].ssid) {
+          staCand[staCandCount++] = wifiNets[i];
+          break;
+        }
+      }
+    }
+    WiFi.scanDelete();
+    if (staCandCount == 0) {
+      for (uint8_t i = 0; i < wifiNetCount; ++i)
+        staCand[staCandCount++] = wifiNets[i];
+    }
+    staStep = StaStep::BEGIN;
+    break;
+  }
+  case StaStep::BEGIN:
+    lastStaAttemptSsid = staCand[staCandIdx].ssid;
+    WiFi.begin(staCand[staCandIdx].ssid.c_str(), staCand[staCandIdx].pass.c_str());
+    staStepMs = millis();
+    staStep = StaStep::WAIT;
+    break;
+  case StaStep::WAIT: {
+    uint32_t elapsed = millis() - staStepMs;
+    if (WiFi.status() == WL_CONNECTED) {
+      lastStaAttemptDurationMs += elapsed;
+      staConnected();
+      return;
+    }
+    if (elapsed < WIFI_CONNECT_TIMEOUT_MS + (staRetrying ? WIFI_RETRY_EXTRA_MS : 0))
+      return;
+    lastStaAttemptDurationMs += elapsed;
+    WiFi.disconnect(false);
+    if (!staRetrying && ++staCandIdx < staCandCount) {
+      staStep = StaStep::BEGIN;
+      return;
+    }
+    if (!staRetrying) {
+      // Nothing connected; perform a light radio reset & retry the preferred network once with extended timeout.
+      WiFi.mode(WIFI_OFF);
+      delay(100);
+      WiFi.mode(WIFI_STA);
+      staRetrying = true;
+      staCandIdx = 0;
+      staStep = StaStep::BEGIN;
+      return;
+    }
+    // Final failure -> portal fallback
+    lastStaAttempt = StaAttemptResult::TIMEOUT_FAIL;
+    startPortal();
+    break;
+  }
+  }
 }
 
 // ----------------- SETUP/LOOP -----------------
@@ -1294,6 +3452,7 @@ void setup()
   // Create M5Canvas sprite (240x135 RGB565 in-memory framebuffer)
   canvas.createSprite(240, 135);
   canvas.fillSprite(BLACK);
+  screenEpoch = esp_random();
 
   drawHeader();
   canvas.pushSprite(0, 0); // Push sprite to display
@@ -1307,6 +3466,10 @@ void setup()
     canvas.drawString("LittleFS mount failed", 4, 130);
     canvas.pushSprite(0, 0);
   }
+  else if (LittleFS.exists("/screen.bmp"))
+  {
+    LittleFS.remove("/screen.bmp"); // left behind by older firmware, which staged screenshots on flash
+  }
 
   // CRITICAL: Clean WiFi initialization to prevent 5-minute AP startup delays
   // This clears any stuck/corrupted WiFi state from previous sessions
@@ -1314,7 +3477,24 @@ void setup()
   delay(100);
   
   loadHomeFromNVS();
-  tryConnectSTA();
+  loadObserversFromNVS();
+  loadSatsFromNVS();
+  loadSettingsFromNVS();
+  loadMqttFromNVS();
+  loadAdminFromNVS();
+  // Forgotten admin password: hold A while powering on
+  M5.update();
+  if (M5.BtnA.isPressed() && adminSet())
+  {
+    setAdminPassword("");
+    canvas.setTextColor(YELLOW, BLACK);
+    canvas.drawString("Admin password cleared", 4, 118);
+    canvas.pushSprite(0, 0);
+    delay(1500);
+  }
+  loadWifiNets();
+  WiFi.onEvent(onWifiEvent);
+  startStaConnect();
   lastFetch = 0;
 }
 
@@ -1326,17 +3506,15 @@ void loop()
   {
     dns.processNextRequest();
   }
-
-  if (M5.BtnA.wasPressed())
+  else if (wifiState == WifiState::CONNECTING)
   {
-    soundEnabled = !soundEnabled;
-    drawHeader();
-    canvas.pushSprite(0, 0);
+    serviceStaConnect();
   }
+
+  if (M5.BtnA.wasPressed())
+    pressButtonA();
   if (M5.BtnB.wasPressed())
-  {
-    lastFetch = 0;
-  }
+    pressButtonB();
 
   if (wifiState == WifiState::STA_OK)
   {
@@ -1352,7 +3530,7 @@ void loop()
   }
 
   const uint32_t now = millis();
-  if (wifiState == WifiState::STA_OK && (now - lastFetch >= FETCH_INTERVAL_MS))
+  if (wifiState == WifiState::STA_OK && (now - lastFetch >= fetchIntervalMs))
   {
     lastFetch = now;
     double newLat, newLon;
@@ -1396,10 +3574,21 @@ void loop()
 
       // persist current sample to track file
       if (issTs != 0 && !isnan(issLat) && !isnan(issLon))
-        appendTrackPoint(issTs, issLat, issLon);
+        appendTrackPoint(issTs, issLat, issLon, issAltKm);
+
+      sseBroadcast("iss", issJson());
+      mqttPublishState();
+      screenChanged = true;
     }
     drawHeader();
   }
+  mqttLoop();
+
+  // Keep the cached TLE fresh for browser-side propagation
+  if (wifiState == WifiState::STA_OK && WiFi.status() == WL_CONNECTED && (int32_t)(now - nextTleFetchMs) >= 0)
+  {
+    nextTleFetchMs = now + (fetchTLE() ? TLE_REFRESH_MS : TLE_RETRY_MS);
+  }
 
   if (haveFix)
   {
@@ -1410,18 +3599,22 @@ void loop()
     drawProximityBar(dist);
     canvas.pushSprite(0, 0); // Push complete frame to display
 
-    bool inClose = (dist <= RADIUS_KM);
+    bool inClose = (dist <= alertRadiusKm);
     if (!wasClose && inClose)
     {
       wasClose = true;
       nextBeepAtMs = 0;
+      mqttPublishEvent("overhead_start", dist);
+      mqttPublishState();
     }
-    else if (wasClose && dist >= (RADIUS_KM + HYST_KM))
+    else if (wasClose && dist >= (alertRadiusKm + alertHystKm))
     {
       wasClose = false;
       stopContinuousBeepNow();
       ledBlinking = false;
       ledOff();
+      mqttPublishEvent("overhead_end", dist);
+      mqttPublishState();
     }
     if (wasClose)
     {
@@ -1430,8 +3623,9 @@ void loop()
       {
         if (soundEnabled)
           startContinuousBeepNow();
-        ledBlinking = true;
-        ledOn();
+        ledBlinking = ledAlerts;
+        if (ledAlerts)
+          ledOn();
         beepOffAtMs = millis() + ISS_BEEP_MS;
         nextBeepAtMs = millis() + period;
       }
@@ -1454,6 +3648,13 @@ void loop()
       M5.Lcd.drawString(apName, 4, 80);
       M5.Lcd.drawString(apInfo, 4, 100);
     }
+    else if (wifiState == WifiState::CONNECTING)
+    {
+      M5.Lcd.drawString("Joining Wi-Fi...", 4, 60);
+      M5.Lcd.setTextPadding(232); // the next SSID may be shorter
+      M5.Lcd.drawString(lastStaAttemptSsid, 4, 80);
+      M5.Lcd.setTextPadding(0);
+    }
     else
     {
       M5.Lcd.drawString("Waiting for ISS...", 4, 60);
@@ -1463,5 +3664,13 @@ void loop()
     ledOff();
   }
 
+  // Tell dashboards the display changed (after the frame above was pushed)
+  if (screenChanged)
+  {
+    screenChanged = false;
+    sseBroadcast("screen", String("{\"ts\":") + issTs + "}");
+  }
+  sseKeepalive();
+
   delay(10);
 }
@@ -1,15 +1,138 @@
 (() => {
   // WhereTheISS.at (km units)
   const WISS_NOW = 'https://api.wheretheiss.at/v1/satellites/25544?units=kilometers';
-  const WISS_POS = 'https://api.wheretheiss.at/v1/satellites/25544/positions'; // ?timestamps=,&units=kilometers
+  const WISS_TLE = 'https://api.wheretheiss.at/v1/satellites/25544/tles?format=json';
+
+  // Other satellites: TLEs from CelesTrak (?CATNR=<norad>&FORMAT=TLE), colours handed out in order
+  const CELESTRAK_GP = 'https://celestrak.org/NORAD/elements/gp.php';
+  const ISS_NORAD = 25544;
+  const MAX_SATS = 8; // same cap as the device's satellite list
+  const SAT_COLORS = ['#d63384', '#198754', '#6f42c1', '#0dcaf0', '#b8860b', '#6c757d', '#dc3545'];
+
+  // Client-side propagation window (minutes) and sample step (seconds)
+  const PAST_MINS = 60;
+  const PREDICT_MINS = 60;
+  const PREDICT_STEP_S = 60;
+  const TLE_REFRESH_MS = 6 * 3600 * 1000;
+  const TLE_RETRY_MS = 30 * 1000; // first retry for a satellite without a TLE; backs off from there
+
+  // Track history: cap on live points, and roughly how many points a history range should return
+  const TRACK_MAX_PTS = 2000;
+  const HISTORY_TARGET_PTS = 720;
+
+  // Pass predictor: how many, how far ahead, and what counts as a pass / a dark sky
+  const PASS_COUNT = 8;
+  const PASS_DAYS = 3;
+  const PASS_MIN_EL = 10;   // deg above horizon at culmination
+  const PASS_SUN_EL = -6;   // civil twilight: sun below this → observer is in darkness
+  const PASS_RECALC_MS = 15 * 60 * 1000;
+  const PASS_EDGE_MAX_MS = 6 * 3600 * 1000; // how far past the window a pass in progress is followed to its AOS/LOS
+
+  // Topocentric telemetry: downlink used for the Doppler row (ISS 2 m voice/APRS) and sky-plot sampling
+  const DOPPLER_MHZ = 145.800;
+  const SKY_STEP_S = 30;
+
+  // Footprint: vertices per circle, and the alt (km) assumed when a sample has none
+  const FOOTPRINT_SEGS = 120;
+  const FOOTPRINT_DEFAULT_ALT = 420;
+
+  // Derived orbit: sample window for the no-TLE fit, and the search step / horizon (in orbits) for nodes and shadow
+  const ORBIT_FIT_MIN_S = 2;
+  const ORBIT_FIT_MAX_S = 600;
+  const ORBIT_SCAN_STEP_S = 30;
+  const ORBIT_SCAN_ORBITS = 1.5;
+
+  // Base map: online OSM, the device's bundled low-zoom basemap (/tiles), or tiles the Service Worker kept
+  const OSM_TILES = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+  const DEVICE_TILES = '/tiles/{z}/{x}/{y}'; // /tiles.json says how deep they go; deeper zooms are upscaled
+  const MAP_MIN_ZOOM = 1; // low enough for the bundled zooms to show at their own scale
+  const TILES_KEY = 'issTiles';
+  const TILE_FAIL_LIMIT = 6; // consecutive OSM tile errors before we treat the internet as unreachable
+
+  // Fallback polling cadence and /events reconnect backoff
+  const POLL_MS = 5000;
+  const SCREEN_POLL_MS = 2000; // device mirror while the event stream is down (unchanged frames cost a 204)
+  const SCREEN_HDR_BYTES = 20;
+  const EVENTS_RETRY_MIN_MS = 2000;
+  const EVENTS_RETRY_MAX_MS = 60000;
+
+  // Network: ceiling for the backoff of failing jobs and rate-limited hosts, and when data counts as stale
+  const BACKOFF_MAX_MS = 5 * 60 * 1000;
+  const STALE_MIN_S = 30; // or three sample intervals, whichever is longer
+
+  // Last-known state (IndexedDB): database, store and key, and how often new data is written
+  const STATE_DB = 'iss-tracker';
+  const STATE_STORE = 'state';
+  const STATE_KEY = 'last';
+  const STATE_SAVE_MS = 15000;
+
+  // Proximity / pass alerts: settings key, defaults, and how far past the radius the ISS must go to re-arm
+  const ALERTS_KEY = 'issAlerts';
+  const ALERT_DEFAULTS = { nearOn: true, nearKm: 800, passOn: false, passMins: 10, passVisible: true, notify: false };
+  const ALERT_REARM_FRAC = 0.1;
+  const ALERT_TOAST_MS = 15000;
+
+  // Home location panel: online geocoder, the bundled offline city list, and how many results to show
+  const NOMINATIM = 'https://nominatim.openstreetmap.org/search'; // ?format=jsonv2&limit=&q=
+  const CITIES_URL = '/assets/cities.json'; // [[name, country, lat, lon], …]
+  const GEOCODE_MAX = 6;
+  const GEOLOCATE_TIMEOUT_MS = 15000;
+
+  // Shareable view (URL hash, or the query string in embed.html): toggleable overlays, sidebar panels, hash write debounce
+  const OVERLAY_IDS = ['track', 'predict', 'footprint', 'terminator', 'sun', 'link', 'home', 'observers'];
+  const PANEL_IDS = ['sats', 'telemetry', 'passes', 'alerts', 'observers', 'device', 'history', 'docs'];
+  const VIEW_WRITE_MS = 400;
+
+  // Follow camera: URL value per mode, the zoom cap and padding used when framing home + satellite, and the saved prefs key
+  const FOLLOW_HASH = { off: '0', sat: '1', frame: 'frame' };
+  const FOLLOW_FRAME_MAX_ZOOM = 6;
+  const FOLLOW_FRAME_PAD = [40, 40];
+  const APP_MOVE_GRACE_MS = 500; // an animated zoom only starts moving on the next frame
+  const VIEW_KEY = 'issView'; // {follow, layers}
+  const OVERLAY_NAMES = {
+    track: 'Past track',
+    predict: 'Prediction',
+    footprint: 'Footprint &amp; swath',
+    terminator: 'Day / night',
+    sun: 'Sun',
+    link: 'Link lines',
+    home: 'Home marker',
+    observers: 'Other observers'
+  };
+
+  // Page mode: embed.html marks its <body class="embed">; ?kiosk=1 is the full dashboard without chrome
+  const EMBED = !!document.body?.classList.contains('embed');
+  const KIOSK = !EMBED && new URLSearchParams(location.search).get('kiosk') === '1';
+
+  // Admin login state (/auth.json): with a password set and no login the page is read-only
+  let auth = { password_set: false, logged_in: false, csrf: '' };
 
   // DOM helpers
   const $ = (id) => document.getElementById(id);
   const on = (el, ev, fn) => el && el.addEventListener(ev, fn);
+  // Escape text for HTML/XML: satellite names come from TLE sources and observer names from users
+  const xmlEsc = (v) => String(v).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+  // Units, coordinates, clock, time zone and UI strings as chosen on the device (prefs.js)
+  const ui = window.IssPrefs;
 
   // Map/layers
   let map, base, terminator;
+  let tileLayers = {}; // id → L.tileLayer (see makeTileLayers)
+  let tileFellBack = false; // switched away from OSM automatically; switch back once online
+  let tileSwitching = false;
   let didInitialFit = false; // run “Fit All” once when content exists
+  let follow = 'off'; // 'sat' keeps the selected satellite centred, 'frame' keeps home + satellite in view; a user's pan or zoom turns it off
+  let appMoveUntil = 0; // a movestart before this (ms) is the app's own camera move, not the user's (see appMove)
+  let shownPanels = null; // sidebar panels to show (URL "panels"); null = all
+  let viewTimer = null;
+
+  // Each toggleable overlay is a layer group, so hiding one doesn't stop its layers from updating
+  const overlays = Object.fromEntries(OVERLAY_IDS.map(id => [id, L.layerGroup()]));
+
+  // Alerts: persisted settings and the threshold ring around home (latches live on each satellite)
+  let alertCfg = EMBED ? { ...ALERT_DEFAULTS, nearOn: false, passOn: false } : loadAlertCfg();
+  let alertCircle = null;
 
   // Live ISS marker (satellite icon)
   const issMarkerDiv = L.divIcon({
@@ -18,13 +141,55 @@
     iconSize: [24, 24],
     iconAnchor: [12, 12]
   });
-  let issMarker = L.marker([0, 0], { icon: issMarkerDiv });
 
-  // Past track (persisted + live extension)
-  const track = L.polyline([], { color: 'orange', weight: 2 });
+  // Other satellites: same icon with a name tag in the satellite's colour
+  function satIcon(name, color) {
+    return L.divIcon({
+      html: `<div class="sat-marker-label" style="border-color: ${color};">🛰️ ${xmlEsc(name)}</div>`,
+      className: 'sat-marker-icon',
+      iconSize: null,
+      iconAnchor: [10, 10]
+    });
+  }
+
+  // One tracked satellite: its own marker, past track, prediction, orbit and passes.
+  // Only the ISS is backed by the device (iss.json, track.json, /events); others are propagated from their TLE.
+  function createSat(norad, color, predictColor = color) {
+    const isIss = norad === ISS_NORAD;
+    const name = isIss ? 'ISS' : `#${norad}`;
+    return {
+      norad,
+      name,
+      color,
+      predictColor,
+      device: isIss,
+      marker: L.marker([0, 0], { icon: isIss ? issMarkerDiv : satIcon(name, color), title: name }),
+      track: L.polyline([], { color, weight: 2 }),
+      trackPts: [], // [{lat, lon, ts}]
+      predict: L.polyline([], { color: predictColor, weight: 2, dashArray: '6,6' }),
+      predictPts: [], // [{lat, lon, ts}]
+      satrec: null, // parsed TLE (SGP4 state); null until a TLE source answers
+      tle: null, // {line1, line2} behind satrec, kept for offline use
+      last: null, // last normalised sample (see fetchSample)
+      heading: NaN, // ground-track heading (deg) for the velocity row (see headingAt)
+      orbit: null, // derived period/inclination/nodes/shadow for the telemetry card (see deriveOrbit)
+      look: null, // {az, el, range, rate, ts} from home (see observe)
+      passes: [], // upcoming passes over home (see predictPasses)
+      passesAt: 0,
+      nearArmed: true, // alert latches
+      firedPasses: [] // rise times (ms) already announced
+    };
+  }
+
+  // The ISS (orange track, blue dotted prediction) always comes first; `sel` drives telemetry, passes, history and alerts
+  const iss = createSat(ISS_NORAD, 'orange', '#2b6cb0');
+  let sats = [iss];
+  let sel = iss;
+  let deviceSats = [ISS_NORAD]; // list stored in the device's /config.json
+  let historyMins = PAST_MINS;
 
-  // 1-hour prediction (blue dotted)
-  const predict = L.polyline([], { color: '#2b6cb0', weight: 2, dashArray: '6,6' });
+  // Ghost marker replaying the selected satellite's recorded track (history slider)
+  const ghostMarker = L.marker([0, 0], { icon: issMarkerDiv, opacity: 0.45, interactive: false });
 
   // Home marker (draggable)
   let homeLat = 0, homeLon = 0;
@@ -36,6 +201,20 @@
     iconAnchor: [12, 24]
   });
 
+  // Named observers stored on the device (/observers.json). The active one is “home” above;
+  // the others get their own marker and link line: {id, name, lat, lon, marker, line}
+  let observers = [];
+  let activeObsId = 0;
+  let maxObservers = 6;
+  function observerIcon(name) {
+    return L.divIcon({
+      html: `<div class="observer-marker-label">📍 ${xmlEsc(name)}</div>`,
+      className: 'observer-marker-icon',
+      iconSize: null,
+      iconAnchor: [8, 20]
+    });
+  }
+
   // Sun marker (sun emoji icon)
   const sunMarkerDiv = L.divIcon({
     html: '<div style="font-size: 24px; text-align: center; line-height: 1;">☀️</div>',
@@ -45,14 +224,20 @@
   });
   let sunMarker = L.marker([0, 0], { icon: sunMarkerDiv });
 
-  // Link line Home ↔ ISS
+  // Link line Home ↔ selected satellite
   let linkLine = null;
 
-  // Last ISS sample (raw API object)
-  let lastIss = null;
+  // Selected satellite's footprint, the swath it sweeps along the prediction, and home's entry/exit marks
+  const footprint = L.polygon([], { color: '#fd7e14', weight: 1, fillOpacity: 0.08, interactive: false })
+    .addTo(overlays.footprint);
+  const swath = L.polygon([], { stroke: false, fillColor: '#fd7e14', fillOpacity: 0.06, fillRule: 'nonzero', interactive: false })
+    .addTo(overlays.footprint);
+  const footprintMarks = L.layerGroup().addTo(overlays.footprint);
+  let homeWindows = []; // [{enter, exit}] ms, null = already inside / still inside at the end of the prediction
 
-  // Last 8-point direction label for velocity row
-  let lastDir8 = '—';
+  // Device event stream; the polling tasks take over while it is down (see createTask)
+  let events = null;
+  let eventsFails = 0;
 
   // Utilities
   function qs(obj) {
@@ -91,62 +276,559 @@
     return labels[idx];
   }
 
+  // --- Observer geometry (WGS-84): topocentric look angles, range rate, Doppler — see geo.js ---
+  const { geodeticToEcef, lookAngles, lookAnglesGeo, rangeRate, dopplerHz } = window.IssGeo;
+
+  // --- Footprint (spherical Earth, as haversineKm): horizon circle, swath, home entry/exit ---
+  const R_EARTH_KM = 6371;
+
+  // Central angle (rad) from the sub-satellite point to the edge of the footprint
+  function footprintAngle(p) {
+    if (Number.isFinite(p.footKm) && p.footKm > 0) return p.footKm / 2 / R_EARTH_KM;
+    const alt = Number.isFinite(p.alt) ? p.alt : FOOTPRINT_DEFAULT_ALT;
+    return Math.acos(R_EARTH_KM / (R_EARTH_KM + alt));
+  }
+
+  // [lat, lon] at central angle δ (rad) and bearing θ (deg) from (lat, lon); longitude not wrapped
+  function destPoint(lat, lon, δ, θ) {
+    const φ1 = lat * DEG, λ1 = lon * DEG, b = θ * DEG;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(b));
+    const λ2 = λ1 + Math.atan2(Math.sin(b) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+    return [φ2 / DEG, λ2 / DEG];
+  }
+
+  // Make a ring's longitudes continuous (no step over 180°), starting inside [-180, 180]
+  function unwrapLngs(ring) {
+    const out = [];
+    for (const [lat, lon] of ring) {
+      let x = out.length ? lon : normLng(lon);
+      if (out.length) {
+        const prev = out[out.length - 1][1];
+        while (x - prev > 180) x -= 360;
+        while (x - prev < -180) x += 360;
+      }
+      out.push([lat, x]);
+    }
+    return out;
+  }
+
+  // The same rings shifted ±360° so whatever sticks out past the antimeridian shows on the other side
+  const worldCopies = (rings) => [-360, 0, 360].flatMap(off => rings.map(r => [r.map(([la, lo]) => [la, lo + off])]));
+
+  // Geodesic circle of central angle δ as Leaflet multipolygon rings; a circle around a pole is closed along it
+  function geoCircle(lat, lon, δ) {
+    const ring = unwrapLngs(Array.from({ length: FOOTPRINT_SEGS }, (_, i) => destPoint(lat, lon, δ, i * 360 / FOOTPRINT_SEGS)));
+    const northPole = (90 - lat) * DEG < δ, southPole = (90 + lat) * DEG < δ;
+    if (northPole || southPole) {
+      const poleLat = northPole ? 90 : -90;
+      ring.push([poleLat, ring[ring.length - 1][1]], [poleLat, ring[0][1]]);
+    }
+    return worldCopies([ring]);
+  }
+
+  // Band swept by the footprint along a ground track: one quad per step between the cross-track edges
+  function swathRings(pts) {
+    const quads = [];
+    let prev = null;
+    pts.forEach((p, i) => {
+      const a = pts[i - 1] || p, b = pts[i + 1] || p;
+      const course = initialBearingDeg(a.lat, a.lon, b.lat, b.lon);
+      const δ = footprintAngle(p);
+      const edge = { l: destPoint(p.lat, p.lon, δ, course - 90), r: destPoint(p.lat, p.lon, δ, course + 90) };
+      if (prev) quads.push(unwrapLngs([prev.l, edge.l, edge.r, prev.r]));
+      prev = edge;
+    });
+    return worldCopies(quads);
+  }
+
+  // Stretches of a timed track (ts in s) during which obs is inside the footprint: [{enter, exit, enterPt, exitPt}]
+  // with times in ms; enter/exit are null when obs is already inside at the start / still inside at the end
+  function footprintWindows(obs, pts) {
+    const out = [];
+    let cur = null, prev = null;
+    for (const p of pts) {
+      const m = footprintAngle(p) - haversineKm(obs, p) / R_EARTH_KM; // ≥ 0 → inside
+      if (!prev) {
+        if (m >= 0) cur = { enter: null, enterPt: null };
+      } else if ((m >= 0) !== (prev.m >= 0)) {
+        const f = prev.m / (prev.m - m);
+        const lon = prev.p.lon + f * (normLng(p.lon - prev.p.lon));
+        const at = { ms: (prev.p.ts + f * (p.ts - prev.p.ts)) * 1000, lat: prev.p.lat + f * (p.lat - prev.p.lat), lon: normLng(lon) };
+        if (m >= 0) {
+          cur = { enter: at.ms, enterPt: at };
+        } else if (cur) {
+          out.push({ ...cur, exit: at.ms, exitPt: at });
+          cur = null;
+        }
+      }
+      prev = { p, m };
+    }
+    if (cur) out.push({ ...cur, exit: null, exitPt: null });
+    return out;
+  }
+
+  function fmtStamp(ts) {
+    return ui.dateTime(ts * 1000);
+  }
+
   function fmtAge(sec) {
     if (!Number.isFinite(sec) || sec < 0) return '—';
     if (sec < 90) return `${Math.round(sec)} s`;
+    if (sec >= 86400) return `${Math.floor(sec / 86400)}d ${Math.floor(sec % 86400 / 3600)}h`;
+    if (sec >= 3600) return `${Math.floor(sec / 3600)}h ${Math.floor(sec % 3600 / 60)}m`;
     const m = Math.floor(sec / 60), s = Math.round(sec % 60);
     return `${m}m ${s}s`;
   }
 
   // --- Antimeridian helpers: split polylines at ±180 so Leaflet doesn’t draw a long straight wrap ---
-  function splitAtDateline(latlngs) {
-    if (!latlngs || latlngs.length < 2) return latlngs;
+  function normLng(lng) {
+    // normalize to [-180, 180]
+    let x = lng;
+    while (x > 180) x -= 360;
+    while (x < -180) x += 360;
+    return x;
+  }
+
+  // Break a point list into runs that never jump across the antimeridian; points are kept as-is
+  function dateLineSegments(pts) {
     const out = [];
     let seg = [];
-    let prev = null;
-
-    const normLng = (lng) => {
-      // normalize to [-180, 180]
-      let x = lng;
-      while (x > 180) x -= 360;
-      while (x < -180) x += 360;
-      return x;
-    };
-
-    for (const ll of latlngs) {
-      const cur = L.latLng(ll.lat ?? ll[0], normLng(ll.lng ?? ll.lon ?? ll[1]), ll.alt);
-      if (!prev) {
-        seg.push(cur);
-        prev = cur;
-        continue;
-      }
-      const dLon = Math.abs(cur.lng - prev.lng);
-      if (dLon > 180) {
+    let prevLng = null;
+    for (const p of pts || []) {
+      const lng = normLng(p.lng ?? p.lon ?? p[1]);
+      if (prevLng !== null && Math.abs(lng - prevLng) > 180) {
         // break the line to avoid a long cross-map segment
         out.push(seg);
-        seg = [cur];
-      } else {
-        seg.push(cur);
+        seg = [];
       }
-      prev = cur;
+      seg.push(p);
+      prevLng = lng;
     }
     if (seg.length) out.push(seg);
+    return out;
+  }
+
+  function splitAtDateline(latlngs) {
+    if (!latlngs || latlngs.length < 2) return latlngs;
+    const out = dateLineSegments(latlngs)
+      .map(seg => seg.map(ll => L.latLng(ll.lat ?? ll[0], normLng(ll.lng ?? ll.lon ?? ll[1]), ll.alt)));
     // Leaflet accepts an array of arrays to make multiple segments
     return out.length === 1 ? out[0] : out;
   }
 
+  // --- Orbit propagation: SGP4 and the frame conversions live in sgp4.js ---
+  const TWO_PI = 2 * Math.PI;
+  const DEG = Math.PI / 180;
+  const { WGS72, parseTle, sgp4, gmstAt, eciToGeodetic, eciToEcef, propagateAt } = window.IssSgp4;
+
+  // Low-precision solar position (Astronomical Almanac), ECI unit vector + distance (km)
+  function sunEci(ms) {
+    const n = ms / 86400000 + 2440587.5 - 2451545.0;
+    const L = (280.460 + 0.9856474 * n) * DEG;
+    const g = (357.528 + 0.9856003 * n) * DEG;
+    const lam = L + (1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG;
+    const eps = (23.439 - 0.0000004 * n) * DEG;
+    const au = (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * 149597870.7;
+    return {
+      u: [Math.cos(lam), Math.cos(eps) * Math.sin(lam), Math.sin(eps) * Math.sin(lam)],
+      dist: au
+    };
+  }
+
+  // Sub-solar point (deg) for a unix-ms instant
+  function subSolarPoint(ms) {
+    const { u } = sunEci(ms);
+    const lat = Math.asin(u[2]) / DEG;
+    let lon = (Math.atan2(u[1], u[0]) - gmstAt(ms)) / DEG;
+    lon = ((lon + 540) % 360) - 180;
+    return { lat, lon };
+  }
+
+  // Cylindrical Earth-shadow test for an ECI position (km)
+  function isSunlit(r, ms) {
+    const { u } = sunEci(ms);
+    const along = r[0] * u[0] + r[1] * u[1] + r[2] * u[2];
+    if (along > 0) return true;
+    const px = r[0] - along * u[0], py = r[1] - along * u[1], pz = r[2] - along * u[2];
+    return Math.sqrt(px * px + py * py + pz * pz) > WGS72.re;
+  }
+
+  // Build a normalised sample (see fromDevice/fromWiss) from the TLE
+  function sampleFromTle(rec, ms) {
+    const p = propagateAt(rec, ms);
+    if (!p) return null;
+    const Re = 6371;
+    const sun = subSolarPoint(ms);
+    return {
+      lat: p.lat,
+      lon: p.lon,
+      alt: p.alt,
+      vel: Math.hypot(p.v[0], p.v[1], p.v[2]) * 3600, // km/h
+      vis: isSunlit(p.r, ms) ? 'daylight' : 'eclipsed',
+      footKm: 2 * Re * Math.acos(Re / (Re + p.alt)),
+      ts: Math.floor(ms / 1000),
+      solarLat: sun.lat,
+      solarLon: sun.lon,
+      source: 'sgp4'
+    };
+  }
+
+  // Sun elevation (deg) above the observer's horizon
+  function sunElevation(obs, ms) {
+    const { u, dist } = sunEci(ms);
+    return lookAngles(obs, eciToEcef(u.map(x => x * dist), gmstAt(ms))).el;
+  }
+
+  // Satellite look angles from obs at a unix-ms instant (null if SGP4 fails)
+  function satLookAt(rec, obs, ms) {
+    const pv = sgp4(rec, (ms - rec.epochMs) / 60000);
+    if (!pv) return null;
+    return Object.assign(lookAngles(obs, eciToEcef(pv.r, gmstAt(ms))), { r: pv.r });
+  }
+
+  // Ground track between two instants, every stepS seconds
+  function groundTrack(rec, fromMs, toMs, stepS) {
+    const pts = [];
+    for (let ms = fromMs; ms <= toMs; ms += stepS * 1000) {
+      const p = propagateAt(rec, ms);
+      if (p) pts.push({ lat: p.lat, lon: p.lon, alt: p.alt, ts: Math.floor(ms / 1000) });
+    }
+    return pts;
+  }
+
+  // --- Derived orbit: from the TLE when we have one, else a circular orbit fitted to the last samples ---
+  // Both models answer posAt(ms) → { r (ECI km), lat, lon }, so the searches below don't care which one they get.
+  function tleOrbit(rec) {
+    return {
+      from: 'tle',
+      periodMin: TWO_PI / rec.no,
+      inclDeg: rec.inclo / DEG,
+      // TLE rev number plus whole orbits since epoch, counted from the ascending node
+      revAt: (ms) => rec.revnum + Math.floor(((rec.argpo + rec.mo) % TWO_PI) / TWO_PI + (ms - rec.epochMs) / 60000 * rec.no / TWO_PI),
+      posAt: (ms) => propagateAt(rec, ms)
+    };
+  }
+
+  // Two samples → orbit plane (normal h), angular rate and phase; needs them a few seconds to minutes apart
+  function sampleOrbit(a, b) {
+    const dt = b.ts - a.ts;
+    if (!(dt >= ORBIT_FIT_MIN_S && dt <= ORBIT_FIT_MAX_S)) return null;
+    const alt = Number.isFinite(b.alt) ? b.alt : FOOTPRINT_DEFAULT_ALT;
+    const toEci = (p) => {
+      const g = gmstAt(p.ts * 1000), c = Math.cos(g), s = Math.sin(g);
+      const e = geodeticToEcef(p.lat, p.lon, alt);
+      return [c * e[0] - s * e[1], s * e[0] + c * e[1], e[2]];
+    };
+    const norm = (v) => { const l = Math.hypot(v[0], v[1], v[2]); return v.map(x => x / l); };
+    const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    const r1 = toEci(a), r2 = toEci(b);
+    const u1 = norm(r1), u2 = norm(r2);
+    const sweep = Math.acos(Math.min(1, dot(u1, u2)));
+    if (!(sweep > 1e-6)) return null;
+    const h = norm(cross(u1, u2));
+    if (Math.abs(h[2]) > 0.9999) return null; // equatorial: no nodes to speak of
+    const node = norm(cross([0, 0, 1], h)); // ascending node direction
+    const inPlane = cross(h, node);
+    const rate = sweep / dt; // rad/s
+    const u0 = Math.atan2(dot(u2, inPlane), dot(u2, node)); // argument of latitude at b
+    const radius = Math.hypot(r2[0], r2[1], r2[2]);
+    return {
+      from: 'samples',
+      periodMin: TWO_PI / rate / 60,
+      inclDeg: Math.acos(h[2]) / DEG,
+      revAt: null,
+      posAt: (ms) => {
+        const u = u0 + rate * (ms / 1000 - b.ts);
+        const r = [0, 1, 2].map(i => radius * (Math.cos(u) * node[i] + Math.sin(u) * inPlane[i]));
+        return Object.assign(eciToGeodetic(r, gmstAt(ms)), { r });
+      }
+    };
+  }
+
+  // Orbit model for a satellite: TLE first, else the newest sample against the oldest one still inside the fit window
+  function orbitModel(sat, data) {
+    if (sat.satrec) return tleOrbit(sat.satrec);
+    if (!data || !Number.isFinite(data.ts)) return null;
+    const pts = sat.trackPts;
+    let prev = null;
+    for (let i = pts.length - 1; i >= 0; i--) {
+      const dt = data.ts - pts[i].ts;
+      if (dt > ORBIT_FIT_MAX_S) break;
+      if (dt >= ORBIT_FIT_MIN_S && Number.isFinite(pts[i].lat) && Number.isFinite(pts[i].lon)) prev = pts[i];
+    }
+    return prev ? sampleOrbit(prev, data) : null;
+  }
+
+  // Ground-track heading (deg) at an instant: bearing of the sub-satellite point over the next second
+  function headingAt(model, ms) {
+    const a = model.posAt(ms), b = model.posAt(ms + 1000);
+    return a && b ? initialBearingDeg(a.lat, a.lon, b.lat, b.lon) : NaN;
+  }
+
+  // Latitude rate (deg/min) at an instant, central difference over ±1 s
+  function latRateAt(model, ms) {
+    const a = model.posAt(ms - 1000), b = model.posAt(ms + 1000);
+    return a && b ? (b.lat - a.lat) * 30 : NaN;
+  }
+
+  // First instant after fromMs where test(pos) flips, bisected to a second → { ms, pos, was } or null
+  function nextFlip(model, fromMs, test) {
+    const endMs = fromMs + model.periodMin * ORBIT_SCAN_ORBITS * 60000;
+    const p0 = model.posAt(fromMs);
+    if (!p0) return null;
+    const was = test(p0, fromMs);
+    let a = fromMs;
+    for (let b = fromMs + ORBIT_SCAN_STEP_S * 1000; b <= endMs; b += ORBIT_SCAN_STEP_S * 1000) {
+      const pb = model.posAt(b);
+      if (!pb) return null;
+      if (test(pb, b) !== was) {
+        while (b - a > 1000) {
+          const m = (a + b) / 2, pm = model.posAt(m);
+          if (!pm) return null;
+          if (test(pm, m) === was) a = m; else b = m;
+        }
+        const ms = Math.round(b);
+        return { ms, pos: model.posAt(ms), was };
+      }
+      a = b;
+    }
+    return null;
+  }
+
+  // Next equator crossing after fromMs (either direction); `asc` true for an ascending node
+  function nextEquator(model, fromMs) {
+    const f = nextFlip(model, fromMs, p => p.lat >= 0);
+    return f && f.pos ? { ms: f.ms, lon: f.pos.lon, asc: !f.was } : null;
+  }
+
+  // Next sunrise/sunset on the spacecraft; null when it stays in sunlight (or shadow) for the whole search
+  function nextShadowChange(model, fromMs) {
+    const f = nextFlip(model, fromMs, (p, ms) => isSunlit(p.r, ms));
+    return f ? { ms: f.ms, sunrise: !f.was } : null;
+  }
+
+  // Everything the Orbit rows show, for one sample
+  function deriveOrbit(model, ms) {
+    const eq = nextEquator(model, ms);
+    const asc = eq && !eq.asc ? nextEquator(model, eq.ms + 1000) : eq;
+    return {
+      ts: Math.floor(ms / 1000),
+      from: model.from,
+      periodMin: model.periodMin,
+      inclDeg: model.inclDeg,
+      rev: model.revAt ? model.revAt(ms) : NaN,
+      latRate: latRateAt(model, ms),
+      equator: eq,
+      ascNode: asc,
+      shadow: nextShadowChange(model, ms),
+      shadowSearchMin: model.periodMin * ORBIT_SCAN_ORBITS
+    };
+  }
+
+  // --- Pass prediction: rise/culmination/set over an observer ---
+  function predictPasses(rec, obs, fromMs, days, maxCount) {
+    const elAt = (ms) => {
+      const la = satLookAt(rec, obs, ms);
+      return la ? la.el : -90;
+    };
+    // Bisect the horizon crossing between a (one side) and b (other side)
+    const crossing = (a, b) => {
+      const riseDir = elAt(a) <= 0;
+      while (b - a > 1000) {
+        const m = (a + b) / 2;
+        if ((elAt(m) > 0) === riseDir) b = m; else a = m;
+      }
+      return Math.round((a + b) / 2);
+    };
+    // Golden-section search for the elevation maximum
+    const culmination = (a, b) => {
+      const g = (Math.sqrt(5) - 1) / 2;
+      let c = b - g * (b - a), d = a + g * (b - a);
+      while (b - a > 1000) {
+        if (elAt(c) > elAt(d)) b = d; else a = c;
+        c = b - g * (b - a);
+        d = a + g * (b - a);
+      }
+      return Math.round((a + b) / 2);
+    };
+    // Sunlit satellite against a dark sky, sampled through the pass
+    const isVisible = (a, b) => {
+      for (let ms = a; ms <= b; ms += 20000) {
+        const la = satLookAt(rec, obs, ms);
+        if (la && la.el >= PASS_MIN_EL && isSunlit(la.r, ms) && sunElevation(obs, ms) < PASS_SUN_EL) return true;
+      }
+      return false;
+    };
+
+    // Walk from ms (above the horizon) in steps of dir until the satellite is below it, then bisect that step
+    const edge = (ms, dir) => {
+      for (let t = ms + dir; Math.abs(t - ms) <= PASS_EDGE_MAX_MS; t += dir) {
+        if (elAt(t) <= 0) return dir > 0 ? crossing(t - dir, t) : crossing(t, t - dir);
+      }
+      return null; // hasn't set within reach (e.g. a geostationary satellite)
+    };
+
+    const passes = [];
+    const addPass = (riseMs, setMs) => {
+      if (riseMs === null || setMs === null) return;
+      const culmMs = culmination(riseMs, setMs);
+      const culm = satLookAt(rec, obs, culmMs);
+      if (!culm || culm.el < PASS_MIN_EL) return;
+      passes.push({
+        rise: { ms: riseMs, az: satLookAt(rec, obs, riseMs).az },
+        culm: { ms: culmMs, az: culm.az, el: culm.el },
+        set: { ms: setMs, az: satLookAt(rec, obs, setMs).az },
+        maxEl: culm.el,
+        visible: isVisible(riseMs, setMs)
+      });
+    };
+
+    const step = 60000;
+    const end = fromMs + days * 86400000;
+    let t = fromMs;
+    let prevEl = elAt(t);
+    let riseMs = prevEl > 0 ? edge(t, -step) : null; // a pass already in progress: find when it rose
+    for (t += step; t <= end && passes.length < maxCount; t += step) {
+      const el = elAt(t);
+      if (prevEl <= 0 && el > 0) {
+        riseMs = crossing(t - step, t);
+      } else if (prevEl > 0 && el <= 0) {
+        addPass(riseMs, crossing(t - step, t));
+        riseMs = null;
+      }
+      prevEl = el;
+    }
+    // Still up when the window closes: follow it to its LOS rather than dropping it
+    if (prevEl > 0 && passes.length < maxCount) addPass(riseMs, edge(t - step, step));
+    return passes;
+  }
+
+  // --- Export: track, prediction and home as GeoJSON / GPX / KML ---
+  const isoTs = (ts) => (Number.isFinite(ts) ? new Date(ts * 1000).toISOString() : null);
+
+  const lineSegments = (pts) => dateLineSegments(pts).filter(seg => seg.length >= 2);
+
+  function exportLayers() {
+    const h = homeMarker ? homeMarker.getLatLng() : null;
+    const active = observers.find(o => o.id === activeObsId);
+    return {
+      points: [
+        ...(h ? [{ name: active ? active.name : 'Home', lat: h.lat, lon: normLng(h.lng) }] : []),
+        ...observers.filter(o => o.id !== activeObsId).map(o => ({ name: o.name, lat: o.lat, lon: normLng(o.lon) }))
+      ],
+      // A lone point left between two antimeridian crossings isn't a line (GeoJSON needs two positions): drop it
+      lines: sats.flatMap(s => [
+        { name: `${s.name} track`, color: s.color, segs: lineSegments(s.trackPts) },
+        { name: `${s.name} prediction`, color: s.predictColor, segs: lineSegments(s.predictPts) }
+      ]).filter(l => l.segs.length)
+    };
+  }
+
+  function toGeoJson({ points, lines }) {
+    const features = [];
+    for (const p of points) {
+      features.push({ type: 'Feature', properties: { name: p.name }, geometry: { type: 'Point', coordinates: [p.lon, p.lat] } });
+    }
+    for (const l of lines) {
+      features.push({
+        type: 'Feature',
+        // coordTimes: per-vertex ISO times, the convention togeojson/Mapbox tools read
+        properties: { name: l.name, stroke: l.color, coordTimes: l.segs.map(seg => seg.map(p => isoTs(p.ts))) },
+        geometry: { type: 'MultiLineString', coordinates: l.segs.map(seg => seg.map(p => [normLng(p.lon), p.lat])) }
+      });
+    }
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 1);
+  }
+
+  function toGpx({ points, lines }) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="ISS Tracker" xmlns="http://www.topografix.com/GPX/1/1">'
+    ];
+    for (const p of points) out.push(`<wpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}"><name>${xmlEsc(p.name)}</name></wpt>`);
+    for (const l of lines) {
+      out.push(`<trk><name>${xmlEsc(l.name)}</name>`);
+      for (const seg of l.segs) {
+        out.push('<trkseg>');
+        for (const p of seg) {
+          const t = isoTs(p.ts);
+          out.push(`<trkpt lat="${p.lat.toFixed(6)}" lon="${normLng(p.lon).toFixed(6)}">${t ? `<time>${t}</time>` : ''}</trkpt>`);
+        }
+        out.push('</trkseg>');
+      }
+      out.push('</trk>');
+    }
+    out.push('</gpx>');
+    return out.join('\n');
+  }
+
+  function toKml({ points, lines }) {
+    // KML colours are aabbggrr
+    const kmlColor = (css) => {
+      const hex = { orange: '#ffa500' }[css] || css;
+      const [r, g, b] = [1, 3, 5].map(i => hex.substr(i, 2));
+      return `ff${b}${g}${r}`;
+    };
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+      '<Document><name>ISS Tracker</name>'
+    ];
+    for (const p of points) {
+      out.push(`<Placemark><name>${xmlEsc(p.name)}</name><Point><coordinates>${p.lon.toFixed(6)},${p.lat.toFixed(6)},0</coordinates></Point></Placemark>`);
+    }
+    for (const l of lines) {
+      out.push(`<Placemark><name>${xmlEsc(l.name)}</name>`,
+        `<Style><LineStyle><color>${kmlColor(l.color)}</color><width>2</width></LineStyle></Style>`,
+        '<gx:MultiTrack>');
+      for (const seg of l.segs) {
+        const pts = seg.filter(p => Number.isFinite(p.ts));
+        out.push('<gx:Track>',
+          ...pts.map(p => `<when>${isoTs(p.ts)}</when>`),
+          ...pts.map(p => `<gx:coord>${normLng(p.lon).toFixed(6)} ${p.lat.toFixed(6)} 0</gx:coord>`),
+          '</gx:Track>');
+      }
+      out.push('</gx:MultiTrack></Placemark>');
+    }
+    out.push('</Document></kml>');
+    return out.join('\n');
+  }
+
+  const EXPORTERS = {
+    geojson: { build: toGeoJson, mime: 'application/geo+json' },
+    gpx: { build: toGpx, mime: 'application/gpx+xml' },
+    kml: { build: toKml, mime: 'application/vnd.google-earth.kml+xml' }
+  };
+
+  function downloadExport(fmt) {
+    const ex = EXPORTERS[fmt];
+    if (!ex) return;
+    const blob = new Blob([ex.build(exportLayers())], { type: ex.mime });
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `iss-track-${stamp}.${fmt}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
   // Bounds composed from everything we show
   function layerBounds() {
     const layers = [];
     if (homeMarker) layers.push(homeMarker.getLatLng());
-    if (issMarker && issMarker.getLatLng) layers.push(issMarker.getLatLng());
-    const t = track.getLatLngs();
-    if (t && (Array.isArray(t[0]) ? t.flat().length : t.length)) {
-      (Array.isArray(t[0]) ? t.flat() : t).forEach(p => layers.push(p));
-    }
-    const p = predict.getLatLngs();
-    if (p && (Array.isArray(p[0]) ? p.flat().length : p.length)) {
-      (Array.isArray(p[0]) ? p.flat() : p).forEach(p2 => layers.push(p2));
+    for (const s of sats) {
+      if (s.marker._map) layers.push(s.marker.getLatLng());
+      const t = s.track.getLatLngs();
+      if (t && (Array.isArray(t[0]) ? t.flat().length : t.length)) {
+        (Array.isArray(t[0]) ? t.flat() : t).forEach(p => layers.push(p));
+      }
+      const p = s.predict.getLatLngs();
+      if (p && (Array.isArray(p[0]) ? p.flat().length : p.length)) {
+        (Array.isArray(p[0]) ? p.flat() : p).forEach(p2 => layers.push(p2));
+      }
     }
     if (sunMarker && sunMarker.getLatLng) layers.push(sunMarker.getLatLng());
     if (!layers.length) return null;
@@ -156,11 +838,13 @@
   // Fit All: prefer actual layer bounds; otherwise fit entire world
   function fitAll(pad = [30, 30]) {
     const b = layerBounds();
-    if (b) {
-      map.fitBounds(b, { paddingTopLeft: pad, paddingBottomRight: pad, animate: false });
-    } else {
-      map.fitWorld({ animate: false });
-    }
+    appMove(() => {
+      if (b) {
+        map.fitBounds(b, { paddingTopLeft: pad, paddingBottomRight: pad, animate: false });
+      } else {
+        map.fitWorld({ animate: false });
+      }
+    });
   }
   function fitAllOnce() {
     if (!didInitialFit) {
@@ -178,267 +862,2087 @@
       fillColor: '#000000',
       stroke: false
     });
-    if (terminator) map.removeLayer(terminator);
-    terminator = t.addTo(map);
-  }
-
-  async function loadDeviceConfig() {
-    try {
-      const r = await fetch('/config.json', { cache: 'no-store' });
-      if (!r.ok) return;
-      const j = await r.json();
-      if (j && j.home) {
-        homeLat = Number(j.home.lat) || 0;
-        homeLon = Number(j.home.lon) || 0;
-      }
-    } catch (_) { /* ignore */ }
+    if (terminator) overlays.terminator.removeLayer(terminator);
+    terminator = t.addTo(overlays.terminator);
   }
 
-  async function loadPersistedTrack() {
-    // Expect array of {lat, lon, ts} for the last hour (device provides it)
-    try {
-      const r = await fetch('/track.json', { cache: 'no-store' });
-      if (!r.ok) return;
-      const j = await r.json();
-      if (Array.isArray(j)) {
-        const pts = j
-          .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon))
-          .map(p => L.latLng(Number(p.lat), Number(p.lon)));
-        const split = splitAtDateline(pts);
-        track.setLatLngs(split);
-      }
-    } catch (_) { /* ignore */ }
+  // --- Shareable view: centre/zoom, follow, overlays, sidebar panels and selected satellite ---
+  // Kept in the URL hash so the address bar is always a bookmarkable link, e.g.
+  // #c=51.50,-0.12&z=4&follow=1&layers=track,predict,sun&panels=telemetry,passes&sat=48274
+  // embed.html takes the same keys from its query string instead (plus telemetry=0 to hide the widget).
+  function readViewState(str) {
+    const q = new URLSearchParams(String(str || '').replace(/^[#?]/, ''));
+    const list = (k, ids) => (q.has(k) ? q.get(k).split(',').filter(x => ids.includes(x)) : null);
+    const c = (q.get('c') || '').split(',').map(Number);
+    const z = q.has('z') ? Number(q.get('z')) : NaN;
+    const sat = q.has('sat') ? Number(q.get('sat')) : NaN;
+    return {
+      center: c.length === 2 && c.every(Number.isFinite) && Math.abs(c[0]) <= 90 && Math.abs(c[1]) <= 180 ? c : null,
+      zoom: Number.isFinite(z) ? z : null,
+      follow: q.has('follow') ? (Object.keys(FOLLOW_HASH).find(k => FOLLOW_HASH[k] === q.get('follow')) || 'off') : null,
+      layers: list('layers', OVERLAY_IDS),
+      panels: list('panels', PANEL_IDS),
+      sat: Number.isInteger(sat) && sat > 0 ? sat : null,
+      telemetry: q.get('telemetry') !== '0'
+    };
   }
 
-  async function fetchIssNow() {
-    const r = await fetch(WISS_NOW, { cache: 'no-store' });
-    if (!r.ok) throw new Error('iss_now http ' + r.status);
-    return r.json();
+  function viewStateString() {
+    const parts = [];
+    if (map) {
+      const c = map.getCenter();
+      parts.push(`c=${c.lat.toFixed(2)},${c.lng.toFixed(2)}`, `z=${map.getZoom()}`);
+    }
+    parts.push(`follow=${FOLLOW_HASH[follow]}`);
+    const shown = OVERLAY_IDS.filter(id => overlays[id]._map);
+    if (shown.length !== OVERLAY_IDS.length) parts.push(`layers=${shown.join(',')}`);
+    if (shownPanels) parts.push(`panels=${shownPanels.join(',')}`);
+    if (sel !== iss) parts.push(`sat=${sel.norad}`);
+    return parts.join('&');
   }
 
-  async function fetchPredictions(startTs) {
-    // 1 hour ahead, every 2 minutes (31 samples)
-    // Start from next interval so prediction is always ahead
-    const step = 120; // seconds
-    const count = 31;
-    const arr = Array.from({ length: count }, (_, i) => startTs + (i + 1) * step);
-    const url = `${WISS_POS}?${qs({ timestamps: arr.join(','), units: 'kilometers' })}`;
-    const r = await fetch(url, { cache: 'no-store' });
-    if (!r.ok) throw new Error('iss_positions http ' + r.status);
-    return r.json();
+  // Debounced: the map fires moveend on every pan step while following
+  function writeViewState() {
+    if (EMBED || !map) return;
+    clearTimeout(viewTimer);
+    viewTimer = setTimeout(() => {
+      try {
+        history.replaceState(null, '', `${location.pathname}${location.search}#${viewStateString()}`);
+      } catch (_) { /* map has no view yet; the next moveend writes it */ }
+    }, VIEW_WRITE_MS);
   }
 
-  function updateTelemetry(data) {
-    const el = $('telemetry');
-    if (!el) return;
-
-    const lat = Number(data.latitude);
-    const lon = Number(data.longitude);
-    const alt = Number(data.altitude);
-    const vel = Number(data.velocity);
-    const vis = data.visibility || '—';
-    const fpt = Number(data.footprint);
-    const ts = Number(data.timestamp);
-    const sLat = Number(data.solar_lat);
-    const sLon = Number(data.solar_lon);
-
-    let dist = '—';
-    if (homeMarker && Number.isFinite(lat) && Number.isFinite(lon)) {
-      dist = haversineKm(
-        { lat: homeMarker.getLatLng().lat, lon: homeMarker.getLatLng().lng },
-        { lat, lon }
-      ).toFixed(1);
+  // Apply a parsed view (see readViewState); fields left null keep their current value
+  function applyViewState(v) {
+    if (v.layers) OVERLAY_IDS.forEach(id => setOverlay(id, v.layers.includes(id)));
+    if (v.panels) applyPanels(v.panels);
+    if (v.sat) {
+      const sat = sats.find(s => s.norad === v.sat);
+      if (sat && sat !== sel) selectSat(sat);
     }
-
-    let age = '—';
-    if (Number.isFinite(ts)) {
-      age = fmtAge(Math.max(0, (Date.now() / 1000) - ts));
+    if (v.center) {
+      didInitialFit = true; // a shared view wins over the first "Fit All"
+      appMove(() => map.setView(v.center, v.zoom ?? map.getZoom() ?? 3, { animate: false }));
     }
+    if (v.follow) setFollow(v.follow);
+  }
 
-    el.innerHTML = [
-      "<table class='table table-sm mb-0'>",
-      `<tr><th>ISS Lat</th><td>${Number.isFinite(lat) ? lat.toFixed(4) : '—'}</td></tr>`,
-      `<tr><th>ISS Lon</th><td>${Number.isFinite(lon) ? lon.toFixed(4) : '—'}</td></tr>`,
-      `<tr><th>Distance</th><td>${dist} km</td></tr>`,
-      `<tr><th>Velocity</th><td>${Number.isFinite(vel) ? vel.toFixed(0) : '—'} km/h ${lastDir8}</td></tr>`,
-      `<tr><th>Height</th><td>${Number.isFinite(alt) ? alt.toFixed(1) : '—'} km</td></tr>`,
-      `<tr><th>Visibility</th><td>${vis}</td></tr>`,
-      `<tr><th>Footprint</th><td>${Number.isFinite(fpt) ? fpt.toFixed(0) : '—'} km</td></tr>`,
-      `<tr><th>Solar Lat</th><td>${Number.isFinite(sLat) ? sLat.toFixed(2) : '—'}</td></tr>`,
-      `<tr><th>Solar Lon</th><td>${Number.isFinite(sLon) ? sLon.toFixed(2) : '—'}</td></tr>`,
-      homeMarker
-        ? `<tr><th>Home</th><td class="sensitive-info">${homeMarker.getLatLng().lat.toFixed(4)}, ${homeMarker.getLatLng().lng.toFixed(4)}</td></tr>`
-        : '',
-      '</table>'
-    ].join('');
+  // The layer control and the map's overlayadd/overlayremove handler take care of saving (see initLayerControl)
+  function setOverlay(id, show) {
+    const group = overlays[id];
+    if (!group || !map) return;
+    if (show && !group._map) group.addTo(map);
+    if (!show && group._map) map.removeLayer(group);
   }
 
-  function updateLines(lat, lon) {
-    // Home ↔ ISS
-    if (linkLine) map.removeLayer(linkLine);
-    if (homeMarker) {
-      linkLine = L.polyline([[homeMarker.getLatLng().lat, homeMarker.getLatLng().lng], [lat, lon]], {
-        color: 'green',
-        weight: 1,
-        dashArray: '4,6'
-      }).addTo(map);
+  // Show only the listed sidebar panels; the map takes the full width when none is left
+  function applyPanels(ids) {
+    shownPanels = ids && ids.length < PANEL_IDS.length ? ids : null;
+    document.querySelectorAll('[data-panel]').forEach((el) => {
+      el.classList.toggle('d-none', !!shownPanels && !shownPanels.includes(el.dataset.panel));
+    });
+    const side = $('sidePanels');
+    if (side) {
+      const empty = !side.querySelector('[data-panel]:not(.d-none)');
+      side.classList.toggle('d-none', empty);
+      $('mapCol')?.classList.toggle('col-lg-12', empty);
     }
+    if (map) map.invalidateSize();
+    writeViewState();
   }
 
-  function updateSun(lat, lon) {
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
-    // Normalize longitude to [-180, 180] so markers appear correctly on a no-wrap map
-    let nl = lon;
-    while (nl > 180) nl -= 360;
-    while (nl < -180) nl += 360;
-    sunMarker.setLatLng([lat, nl]);
-    if (!sunMarker._map) sunMarker.addTo(map);
+  // --- Follow camera ---
+  function renderFollowButton() {
+    const btn = $('followToggle');
+    if (!btn) return;
+    btn.classList.toggle('active', follow !== 'off');
+    btn.textContent = follow === 'frame' ? '🔭' : '🎯';
+    btn.title = ui.t({
+      off: 'Follow the satellite',
+      sat: 'Following the satellite (click to keep home in view too)',
+      frame: 'Keeping home and the satellite in view (click to stop)'
+    }[follow]);
   }
 
-  async function refreshPrediction(tsBase) {
-    try {
-      const preds = await fetchPredictions(tsBase);
-      const pts = preds
-        .filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude))
-        .map(p => L.latLng(p.latitude, p.longitude));
-      const split = splitAtDateline(pts);
-      predict.setLatLngs(split);
-      if (!predict._map) predict.addTo(map);
-      fitAllOnce();
-    } catch (e) {
-      console.warn('Prediction error:', e.message || e);
-    }
+  function setFollow(mode) {
+    follow = FOLLOW_HASH[mode] ? mode : 'off';
+    renderFollowButton();
+    followNow();
+    saveViewPrefs();
+    writeViewState();
   }
 
-  async function poll() {
-    try {
-      const data = await fetchIssNow();
-
-      const lat = Number(data.latitude);
-      const lon = Number(data.longitude);
-
-      if (Number.isFinite(lat) && Number.isFinite(lon)) {
-        // Determine bearing vs previous point (persisted or live)
-        const ptsExisting = track.getLatLngs();
-        const flat = Array.isArray(ptsExisting[0]) ? ptsExisting.flat() : ptsExisting;
-        const prev = flat.length ? flat[flat.length - 1] : null;
-        if (prev && Number.isFinite(prev.lat) && Number.isFinite(prev.lng)) {
-          const brg = initialBearingDeg(prev.lat, prev.lng, lat, lon);
-          lastDir8 = bearingTo8(brg);
-        } else {
-          lastDir8 = '—';
-        }
-
-        // Live marker
-        issMarker.setLatLng([lat, lon]);
-        if (!issMarker._map) issMarker.addTo(map);
+  // Off → satellite → home + satellite → off
+  function cycleFollow() {
+    setFollow({ off: 'sat', sat: 'frame', frame: 'off' }[follow]);
+  }
 
-        // Extend live track; keep a sane cap
-        const next = flat.slice();
-        next.push(L.latLng(lat, lon));
-        if (next.length > 2000) next.splice(0, next.length - 2000);
-        track.setLatLngs(splitAtDateline(next));
+  // Move the camera for the current follow mode (called on every sample of the selected satellite)
+  function followNow() {
+    if (!map || follow === 'off' || !sel.marker._map) return;
+    const s = sel.marker.getLatLng();
+    appMove(() => {
+      if (follow === 'frame' && homeMarker) {
+        map.fitBounds(L.latLngBounds([homeMarker.getLatLng(), s]),
+          { padding: FOLLOW_FRAME_PAD, maxZoom: FOLLOW_FRAME_MAX_ZOOM });
+      } else {
+        map.panTo(s);
+      }
+    });
+  }
 
-        // Lines + telemetry
-        updateLines(lat, lon);
-        updateTelemetry(data);
+  // Run a camera move of the app's own. Any other move (drag, keyboard, zoom buttons, wheel) is the user taking
+  // the camera and ends the follow mode; the grace lasts until this move ends.
+  function appMove(fn) {
+    appMoveUntil = Date.now() + APP_MOVE_GRACE_MS;
+    fn();
+  }
 
-        // Sun & day/night
-        updateSun(Number(data.solar_lat), Number(data.solar_lon));
-        addOrRefreshTerminator();
+  function userMoved() {
+    if (Date.now() > appMoveUntil && follow !== 'off') setFollow('off');
+  }
 
-        // Refresh prediction on EVERY poll so it moves with the ISS
-        await refreshPrediction(Number(data.timestamp));
+  // Follow mode and visible overlays survive reloads (the URL hash still wins; kiosk and embed don't save)
+  function loadViewPrefs() {
+    if (EMBED) return {};
+    try {
+      return JSON.parse(localStorage.getItem(VIEW_KEY) || '{}') || {};
+    } catch (_) {
+      return {};
+    }
+  }
 
-        lastIss = data;
-        fitAllOnce(); // ensure default "Fit All" once we have content
-      }
+  function saveViewPrefs() {
+    if (EMBED || KIOSK || !map) return;
+    try {
+      localStorage.setItem(VIEW_KEY, JSON.stringify({
+        follow,
+        layers: OVERLAY_IDS.filter(id => overlays[id]._map)
+      }));
     } catch (e) {
-      console.warn('Live fetch error:', e.message || e);
+      console.warn('View settings error:', e.message || e);
     }
+  }
 
-    // Check for home location updates (e.g., from external /loc API calls)
+  // Copy the current view's link (falls back to a prompt where the clipboard API is unavailable)
+  async function shareView() {
+    const url = `${location.origin}${location.pathname}${location.search}#${viewStateString()}`;
     try {
-      const r = await fetch('/config.json', { cache: 'no-store' });
-      if (r.ok) {
-        const j = await r.json();
-        if (j && j.home) {
-          const newLat = Number(j.home.lat);
-          const newLon = Number(j.home.lon);
-          if (Number.isFinite(newLat) && Number.isFinite(newLon)) {
-            // Check if home location changed
-            const currentHome = homeMarker ? homeMarker.getLatLng() : null;
-            if (!currentHome || Math.abs(currentHome.lat - newLat) > 0.0001 || Math.abs(currentHome.lng - newLon) > 0.0001) {
-              homeLat = newLat;
-              homeLon = newLon;
-              if (homeMarker) {
-                homeMarker.setLatLng([newLat, newLon]);
-                // Redraw lines and telemetry with new home position
-                if (lastIss && Number.isFinite(lastIss.latitude) && Number.isFinite(lastIss.longitude)) {
-                  updateLines(Number(lastIss.latitude), Number(lastIss.longitude));
-                  updateTelemetry(lastIss);
-                }
-              }
-            }
-          }
-        }
-      }
-    } catch (e) {
-      console.warn('Config check error:', e.message || e);
+      await navigator.clipboard.writeText(url);
+      showToast('Link copied', 'This view (map position, layers, panels and satellite) is on your clipboard.');
+    } catch (_) {
+      window.prompt('Copy this link to share the current view:', url);
     }
   }
 
-  async function init() {
-    await loadDeviceConfig();
+  // --- Base map tile providers + automatic offline fallback ---
+  const TILE_NAMES = { osm: 'OpenStreetMap', device: 'Device basemap (offline)', cached: 'Cached tiles (offline)' };
 
-    // Map with **constrained world** (no repeating), reasonable minZoom
-    map = L.map('map', {
+  // Deepest zoom of the device basemap, -1 when it has none
+  async function deviceTileZoom() {
+    try {
+      const r = await fetch('/tiles.json', { cache: 'no-store' });
+      const j = r.ok ? await r.json() : null;
+      return j && Number.isInteger(j.max_zoom) ? j.max_zoom : -1;
+    } catch (_) {
+      return -1;
+    }
+  }
+
+  function makeTileLayers(deviceZoom, withCache) {
+    const opts = {
+      maxZoom: 12,
+      noWrap: true,            // <- key: no world wrap tiles
+      bounds: [[-85, -180], [85, 180]],
+      attribution: '&copy; OpenStreetMap'
+    };
+    const layers = { osm: L.tileLayer(OSM_TILES, opts) };
+    if (deviceZoom >= 0) layers.device = L.tileLayer(DEVICE_TILES, { ...opts, maxNativeZoom: deviceZoom });
+    if (withCache) layers.cached = L.tileLayer(`${OSM_TILES}?cached`, opts); // answered only by sw.js
+
+    // Count consecutive OSM failures: captive portals and isolated LANs look "online" but never load a tile
+    let fails = 0;
+    layers.osm.on('tileload', () => { fails = 0; });
+    layers.osm.on('tileerror', () => {
+      if (++fails >= TILE_FAIL_LIMIT && base === layers.osm) fallBackTiles();
+    });
+    return layers;
+  }
+
+  function setTiles(id) {
+    const next = tileLayers[id];
+    if (!next || next === base) return;
+    tileSwitching = true;
+    if (base) map.removeLayer(base);
+    base = next.addTo(map);
+    base.bringToBack();
+    tileSwitching = false;
+  }
+
+  function fallBackTiles() {
+    const id = tileLayers.device ? 'device' : tileLayers.cached ? 'cached' : null;
+    if (!id) return;
+    tileFellBack = true;
+    setTiles(id);
+  }
+
+  function restoreTiles() {
+    if (!tileFellBack) return;
+    tileFellBack = false;
+    setTiles('osm');
+  }
+
+  // Service Worker (offline app shell and tile cache); browsers only allow it on HTTPS or localhost
+  async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return false;
+    try {
+      await navigator.serviceWorker.register('/sw.js');
+      return true;
+    } catch (e) {
+      console.warn('Service Worker error:', e.message || e);
+      return false;
+    }
+  }
+
+  async function initTiles() {
+    const [deviceZoom, withCache] = await Promise.all([deviceTileZoom(), registerServiceWorker()]);
+    tileLayers = makeTileLayers(deviceZoom, withCache);
+
+    let saved = null;
+    try {
+      saved = localStorage.getItem(TILES_KEY);
+    } catch (_) { /* ignore */ }
+    setTiles(tileLayers[saved] ? saved : 'osm');
+    if (base === tileLayers.osm && !navigator.onLine) fallBackTiles();
+
+    map.on('baselayerchange', (e) => {
+      if (tileSwitching || e.layer === base) return;
+      // A manual pick wins over the automatic fallback
+      base = e.layer;
+      tileFellBack = false;
+      const id = Object.keys(tileLayers).find(k => tileLayers[k] === e.layer);
+      try {
+        localStorage.setItem(TILES_KEY, id);
+      } catch (_) { /* ignore */ }
+    });
+    window.addEventListener('offline', () => {
+      if (base === tileLayers.osm) fallBackTiles();
+    });
+    window.addEventListener('online', restoreTiles);
+  }
+
+  // Layer switcher (top right): base maps when there is a choice, plus every overlay
+  function initLayerControl() {
+    const bases = Object.keys(tileLayers).length > 1
+      ? Object.fromEntries(Object.entries(tileLayers).map(([id, l]) => [TILE_NAMES[id], l]))
+      : {};
+    const named = Object.fromEntries(OVERLAY_IDS.map(id => [OVERLAY_NAMES[id], overlays[id]]));
+    L.control.layers(bases, named, { position: 'topright' }).addTo(map);
+    map.on('overlayadd overlayremove', () => {
+      saveViewPrefs();
+      writeViewState();
+    });
+  }
+
+  async function loadDeviceConfig() {
+    try {
+      const r = await fetch('/config.json', { cache: 'no-store' });
+      if (!r.ok) return;
+      const j = await r.json();
+      if (j && j.home) {
+        homeLat = Number(j.home.lat) || 0;
+        homeLon = Number(j.home.lon) || 0;
+      }
+      if (j && Array.isArray(j.sats)) deviceSats = j.sats.map(Number).filter(n => Number.isInteger(n) && n > 0);
+      if (j) applyPrefs(j.prefs);
+    } catch (_) { /* ignore */ }
+  }
+
+  // Display preferences come with /config.json, every /iss.json sample and the "prefs" event
+  function applyPrefs(p) {
+    if (ui.apply(p)) stateDirty = true;
+  }
+
+  // Redraw whatever shows units, coordinates, times or UI strings after the preferences changed
+  function renderPrefs() {
+    renderAuthNav();
+    renderFollowButton();
+    updateTelemetry(sel);
+    renderPasses();
+    updateStaleBanner();
+    if (!homeMarker) return;
+    renderHomeNow();
+    const slider = $('historySlider');
+    if (slider && !slider.disabled && ghostMarker._map) showHistoryPoint(Number(slider.value));
+  }
+
+  function canEdit() {
+    return !EMBED && (!auth.password_set || auth.logged_in);
+  }
+
+  // The device turns down state-changing requests without the page's CSRF token
+  function csrfHeaders(headers = {}) {
+    return auth.csrf ? { ...headers, 'X-CSRF-Token': auth.csrf } : headers;
+  }
+
+  async function loadAuth() {
+    try {
+      const r = await fetch('/auth.json', { cache: 'no-store' });
+      if (r.ok) auth = await r.json();
+    } catch (e) {
+      console.warn('Auth state error:', e.message || e);
+    }
+    document.body.classList.toggle('read-only', !canEdit());
+    renderAuthNav();
+  }
+
+  function renderAuthNav() {
+    const nav = $('authNav');
+    if (nav) {
+      nav.hidden = !auth.password_set;
+      nav.textContent = auth.logged_in ? '🔓 Admin' : ui.t('🔒 Log in');
+    }
+  }
+
+  // --- Last-known state (IndexedDB): the ISS track, prediction, last sample and TLE, home and the satellite list ---
+  // Restored before anything live arrives, so the app opens with a filled-in map and shows where the ISS was last
+  // seen while the device is out of reach; the device's /track.json and /config.json take over once it answers.
+  let stateDb = null; // Promise of the IDBDatabase (null when IndexedDB is unavailable)
+  let stateDirty = false; // something worth saving changed since the last write
+
+  function openStateDb() {
+    if (!stateDb) {
+      stateDb = new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+        const req = indexedDB.open(STATE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STATE_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn('Offline store error:', req.error ? req.error.message : 'open failed');
+          resolve(null);
+        };
+      });
+    }
+    return stateDb;
+  }
+
+  // One request on the store, as a promise
+  async function stateRequest(mode, call) {
+    const db = await openStateDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const req = call(db.transaction(STATE_STORE, mode).objectStore(STATE_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function loadLastKnown() {
+    try {
+      return await stateRequest('readonly', store => store.get(STATE_KEY));
+    } catch (e) {
+      console.warn('Offline store error:', e.message || e);
+      return null;
+    }
+  }
+
+  async function saveLastKnown() {
+    if (!stateDirty) return;
+    stateDirty = false;
+    try {
+      await stateRequest('readwrite', store => store.put({
+        savedAt: Date.now(),
+        home: { lat: homeLat, lon: homeLon },
+        sats: sats.map(s => s.norad),
+        track: iss.trackPts,
+        predict: iss.predictPts,
+        last: iss.last,
+        tle: iss.tle,
+        prefs: ui.get()
+      }, STATE_KEY));
+    } catch (e) {
+      stateDirty = true;
+      throw e;
+    }
+  }
+
+  // Home, the satellite list and display preferences, before /config.json has had a chance to answer
+  function applyLastKnownConfig(st) {
+    if (st.home && Number.isFinite(st.home.lat) && Number.isFinite(st.home.lon)) {
+      homeLat = st.home.lat;
+      homeLon = st.home.lon;
+    }
+    if (Array.isArray(st.sats) && st.sats.length) deviceSats = st.sats.map(Number).filter(n => Number.isInteger(n) && n > 0);
+    ui.apply(st.prefs);
+  }
+
+  // Track, prediction and the last sample on the map; the sample is marked `cached` so the banner says "last seen"
+  function showLastKnown(st) {
+    if (Array.isArray(st.track)) setTrack(iss, st.track);
+    if (Array.isArray(st.predict) && st.predict.length) {
+      iss.predictPts = st.predict;
+      iss.predict.setLatLngs(splitAtDateline(st.predict));
+    }
+    const last = st.last;
+    if (last && Number.isFinite(last.lat) && Number.isFinite(last.lon)) {
+      iss.last = { ...last, cached: true };
+      iss.look = observe(iss, iss.last);
+      iss.marker.setLatLng([last.lat, last.lon]);
+      if (!iss.marker._map) iss.marker.addTo(map);
+      updateLines(last.lat, last.lon);
+      updateTelemetry(iss);
+      updateFootprint(iss);
+    }
+  }
+
+  // Back in touch after an outage: the device's recording fills the gap (config comes with the next poll)
+  async function reconcileWithDevice() {
+    await loadPersistedTrack(historyMins);
+    await loadObservers();
+  }
+
+  // Replace a satellite's past track (and everything keyed off it)
+  function setTrack(sat, pts) {
+    sat.trackPts = pts;
+    sat.track.setLatLngs(splitAtDateline(pts));
+    if (sat === sel) updateHistoryControls();
+    if (sat.device) stateDirty = true;
+  }
+
+  // The device's recording wins where it has points; what the page already had (live samples, the offline copy)
+  // fills in before and after it, within the history range
+  function mergeTrack(have, fresh, sinceTs) {
+    if (!fresh.length) return have.filter(p => p.ts >= sinceTs);
+    const first = fresh[0].ts, last = fresh[fresh.length - 1].ts;
+    return [...have.filter(p => p.ts >= sinceTs && p.ts < first), ...fresh, ...have.filter(p => p.ts > last)]
+      .slice(-TRACK_MAX_PTS);
+  }
+
+  async function loadPersistedTrack(mins = 60) {
+    // Expect array of {lat, lon, ts} for the last `mins` minutes (device provides it, ISS only)
+    try {
+      const step = mins > 60 ? Math.round(mins * 60 / HISTORY_TARGET_PTS) : 0;
+      const r = await fetch(`/track.json?${qs(step ? { mins, step } : { mins })}`, { cache: 'no-store' });
+      if (!r.ok) return;
+      const j = await r.json();
+      if (Array.isArray(j)) {
+        const fresh = j
+          .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon))
+          .map(p => ({ lat: Number(p.lat), lon: Number(p.lon), ts: Number(p.ts) }));
+        setTrack(iss, mergeTrack(iss.trackPts, fresh, Date.now() / 1000 - mins * 60));
+      }
+    } catch (_) { /* ignore */ }
+  }
+
+  // Without a recorded track, back-fill the history range from the TLE
+  function backfillTrack(sat, mins = historyMins) {
+    if (!sat.satrec || sat.trackPts.length) return;
+    const nowMs = Date.now();
+    const step = Math.max(PREDICT_STEP_S, Math.round(mins * 60 / HISTORY_TARGET_PTS));
+    setTrack(sat, groundTrack(sat.satrec, nowMs - mins * 60000, nowMs, step));
+  }
+
+  // Load a history range for every satellite
+  async function loadTrackRange(mins) {
+    historyMins = mins;
+    sats.forEach(s => setTrack(s, []));
+    await loadPersistedTrack(mins);
+    sats.forEach(s => backfillTrack(s, mins));
+  }
+
+  // Nearest recorded point to a map position (for the track hover tooltip)
+  function nearestTrackPt(sat, ll) {
+    let best = null, bestD = Infinity;
+    const k = Math.cos(ll.lat * DEG);
+    for (const p of sat.trackPts) {
+      let dLon = Math.abs(p.lon - ll.lng);
+      if (dLon > 180) dLon = 360 - dLon;
+      const d = (p.lat - ll.lat) ** 2 + (dLon * k) ** 2;
+      if (d < bestD) { bestD = d; best = p; }
+    }
+    return best;
+  }
+
+  // --- Track history explorer (range buttons + timeline slider), following the selected satellite ---
+  function updateHistoryControls() {
+    const slider = $('historySlider');
+    if (!slider) return;
+    const atEnd = Number(slider.value) >= Number(slider.max);
+    slider.max = Math.max(0, sel.trackPts.length - 1);
+    slider.disabled = sel.trackPts.length < 2;
+    if (atEnd) slider.value = slider.max;
+  }
+
+  function showHistoryPoint(idx) {
+    const p = sel.trackPts[idx];
+    const info = $('historyInfo');
+    if (!p) return;
+    ghostMarker.setLatLng([p.lat, p.lon]);
+    if (!ghostMarker._map) ghostMarker.addTo(map);
+    let dist = '—';
+    if (homeMarker) {
+      const h = homeMarker.getLatLng();
+      dist = ui.dist(haversineKm({ lat: h.lat, lon: h.lng }, p), 1);
+    }
+    if (info) {
+      info.textContent = `${sel.name} · ${Number.isFinite(p.ts) ? fmtStamp(p.ts) : '—'} · ` +
+        `${ui.latLon(p.lat, p.lon)} · ${ui.t('{dist} from home', { dist })}`;
+    }
+  }
+
+  // TLE: the ISS prefers the copy the device caches in LittleFS, then the API; others come from CelesTrak
+  async function loadTle(sat = iss) {
+    const urls = sat.device ? ['/tle.json', WISS_TLE] : [`${CELESTRAK_GP}?${qs({ CATNR: sat.norad, FORMAT: 'TLE' })}`];
+    for (const url of urls) {
+      try {
+        let j;
+        if (sat.device) {
+          j = await getData(url, 'tle');
+        } else {
+          // Three-line text: name, line 1, line 2
+          const [name, line1, line2] = (await getData(url, 'tle', 'text')).trim().split(/\r?\n/).map(l => l.trim());
+          j = { name, line1, line2 };
+        }
+        sat.satrec = parseTle(j.line1, j.line2);
+        sat.tle = { line1: j.line1, line2: j.line2 };
+        if (sat.device) stateDirty = true;
+        if (!sat.device && j.name) {
+          sat.name = j.name;
+          sat.marker.setIcon(satIcon(sat.name, sat.color));
+        }
+        return true;
+      } catch (e) {
+        console.warn('TLE load error:', url, e.message || e);
+      }
+    }
+    return false;
+  }
+
+  // --- Network: deduplicated GETs with per-host backoff, and a scheduler for the periodic jobs — see net.js ---
+  const { backoffMs, getData, createTask, startTask, stopTask, resumeTasks } = window.IssNet.createNet({
+    fetch: window.fetch.bind(window),
+    isHidden: () => document.hidden,
+    baseUrl: location.href,
+    pollMs: POLL_MS,
+    backoffMaxMs: BACKOFF_MAX_MS
+  });
+
+  // --- Data sources ---
+  // Every source yields the same sample object:
+  //   { lat, lon, alt (km), vel (km/h), vis, footKm, ts (unix s), solarLat, solarLon, source }
+  const num = (x) => (x === null || x === undefined || x === '' ? NaN : Number(x));
+
+  // Device /iss.json (also the /events "iss" payload)
+  function fromDevice(j) {
+    if (!j || !j.haveFix || !j.iss) return null;
+    const i = j.iss;
+    return {
+      lat: num(i.lat),
+      lon: num(i.lon),
+      alt: num(i.alt),
+      vel: num(i.vel ?? i.vel_raw),
+      vis: i.vis || '',
+      footKm: num(i.foot_km),
+      ts: num(i.ts),
+      solarLat: num(i.solar_lat),
+      solarLon: num(i.solar_lon),
+      source: 'device'
+    };
+  }
+
+  // wheretheiss.at /v1/satellites/25544 (km units)
+  function fromWiss(j) {
+    if (!j) return null;
+    return {
+      lat: num(j.latitude),
+      lon: num(j.longitude),
+      alt: num(j.altitude),
+      vel: num(j.velocity),
+      vis: j.visibility || '',
+      footKm: num(j.footprint),
+      ts: num(j.timestamp),
+      solarLat: num(j.solar_lat),
+      solarLon: num(j.solar_lon),
+      source: 'wiss'
+    };
+  }
+
+  const SOURCE_LABELS = { device: 'Device', sgp4: 'SGP4 (TLE)', wiss: 'wheretheiss.at' };
+
+  // In order of preference: the device (LAN, already holds the fix), local propagation, the public API
+  const SOURCES = [
+    {
+      id: 'device', async get() {
+        const j = await getData('/iss.json', 'iss.json');
+        if (j) applyPrefs(j.prefs);
+        return fromDevice(j);
+      }
+    },
+    { id: 'sgp4', async get() { return iss.satrec ? sampleFromTle(iss.satrec, Date.now()) : null; } },
+    {
+      id: 'wiss', async get() {
+        return fromWiss(await getData(WISS_NOW, 'iss_now'));
+      }
+    }
+  ];
+
+  // First source with a usable ISS fix wins
+  async function fetchSample() {
+    let lastErr = null;
+    for (const src of SOURCES) {
+      try {
+        const s = await src.get();
+        if (s && Number.isFinite(s.lat) && Number.isFinite(s.lon)) return s;
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+    throw lastErr || new Error('no data source has a fix');
+  }
+
+  function updateTelemetry(sat) {
+    const el = $('telemetry');
+    if (!el) return;
+    const data = sat.last;
+    if (!data) {
+      el.innerHTML = `<p class="mb-0">${ui.t('Waiting for {name} data…', { name: xmlEsc(sat.name) })}</p>`;
+      return;
+    }
+
+    const { lat, lon, alt, vel, ts } = data;
+    const vis = data.vis ? ui.t(data.vis) : '—';
+    const t = ui.t;
+    const fpt = data.footKm;
+    const sLat = data.solarLat;
+    const sLon = data.solarLon;
+
+    let dist = '—';
+    if (homeMarker && Number.isFinite(lat) && Number.isFinite(lon)) {
+      dist = ui.dist(haversineKm(
+        { lat: homeMarker.getLatLng().lat, lon: homeMarker.getLatLng().lng },
+        { lat, lon }
+      ), 1);
+    }
+
+    let age = '—';
+    if (Number.isFinite(ts)) {
+      age = fmtAge(Math.max(0, (Date.now() / 1000) - ts));
+    }
+
+    // embed.html: a handful of rows that fit over the map
+    if (EMBED) {
+      el.innerHTML = [
+        "<table class='table table-sm mb-0'>",
+        `<tr><th>${xmlEsc(sat.name)}</th><td>${ui.latLon(lat, lon, 2)}</td></tr>`,
+        `<tr><th>${t('Height')}</th><td>${ui.dist(alt)}</td></tr>`,
+        `<tr><th>${t('Velocity')}</th><td>${ui.speed(vel)} ${headingText(sat.heading)}</td></tr>`,
+        `<tr><th>${t('Distance')}</th><td>${dist}</td></tr>`,
+        `<tr><th>${t('Visibility')}</th><td>${vis} <span class="text-muted small">(${ageHtml(age)})</span></td></tr>`,
+        '</table>'
+      ].join('');
+      return;
+    }
+
+    el.innerHTML = [
+      "<table class='table table-sm mb-0'>",
+      `<tr><th>${xmlEsc(sat.name)} ${t('Lat')}</th><td>${ui.coord(lat, 'lat')}</td></tr>`,
+      `<tr><th>${xmlEsc(sat.name)} ${t('Lon')}</th><td>${ui.coord(lon, 'lon')}</td></tr>`,
+      `<tr><th>${t('Distance')}</th><td>${dist}</td></tr>`,
+      ...lookRows(sat.look),
+      ...observerRows(data),
+      `<tr><th>${t('Velocity')}</th><td>${ui.speed(vel)} ${headingText(sat.heading)}</td></tr>`,
+      `<tr><th>${t('Height')}</th><td>${ui.dist(alt, 1)}</td></tr>`,
+      `<tr><th>${t('Visibility')}</th><td>${vis}</td></tr>`,
+      `<tr><th>${t('Footprint')}</th><td>${ui.dist(fpt)}<span id="footNote">${footNoteHtml()}</span></td></tr>`,
+      `<tr><th>${t('Solar Lat')}</th><td>${ui.coord(sLat, 'lat', 2)}</td></tr>`,
+      `<tr><th>${t('Solar Lon')}</th><td>${ui.coord(sLon, 'lon', 2)}</td></tr>`,
+      `<tr><th>${t('Source')}</th><td>${SOURCE_LABELS[data.source] || '—'} <span class="text-muted small">(${ageHtml(age)})</span></td></tr>`,
+      ...orbitRows(sat),
+      homeMarker
+        ? `<tr><th>${observers.length > 1 ? xmlEsc(activeObserver()?.name || t('Home')) : t('Home')}</th><td class="sensitive-info">${ui.latLon(homeMarker.getLatLng().lat, homeMarker.getLatLng().lng)}</td></tr>`
+        : '',
+      '</table>'
+    ].join('');
+  }
+
+  // "(12 s ago)" with the age in #sampleAge, which ticks between samples
+  function ageHtml(age) {
+    return ui.t('{age} ago', { age: `<span id="sampleAge">${age}</span>` });
+  }
+
+  function headingText(deg) {
+    return Number.isFinite(deg) ? `${deg.toFixed(0)}° ${bearingTo8(deg)}` : '—';
+  }
+
+  function fmtLonDeg(lon) {
+    return ui.get().coords === 'dms' ? ui.coord(lon, 'lon') : `${Math.abs(lon).toFixed(1)}° ${lon < 0 ? 'W' : 'E'}`;
+  }
+
+  // Period, inclination, orbit number, latitude rate, next nodes and next sunrise/sunset on the spacecraft.
+  // Recomputed once per sample; without a TLE the orbit is fitted to the last few minutes of samples.
+  function orbitRows(sat) {
+    const data = sat.last;
+    if (!data || !Number.isFinite(data.ts)) return [];
+    if (!sat.orbit || sat.orbit.ts !== data.ts) {
+      const model = orbitModel(sat, data);
+      sat.orbit = model ? deriveOrbit(model, data.ts * 1000) : null;
+    }
+    const o = sat.orbit;
+    const t = ui.t;
+    const head = (note) => `<tr class="orbit-head"><th colspan="2">${t('Orbit')} <span class="text-muted small">(${t(note)})</span></th></tr>`;
+    if (!o) return [head('waiting for a TLE or a few samples')];
+
+    const now = Date.now();
+    const when = (ms) => `${t('in {age}', { age: fmtAge(Math.max(0, (ms - now) / 1000)) })} <span class="text-muted small">(${fmtClock(ms)})</span>`;
+    const node = (n) => `${t(n.asc ? '▲ ascending' : '▼ descending')} ${when(n.ms)} ${t('at')} ${fmtLonDeg(n.lon)}`;
+    const rate = o.latRate;
+    const shadow = o.shadow
+      ? `${t(o.shadow.sunrise ? 'Sunrise' : 'Sunset')} ${when(o.shadow.ms)}`
+      : t(`${data.vis === 'eclipsed' ? 'In shadow' : 'Sunlit'} for the next {min} min`, { min: o.shadowSearchMin.toFixed(0) });
+
+    return [
+      head(o.from === 'tle' ? 'from TLE' : 'fitted to recent samples'),
+      `<tr><th>${t('Period')}</th><td>${ui.num(o.periodMin, 2)} min</td></tr>`,
+      `<tr><th>${t('Inclination')}</th><td>${ui.num(o.inclDeg, 2)}°</td></tr>`,
+      `<tr><th>${t('Orbit No.')}</th><td>${Number.isFinite(o.rev) && o.rev > 0 ? ui.num(o.rev) : `— <span class="text-muted small">(${t('needs TLE')})</span>`}</td></tr>`,
+      `<tr><th>${t('Latitude Rate')}</th><td>${Number.isFinite(rate) ? `${rate > 0 ? '+' : ''}${ui.num(rate, 2)}°/min ${t(rate >= 0 ? '▲ ascending' : '▼ descending')}` : '—'}</td></tr>`,
+      `<tr><th>${t('Next Equator')}</th><td>${o.equator ? node(o.equator) : '—'}</td></tr>`,
+      o.ascNode && o.equator && !o.equator.asc ? `<tr><th>${t('Asc. Node')}</th><td>${node(o.ascNode)}</td></tr>` : '',
+      `<tr><th>${t('Sun')}</th><td>${shadow}</td></tr>`
+    ];
+  }
+
+  // Az/El, slant range, range rate and Doppler rows for the telemetry table
+  function lookRows(look) {
+    if (!look) return [];
+    const t = ui.t;
+    const fix = (v, d, unit) => (Number.isFinite(v) ? `${ui.num(v, d)}${unit}` : '—');
+    const dop = Number.isFinite(look.rate) ? dopplerHz(DOPPLER_MHZ * 1e6, look.rate) / 1000 : NaN;
+    return [
+      `<tr><th>${t('Az / El')}</th><td>${fix(look.az, 0, '°')} ${bearingTo8(look.az)} / ${fix(look.el, 1, '°')}` +
+        `${look.el < 0 ? ` <span class="text-muted small">(${t('below horizon')})</span>` : ''}</td></tr>`,
+      `<tr><th>${t('Slant Range')}</th><td>${ui.dist(look.range)}</td></tr>`,
+      `<tr><th>${t('Range Rate')}</th><td>${ui.rate(look.rate)}</td></tr>`,
+      `<tr><th>Doppler</th><td>${Number.isFinite(dop) ? `${dop > 0 ? '+' : ''}${ui.num(dop, 2)} kHz` : '—'}` +
+        ` <span class="text-muted small">@ ${ui.num(DOPPLER_MHZ, 3)} MHz</span></td></tr>`
+    ];
+  }
+
+  // Distance and look angles from the observers that aren't active (the active one has the rows above)
+  function observerRows(data) {
+    if (!Number.isFinite(data.lat) || !Number.isFinite(data.lon)) return [];
+    return observers.filter(o => o.id !== activeObsId).map((o) => {
+      const look = lookAnglesGeo({ lat: o.lat, lon: o.lon }, data);
+      const dist = haversineKm({ lat: o.lat, lon: o.lon }, data);
+      return `<tr class="observer-row"><th>📍 ${xmlEsc(o.name)}</th><td>${ui.dist(dist)} · ` +
+        `${look.az.toFixed(0)}° ${bearingTo8(look.az)} / ${ui.num(look.el, 1)}°` +
+        `${look.el >= 0 ? ` <span class="badge text-bg-success">${ui.t('up')}</span>` : ''}</td></tr>`;
+    });
+  }
+
+  // Look angles from home for a sample; range rate from SGP4 when we have the orbit, else from the previous sample
+  function observe(sat, data) {
+    if (!homeMarker) return null;
+    const h = homeMarker.getLatLng();
+    const obs = { lat: h.lat, lon: h.lng };
+    const look = lookAnglesGeo(obs, data);
+    const ms = Number.isFinite(data.ts) ? data.ts * 1000 : Date.now();
+    let rate = NaN;
+    if (sat.satrec) {
+      const a = satLookAt(sat.satrec, obs, ms), b = satLookAt(sat.satrec, obs, ms + 1000);
+      if (a && b) rate = rangeRate(a.range, b.range, 1);
+    } else if (sat.look && data.ts > sat.look.ts) {
+      rate = rangeRate(sat.look.range, look.range, data.ts - sat.look.ts);
+    }
+    return { ...look, rate, ts: data.ts };
+  }
+
+  // --- Sky plot: polar az/el view from home (zenith in the middle, horizon on the rim, north up) ---
+  function skyXY(az, el, R = 80) {
+    const r = R * (90 - Math.max(0, el)) / 90;
+    return [100 + r * Math.sin(az * DEG), 100 - r * Math.cos(az * DEG)];
+  }
+
+  // Path to draw: the rest of the current pass, or the next one while the satellite is below the horizon
+  function skyPath(sat, obs, now) {
+    if (!sat.satrec) return { pts: [], label: '' };
+    let from = now, to = now + PREDICT_MINS * 60000, label = ui.t('Now');
+    const cur = satLookAt(sat.satrec, obs, now);
+    if (!cur || cur.el < 0) {
+      const next = sat.passes.find(p => p.rise.ms > now);
+      if (!next) return { pts: [], label: '' };
+      from = next.rise.ms;
+      to = next.set.ms;
+      label = ui.t('Next pass {time}', { time: fmtClock(next.rise.ms) });
+    }
+    const pts = [];
+    for (let ms = from; ms <= to; ms += SKY_STEP_S * 1000) {
+      const la = satLookAt(sat.satrec, obs, ms);
+      if (!la) continue;
+      if (la.el < 0) {
+        if (pts.length) break; // pass is over
+        continue;
+      }
+      pts.push(la);
+    }
+    return { pts, label };
+  }
+
+  function renderSkyPlot(sat) {
+    const el = $('skyPlot');
+    if (!el || !homeMarker) return;
+    const h = homeMarker.getLatLng();
+    const obs = { lat: h.lat, lon: h.lng };
+    const { pts, label } = skyPath(sat, obs, Date.now());
+    const rings = [0, 30, 60].map(e => `<circle cx="100" cy="100" r="${80 * (90 - e) / 90}" class="sky-ring"/>`).join('');
+    const ticks = [['N', 0], ['E', 90], ['S', 180], ['W', 270]].map(([t, az]) => {
+      const [x, y] = skyXY(az, -4);
+      return `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" class="sky-label">${t}</text>`;
+    }).join('');
+    const path = pts.length > 1
+      ? `<polyline points="${pts.map(p => skyXY(p.az, p.el).map(v => v.toFixed(1)).join(',')).join(' ')}" class="sky-path" style="stroke: ${sat.predictColor};"/>`
+      : '';
+    let dot = '';
+    if (sat.look && sat.look.el >= 0) {
+      const [x, y] = skyXY(sat.look.az, sat.look.el);
+      dot = `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="5" class="sky-sat" style="fill: ${sat.color};"/>`;
+    }
+    el.innerHTML = `<svg viewBox="0 0 200 200" role="img" aria-label="${xmlEsc(sat.name)} sky plot">` +
+      `${rings}<line x1="20" y1="100" x2="180" y2="100" class="sky-ring"/><line x1="100" y1="20" x2="100" y2="180" class="sky-ring"/>` +
+      `${ticks}${path}${dot}</svg>` +
+      `<div class="small text-muted">${xmlEsc(sat.name)} · ${label || ui.t('no pass in view')}</div>`;
+  }
+
+  // Keep the freshness label ticking between samples
+  function refreshSampleAge() {
+    const el = $('sampleAge');
+    if (el && sel.last && Number.isFinite(sel.last.ts)) {
+      el.textContent = fmtAge(Math.max(0, (Date.now() / 1000) - sel.last.ts));
+    }
+    updateStaleBanner();
+  }
+
+  // "Data stale since …" over the map once the selected satellite's last sample is older than
+  // a few sample intervals, with the next retry while polling is backing off
+  function updateStaleBanner() {
+    const el = $('staleBanner');
+    if (!el) return;
+    const ts = sel.last ? sel.last.ts : NaN;
+    const pts = sel.trackPts;
+    const step = pts.length > 1 ? pts[pts.length - 1].ts - pts[pts.length - 2].ts : 0;
+    const age = (Date.now() / 1000) - ts;
+    const failing = pollTask.active && pollTask.fails > 0;
+    const stale = Number.isFinite(ts) ? age > Math.max(STALE_MIN_S, 3 * step) : failing;
+    el.classList.toggle('d-none', !stale);
+    if (!stale) return;
+    const t = ui.t;
+    let retry = failing && !pollTask.busy
+      ? t(' · retrying in {age}', { age: fmtAge(Math.max(0, (pollTask.nextAt - Date.now()) / 1000)) })
+      : '';
+    // No Service Worker (plain HTTP): nothing would open this page again until the device is back
+    if (failing && !(navigator.serviceWorker && navigator.serviceWorker.controller)) {
+      retry += t(' · keep this tab open: it can\'t be reloaded without the device');
+    }
+    if (sel.last && sel.last.cached) {
+      el.textContent = t('📴 Offline: {name} last seen {when} ({age} ago)', { name: sel.name, when: fmtStamp(ts), age: fmtAge(age) }) + retry;
+      return;
+    }
+    el.textContent = Number.isFinite(ts)
+      ? t('⚠️ {name} data stale since {when} ({age} ago)', { name: sel.name, when: fmtClock(ts * 1000), age: fmtAge(age) }) + retry
+      : t('⚠️ No {name} data yet', { name: sel.name }) + retry;
+  }
+
+  function fmtClock(ms) {
+    return ui.time(ms);
+  }
+
+  function renderPasses() {
+    const el = $('passes');
+    const title = $('passesSat');
+    if (title) title.textContent = sel.name;
+    if (!el) return;
+    const t = ui.t;
+    if (!sel.satrec) {
+      el.innerHTML = `<p class="mb-0 small text-muted">${t('Waiting for orbit data…')}</p>`;
+      return;
+    }
+    const passes = sel.passes;
+    if (!passes.length) {
+      el.innerHTML = `<p class="mb-0 small text-muted">${t('No passes above {el}° in the next {days} days.', { el: PASS_MIN_EL, days: PASS_DAYS })}</p>`;
+      return;
+    }
+    const now = Date.now();
+    el.innerHTML = [
+      "<table class='table table-sm mb-0 passes-table'>",
+      `<tr><th>${t('Date')}</th><th>${t('Rise')}</th><th>${t('Max')}</th><th>${t('Set|pass')}</th><th title="Sunlit ISS, dark sky">👁️</th></tr>`,
+      ...passes.map(p => {
+        const cls = [p.visible ? 'pass-visible' : '', p.rise.ms <= now && now <= p.set.ms ? 'pass-now' : ''].join(' ').trim();
+        const day = ui.date(p.rise.ms);
+        return `<tr class="${cls}">` +
+          `<td>${day}</td>` +
+          `<td>${fmtClock(p.rise.ms)} ${bearingTo8(p.rise.az)}</td>` +
+          `<td title="${fmtClock(p.culm.ms)} ${p.culm.az.toFixed(0)}°">${p.maxEl.toFixed(0)}° ${bearingTo8(p.culm.az)}</td>` +
+          `<td>${fmtClock(p.set.ms)} ${bearingTo8(p.set.az)}</td>` +
+          `<td>${p.visible ? '✨' : ''}</td>` +
+          '</tr>';
+      }),
+      '</table>'
+    ].join('');
+  }
+
+  // Passes of one satellite (the selected one by default); only the selected satellite's table is shown
+  function refreshPasses(sat = sel) {
+    if (sat.satrec && homeMarker) {
+      const h = homeMarker.getLatLng();
+      try {
+        sat.passes = predictPasses(sat.satrec, { lat: h.lat, lon: h.lng }, Date.now(), PASS_DAYS, PASS_COUNT);
+      } catch (e) {
+        console.warn('Pass prediction error:', e.message || e);
+        sat.passes = [];
+      }
+      sat.passesAt = Date.now();
+    }
+    if (sat === sel) renderPasses();
+  }
+
+  // --- Alerts: ISS near home / pass about to start, as toasts and (optionally) desktop notifications ---
+  function loadAlertCfg() {
+    try {
+      return { ...ALERT_DEFAULTS, ...JSON.parse(localStorage.getItem(ALERTS_KEY) || '{}') };
+    } catch (_) {
+      return { ...ALERT_DEFAULTS };
+    }
+  }
+
+  function saveAlertCfg() {
+    try {
+      localStorage.setItem(ALERTS_KEY, JSON.stringify(alertCfg));
+    } catch (e) {
+      console.warn('Alert settings error:', e.message || e);
+    }
+  }
+
+  // Browsers only expose notifications on HTTPS/localhost; plain http://iss.local falls back to toasts
+  const canNotify = () => 'Notification' in window && window.isSecureContext;
+
+  function showToast(title, body) {
+    const box = $('alertToasts');
+    if (!box) return;
+    const el = document.createElement('div');
+    el.className = 'toast';
+    el.setAttribute('role', 'alert');
+    el.innerHTML = `<div class="toast-header"><strong class="me-auto">🛰️ ${title}</strong>` +
+      '<button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button></div>' +
+      `<div class="toast-body">${body}</div>`;
+    box.appendChild(el);
+    if (window.bootstrap && window.bootstrap.Toast) {
+      el.addEventListener('hidden.bs.toast', () => el.remove());
+      new window.bootstrap.Toast(el, { delay: ALERT_TOAST_MS }).show();
+    } else {
+      el.classList.add('show');
+      on(el.querySelector('.btn-close'), 'click', () => el.remove());
+      setTimeout(() => el.remove(), ALERT_TOAST_MS);
+    }
+  }
+
+  // Plain-text title and body: escaped for the toast, as-is for the notification
+  function fireAlert(title, body) {
+    showToast(xmlEsc(title), xmlEsc(body));
+    if (alertCfg.notify && canNotify() && Notification.permission === 'granted') {
+      try {
+        new Notification(title, { body, tag: 'iss-alert', icon: '/favicon.ico' });
+      } catch (e) {
+        console.warn('Notification error:', e.message || e);
+      }
+    }
+  }
+
+  // Threshold radius drawn around home while the distance alert is on
+  function updateAlertCircle() {
+    if (!map || !homeMarker || !alertCfg.nearOn) {
+      if (alertCircle) map.removeLayer(alertCircle);
+      alertCircle = null;
+      return;
+    }
+    const h = homeMarker.getLatLng();
+    if (!alertCircle) {
+      alertCircle = L.circle(h, {
+        radius: alertCfg.nearKm * 1000,
+        color: '#dc3545',
+        weight: 1,
+        dashArray: '4,4',
+        fillOpacity: 0.04,
+        interactive: false
+      }).addTo(map);
+    } else {
+      alertCircle.setLatLng(h);
+      alertCircle.setRadius(alertCfg.nearKm * 1000);
+    }
+  }
+
+  function checkAlerts(sat, data) {
+    const now = Date.now();
+    if (alertCfg.nearOn && homeMarker) {
+      const h = homeMarker.getLatLng();
+      const d = haversineKm({ lat: h.lat, lon: h.lng }, data);
+      if (d <= alertCfg.nearKm && sat.nearArmed) {
+        sat.nearArmed = false;
+        fireAlert(`${sat.name} nearby`, `${sat.name} is ${ui.dist(d)} from home, heading ${Number.isFinite(sat.heading) ? bearingTo8(sat.heading) : '—'}.`);
+      } else if (d > alertCfg.nearKm * (1 + ALERT_REARM_FRAC)) {
+        sat.nearArmed = true;
+      }
+    }
+
+    if (alertCfg.passOn) {
+      const lead = alertCfg.passMins * 60000;
+      // Pass times shift slightly between recomputes, so match announced passes within a few minutes
+      const fired = (p) => sat.firedPasses.some(ms => Math.abs(ms - p.rise.ms) < 5 * 60000);
+      const next = sat.passes.find(p => p.set.ms > now && (!alertCfg.passVisible || p.visible));
+      if (next && next.rise.ms - now <= lead && !fired(next)) {
+        sat.firedPasses = [...sat.firedPasses.filter(ms => ms > now - 86400000), next.rise.ms];
+        const mins = Math.max(0, Math.round((next.rise.ms - now) / 60000));
+        fireAlert(next.visible ? `Visible ${sat.name} pass` : `${sat.name} pass`,
+          `${mins ? `Rises in ${mins} min` : 'Rising now'} at ${fmtClock(next.rise.ms)} in the ${bearingTo8(next.rise.az)}, ` +
+          `max ${next.maxEl.toFixed(0)}° ${bearingTo8(next.culm.az)}.`);
+      }
+    }
+  }
+
+  function renderAlertForm() {
+    const set = (id, prop, v) => { const el = $(id); if (el) el[prop] = v; };
+    set('alertNearOn', 'checked', alertCfg.nearOn);
+    set('alertNearKm', 'value', alertCfg.nearKm);
+    set('alertPassOn', 'checked', alertCfg.passOn);
+    set('alertPassMins', 'value', alertCfg.passMins);
+    set('alertPassVisible', 'checked', alertCfg.passVisible);
+    const btn = $('alertNotify');
+    if (btn) {
+      btn.textContent = alertCfg.notify && canNotify() && Notification.permission === 'granted' ? '🔔' : '🔕';
+      btn.disabled = !canNotify();
+      btn.title = canNotify() ? 'Toggle desktop notifications' : 'Desktop notifications need HTTPS; alerts show in-page';
+    }
+  }
+
+  function readAlertForm() {
+    const num = (id, lo, hi, dflt) => {
+      const v = Number($(id)?.value);
+      return Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : dflt;
+    };
+    alertCfg.nearOn = !!$('alertNearOn')?.checked;
+    alertCfg.nearKm = num('alertNearKm', 50, 5000, ALERT_DEFAULTS.nearKm);
+    alertCfg.passOn = !!$('alertPassOn')?.checked;
+    alertCfg.passMins = num('alertPassMins', 1, 120, ALERT_DEFAULTS.passMins);
+    alertCfg.passVisible = !!$('alertPassVisible')?.checked;
+    saveAlertCfg();
+    renderAlertForm();
+    updateAlertCircle();
+  }
+
+  async function toggleNotify() {
+    if (!canNotify()) return;
+    if (alertCfg.notify) {
+      alertCfg.notify = false;
+    } else {
+      const perm = Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+      alertCfg.notify = perm === 'granted';
+      if (!alertCfg.notify) showToast('Notifications blocked', 'Allow notifications for this site in the browser to get desktop alerts.');
+    }
+    saveAlertCfg();
+    renderAlertForm();
+  }
+
+  function updateLines(lat, lon) {
+    // Home ↔ selected satellite
+    if (linkLine) overlays.link.removeLayer(linkLine);
+    if (homeMarker) {
+      linkLine = L.polyline([[homeMarker.getLatLng().lat, homeMarker.getLatLng().lng], [lat, lon]], {
+        color: 'green',
+        weight: 1,
+        dashArray: '4,6'
+      }).addTo(overlays.link);
+    }
+    // Other observers ↔ selected satellite
+    for (const o of observers) {
+      if (o.line) o.line.setLatLngs([[o.lat, o.lon], [lat, lon]]);
+    }
+  }
+
+  // Footprint + swath of the selected satellite; highlight home when it is (or is about to be) inside
+  function updateFootprint(sat) {
+    if (!map) return;
+    footprintMarks.clearLayers();
+    const d = sat.last;
+    if (!d || !Number.isFinite(d.lat) || !Number.isFinite(d.lon)) {
+      footprint.setLatLngs([]);
+      swath.setLatLngs([]);
+      homeWindows = [];
+      renderFootNote();
+      return;
+    }
+    footprint.setLatLngs(geoCircle(d.lat, d.lon, footprintAngle(d)));
+    const path = [{ lat: d.lat, lon: d.lon, alt: d.alt, footKm: d.footKm, ts: d.ts }, ...sat.predictPts.filter(p => p.ts > d.ts)];
+    swath.setLatLngs(path.length > 1 ? swathRings(path) : []);
+
+    homeWindows = (homeMarker && path.length > 1) ? footprintWindows({ lat: homeLat, lon: homeLon }, path) : [];
+    for (const w of homeWindows) {
+      for (const [pt, text] of [[w.enterPt, 'Home enters {name}\'s footprint {time}'], [w.exitPt, 'Home leaves {name}\'s footprint {time}']]) {
+        if (!pt) continue;
+        L.circleMarker([pt.lat, pt.lon], { radius: 4, color: '#fd7e14', weight: 2, fillColor: '#fff', fillOpacity: 1 })
+          .bindTooltip(ui.t(text, { name: xmlEsc(sat.name), time: fmtClock(pt.ms) }))
+          .addTo(footprintMarks);
+      }
+    }
+    const el = homeMarker && homeMarker.getElement ? homeMarker.getElement() : null;
+    if (el) {
+      const inside = homeWindows.length > 0 && homeWindows[0].enter === null;
+      el.classList.toggle('in-footprint', inside);
+      el.classList.toggle('footprint-soon', !inside && homeWindows.length > 0);
+    }
+    renderFootNote();
+  }
+
+  // "· home inside until 12:41" / "· home in view 12:34–12:41" next to the footprint size
+  function footNoteHtml() {
+    const w = homeWindows[0];
+    if (!w) return '';
+    const t = ui.t;
+    const until = w.exit ? fmtClock(w.exit) : t('beyond {min} min', { min: PREDICT_MINS });
+    return w.enter === null
+      ? ` <span class="foot-note in">· ${t('home inside until {time}', { time: until })}</span>`
+      : ` <span class="foot-note soon">· ${t('home in view {from}–{to}', { from: fmtClock(w.enter), to: w.exit ? fmtClock(w.exit) : '…' })}</span>`;
+  }
+
+  function renderFootNote() {
+    const el = $('footNote');
+    if (el) el.innerHTML = footNoteHtml();
+  }
+
+  function clearLines() {
+    if (linkLine) {
+      overlays.link.removeLayer(linkLine);
+      linkLine = null;
+    }
+    for (const o of observers) {
+      if (o.line) o.line.setLatLngs([]);
+    }
+  }
+
+  function updateSun(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    // Normalize longitude to [-180, 180] so markers appear correctly on a no-wrap map
+    let nl = lon;
+    while (nl > 180) nl -= 360;
+    while (nl < -180) nl += 360;
+    sunMarker.setLatLng([lat, nl]);
+    if (!overlays.sun.hasLayer(sunMarker)) sunMarker.addTo(overlays.sun);
+  }
+
+  // Predicted path from SGP4; without a TLE there is none, and the TLE retry task keeps asking for one
+  async function refreshPrediction(sat, tsBase) {
+    try {
+      let pts = [];
+      if (sat.satrec) {
+        const fromMs = tsBase * 1000 + PREDICT_STEP_S * 1000;
+        pts = groundTrack(sat.satrec, fromMs, tsBase * 1000 + PREDICT_MINS * 60000, PREDICT_STEP_S);
+      } else {
+        startTask(tleRetryTask);
+      }
+      sat.predictPts = pts;
+      const split = splitAtDateline(pts);
+      sat.predict.setLatLngs(split);
+      if (!overlays.predict.hasLayer(sat.predict)) sat.predict.addTo(overlays.predict);
+      fitAllOnce();
+    } catch (e) {
+      console.warn('Prediction error:', e.message || e);
+    }
+  }
+
+  // Apply one normalised sample to a satellite's marker and track; the selected one also drives lines and telemetry
+  async function handleSample(sat, data) {
+    const { lat, lon } = data;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+    // Heading from the orbit (TLE, or fitted to the recent samples) rather than the chord to the previous point
+    const model = orbitModel(sat, data);
+    sat.heading = model ? headingAt(model, Number.isFinite(data.ts) ? data.ts * 1000 : Date.now()) : NaN;
+    sat.last = data;
+    sat.look = observe(sat, data);
+
+    // Live marker
+    sat.marker.setLatLng([lat, lon]);
+    if (!sat.marker._map) sat.marker.addTo(map);
+
+    // Extend live track; keep a sane cap
+    const next = sat.trackPts.slice();
+    next.push({ lat, lon, ts: data.ts });
+    if (next.length > TRACK_MAX_PTS) next.splice(0, next.length - TRACK_MAX_PTS);
+    setTrack(sat, next);
+
+    // Lines + telemetry
+    if (sat === sel) {
+      updateLines(lat, lon);
+      updateTelemetry(sat);
+    }
+
+    // Sun & day/night
+    if (sat.device) {
+      updateSun(data.solarLat, data.solarLon);
+      addOrRefreshTerminator();
+    }
+
+    // Refresh prediction on EVERY sample so it moves with the satellite
+    await refreshPrediction(sat, Number.isFinite(data.ts) ? data.ts : Math.floor(Date.now() / 1000));
+    if (sat === sel) updateFootprint(sat);
+
+    // Passes: recompute periodically and once the first listed pass is over. Alerts cover every satellite, not
+    // just the selected one, so a pass of the ISS is announced while another satellite is on screen.
+    const passAlerts = alertCfg.passOn && sat.satrec;
+    if (sat === sel || passAlerts) {
+      if (Date.now() - sat.passesAt > PASS_RECALC_MS || (sat.passes[0] && Date.now() > sat.passes[0].set.ms)) {
+        refreshPasses(sat);
+      }
+    }
+    checkAlerts(sat, data);
+    if (sat === sel) renderSkyPlot(sat);
+
+    fitAllOnce(); // ensure default "Fit All" once we have content
+    if (sat === sel) followNow();
+  }
+
+  // Satellites without a device feed: one SGP4 sample each per tick
+  async function propagateOthers() {
+    for (const s of sats) {
+      if (s.device || !s.satrec) continue;
+      try {
+        await handleSample(s, sampleFromTle(s.satrec, Date.now()));
+      } catch (e) {
+        console.warn('Propagation error:', e.message || e);
+      }
+    }
+  }
+
+  // --- Satellite list: add/remove by NORAD ID, stored on the device so every browser shows the same set ---
+  function showSat(sat) {
+    sat.track.addTo(overlays.track);
+    sat.predict.addTo(overlays.predict);
+
+    // Track hover: when was the satellite here?
+    sat.track.bindTooltip('', { sticky: true, direction: 'top' });
+    sat.track.on('mousemove', (e) => {
+      const p = nearestTrackPt(sat, e.latlng);
+      if (p && Number.isFinite(p.ts)) sat.track.setTooltipContent(sat.device ? fmtStamp(p.ts) : `${xmlEsc(sat.name)} · ${fmtStamp(p.ts)}`);
+    });
+    sat.marker.on('click', () => selectSat(sat));
+  }
+
+  function hideSat(sat) {
+    if (sat.marker._map) map.removeLayer(sat.marker);
+    overlays.track.removeLayer(sat.track);
+    overlays.predict.removeLayer(sat.predict);
+  }
+
+  // Fetch the TLE, back-fill the track and place the satellite right away
+  async function startSat(sat) {
+    if (!(await loadTle(sat))) {
+      showToast('Satellite not found', `No orbit data for NORAD ${sat.norad}.`);
+      return;
+    }
+    backfillTrack(sat);
+    await handleSample(sat, sampleFromTle(sat.satrec, Date.now()));
+    renderSatList();
+    if (sat === sel) refreshPasses();
+  }
+
+  function selectSat(sat) {
+    sel = sat;
+    if (ghostMarker._map) map.removeLayer(ghostMarker);
+    updateHistoryControls();
+    if (sat.last) {
+      updateLines(sat.last.lat, sat.last.lon);
+    } else {
+      clearLines();
+    }
+    updateTelemetry(sat);
+    updateFootprint(sat);
+    refreshPasses();
+    renderSkyPlot(sat);
+    renderSatList();
+    followNow();
+    writeViewState();
+  }
+
+  // Make the tracked set match `ids` (ISS always kept first)
+  function applySatList(ids) {
+    const want = [ISS_NORAD, ...ids.filter(n => n !== ISS_NORAD)].slice(0, MAX_SATS);
+    for (const s of sats.filter(x => !want.includes(x.norad))) hideSat(s);
+    const kept = sats.filter(x => want.includes(x.norad));
+    for (const norad of want) {
+      if (kept.some(x => x.norad === norad)) continue;
+      const color = SAT_COLORS.find(c => !kept.some(x => x.color === c)) || SAT_COLORS[0];
+      const sat = createSat(norad, color);
+      kept.push(sat);
+      showSat(sat);
+      startSat(sat).catch(e => console.warn('Satellite error:', e.message || e));
+    }
+    sats = want.map(n => kept.find(x => x.norad === n));
+    if (!sats.includes(sel)) selectSat(iss);
+    renderSatList();
+    stateDirty = true;
+  }
+
+  async function saveSatList() {
+    try {
+      const r = await fetch('/savesats', {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/x-www-form-urlencoded' }),
+        body: qs({ ids: sats.map(s => s.norad).join(',') })
+      });
+      if (!r.ok) throw new Error('savesats http ' + r.status);
+    } catch (e) {
+      console.warn('Satellite list save error:', e.message || e);
+    }
+  }
+
+  function renderSatList() {
+    const el = $('satList');
+    if (!el) return;
+    el.innerHTML = sats.map(s => {
+      const swatch = `<span class="sat-swatch" style="background: ${s.color};"></span>`;
+      const remove = s.device || !canEdit() ? '' : `<button type="button" class="btn-close btn-sm" data-remove="${s.norad}" title="Remove" aria-label="Remove"></button>`;
+      return `<li class="list-group-item list-group-item-action d-flex align-items-center gap-2${s === sel ? ' active' : ''}" data-norad="${s.norad}">` +
+        `${swatch}<span class="flex-grow-1">${xmlEsc(s.name)}</span><span class="small opacity-75">${s.norad}</span>${remove}</li>`;
+    }).join('');
+    const add = $('satAddBtn');
+    if (add) add.disabled = sats.length >= MAX_SATS;
+  }
+
+  function addSatFromInput() {
+    const input = $('satAdd');
+    const norad = Number(input?.value);
+    if (!Number.isInteger(norad) || norad <= 0 || norad > 999999) return;
+    if (!sats.some(s => s.norad === norad)) {
+      applySatList([...sats.map(s => s.norad), norad]);
+      saveSatList();
+    }
+    input.value = '';
+  }
+
+  // Redraw everything measured from home (lines, telemetry, sky plot, passes, alert ring)
+  function homeMoved() {
+    const active = activeObserver();
+    if (active) {
+      active.lat = homeLat;
+      active.lon = homeLon;
+    }
+    renderHomeNow();
+    if (!homeMarker) return;
+    for (const s of sats) s.passesAt = 0; // the others recompute on their next sample
+    refreshPasses();
+    updateAlertCircle();
+    if (sel.last) {
+      sel.look = observe(sel, sel.last);
+      updateLines(sel.last.lat, sel.last.lon);
+      updateTelemetry(sel);
+    }
+    updateFootprint(sel);
+    renderSkyPlot(sel);
+  }
+
+  // Move home if the device reports a different location (e.g., from external /loc API calls)
+  function applyHome(newLat, newLon) {
+    if (!Number.isFinite(newLat) || !Number.isFinite(newLon)) return;
+    const currentHome = homeMarker ? homeMarker.getLatLng() : null;
+    if (currentHome && Math.abs(currentHome.lat - newLat) <= 0.0001 && Math.abs(currentHome.lng - newLon) <= 0.0001) return;
+    homeLat = newLat;
+    homeLon = newLon;
+    if (homeMarker) homeMarker.setLatLng([newLat, newLon]);
+    stateDirty = true;
+    homeMoved();
+  }
+
+  // ---- Home location panel: geolocation, manual entry, place search → /savehome ----
+  function setHomeMsg(text, isError) {
+    const el = $('homeMsg');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'mt-1 ' + (isError ? 'text-danger' : 'text-success');
+  }
+
+  function renderHomeNow() {
+    const el = $('homeNow');
+    if (el) el.textContent = ui.latLon(homeLat, homeLon);
+  }
+
+  async function postHome(lat, lon) {
+    const r = await fetch('/savehome', {
+      method: 'POST',
+      headers: csrfHeaders({ 'Content-Type': 'application/x-www-form-urlencoded' }),
+      body: qs({ lat, lon })
+    });
+    if (!r.ok) throw new Error((await r.text()).trim() || `HTTP ${r.status}`);
+  }
+
+  // Save a new home on the device; on failure say so and put the marker back where the device still has it
+  async function setHome(lat, lon, label = '') {
+    try {
+      await postHome(lat, lon);
+    } catch (e) {
+      const msg = e.message || String(e);
+      console.warn('Save home error:', msg);
+      setHomeMsg(`Home not saved: ${msg}`, true);
+      showToast('Home not saved', xmlEsc(msg));
+      if (homeMarker) homeMarker.setLatLng([homeLat, homeLon]);
+      updateAlertCircle();
+      return false;
+    }
+    homeLat = lat;
+    homeLon = lon;
+    if (homeMarker) homeMarker.setLatLng([lat, lon]);
+    homeMoved();
+    setHomeMsg(label ? `Home set to ${label}.` : 'Home saved.', false);
+    return true;
+  }
+
+  async function setHomeAndShow(lat, lon, label) {
+    if (await setHome(lat, lon, label)) {
+      if (map) appMove(() => map.setView([lat, lon], Math.max(map.getZoom(), 5)));
+      fitAll();
+    }
+  }
+
+  function parseCoord(el, limit) {
+    const v = el ? Number(el.value) : NaN;
+    const ok = el && el.value.trim() !== '' && Number.isFinite(v) && Math.abs(v) <= limit;
+    if (el) el.classList.toggle('is-invalid', !ok);
+    return ok ? v : null;
+  }
+
+  function submitHomeCoords(e) {
+    e.preventDefault();
+    const lat = parseCoord($('homeLatIn'), 90);
+    const lon = parseCoord($('homeLonIn'), 180);
+    if (lat === null || lon === null) {
+      setHomeMsg('Latitude must be −90…90 and longitude −180…180.', true);
+      return;
+    }
+    setHomeAndShow(lat, lon);
+  }
+
+  function locateHome() {
+    if (!navigator.geolocation || !window.isSecureContext) {
+      setHomeMsg('Browsers only share your location over HTTPS or on localhost; enter coordinates or search instead.', true);
+      return;
+    }
+    setHomeMsg('Locating…', false);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const acc = Math.round(pos.coords.accuracy);
+        setHomeAndShow(pos.coords.latitude, pos.coords.longitude, `your location (±${acc} m)`);
+      },
+      (err) => setHomeMsg(`Location unavailable: ${err.message || 'permission denied'}`, true),
+      { enableHighAccuracy: true, timeout: GEOLOCATE_TIMEOUT_MS, maximumAge: 60000 }
+    );
+  }
+
+  // Geocoders are tried in order until one returns results; each resolves to [{label, lat, lon}]
+  let cityList = null;
+  const GEOCODERS = [
+    {
+      name: 'OpenStreetMap',
+      usable: () => navigator.onLine,
+      async search(q) {
+        const r = await fetch(`${NOMINATIM}?${qs({ format: 'jsonv2', limit: GEOCODE_MAX, q })}`);
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return (await r.json()).map(p => ({ label: p.display_name, lat: Number(p.lat), lon: Number(p.lon) }));
+      }
+    },
+    {
+      name: 'offline list',
+      usable: () => true,
+      async search(q) {
+        if (!cityList) {
+          const r = await fetch(CITIES_URL);
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          cityList = await r.json();
+        }
+        // Accent-insensitive, so "sao paulo" finds São Paulo
+        const fold = (v) => v.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const needle = fold(q.trim());
+        return cityList
+          .filter(([name]) => fold(name).includes(needle))
+          .sort((a, b) => fold(a[0]).indexOf(needle) - fold(b[0]).indexOf(needle))
+          .slice(0, GEOCODE_MAX)
+          .map(([name, cc, lat, lon]) => ({ label: `${name}, ${cc}`, lat, lon }));
+      }
+    }
+  ];
+
+  async function geocode(q) {
+    for (const g of GEOCODERS) {
+      if (!g.usable()) continue;
+      try {
+        const hits = (await g.search(q)).filter(h => Number.isFinite(h.lat) && Number.isFinite(h.lon));
+        if (hits.length) return { hits, source: g.name };
+      } catch (e) {
+        console.warn(`Geocoder (${g.name}) error:`, e.message || e);
+      }
+    }
+    return { hits: [], source: '' };
+  }
+
+  // ---- Observers: mirror the device's list, pick the active one, add / rename / delete ----
+  function activeObserver() {
+    return observers.find(o => o.id === activeObsId) || null;
+  }
+
+  function dropObserverLayers(o) {
+    if (o.marker) overlays.observers.removeLayer(o.marker);
+    if (o.line) overlays.link.removeLayer(o.line);
+    o.marker = null;
+    o.line = null;
+  }
+
+  // Markers for every observer except the active one (that's homeMarker)
+  function syncObserverLayers() {
+    if (!map) return;
+    for (const o of observers) {
+      if (o.id === activeObsId) {
+        dropObserverLayers(o);
+        continue;
+      }
+      if (!o.marker) {
+        const id = o.id;
+        o.marker = L.marker([o.lat, o.lon], { icon: observerIcon(o.name), title: o.name, draggable: canEdit() })
+          .addTo(overlays.observers);
+        o.marker.on('dragend', (e) => moveObserver(id, e.target.getLatLng()));
+        o.line = L.polyline([], { color: '#6c757d', weight: 1, dashArray: '2,6' }).addTo(overlays.link);
+        o.iconName = o.name;
+      }
+      o.marker.setLatLng([o.lat, o.lon]);
+      if (o.iconName !== o.name) {
+        o.marker.setIcon(observerIcon(o.name));
+        o.iconName = o.name;
+      }
+    }
+    if (sel.last) updateLines(sel.last.lat, sel.last.lon);
+  }
+
+  function renderObserverSelect() {
+    const box = $('obsSelect');
+    if (!box) return;
+    box.disabled = !canEdit();
+    box.innerHTML = observers
+      .map(o => `<option value="${o.id}"${o.id === activeObsId ? ' selected' : ''}>${xmlEsc(o.name)}</option>`)
+      .join('');
+    const del = $('obsDelete');
+    if (del) del.disabled = observers.length < 2;
+    const add = $('obsAdd');
+    if (add) add.disabled = observers.length >= maxObservers;
+  }
+
+  // {active, max, observers:[{id, name, lat, lon}]} from /observers.json, the observer routes or the event stream
+  function applyObservers(j) {
+    if (!j || !Array.isArray(j.observers)) return;
+    maxObservers = j.max || maxObservers;
+    const old = new Map(observers.map(o => [o.id, o]));
+    observers = j.observers.map((o) => {
+      const prev = old.get(o.id) || {};
+      old.delete(o.id);
+      return { id: o.id, name: String(o.name), lat: Number(o.lat), lon: Number(o.lon), marker: prev.marker || null, line: prev.line || null, iconName: prev.iconName };
+    });
+    old.forEach(dropObserverLayers);
+    activeObsId = j.active;
+    syncObserverLayers();
+    const active = activeObserver();
+    if (active) applyHome(active.lat, active.lon);
+    renderObserverSelect();
+    if (sel.last) updateTelemetry(sel);
+  }
+
+  async function loadObservers() {
+    try {
+      const r = await fetch('/observers.json', { cache: 'no-store' });
+      if (r.ok) applyObservers(await r.json());
+    } catch (e) {
+      console.warn('Observers error:', e.message || e);
+    }
+  }
+
+  async function observerAction(path, params, okText) {
+    try {
+      const r = await fetch(path, {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/x-www-form-urlencoded' }),
+        body: qs(params)
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.err || `HTTP ${r.status}`);
+      applyObservers(j);
+      setHomeMsg(okText, false);
+      return true;
+    } catch (e) {
+      const msg = e.message || String(e);
+      console.warn('Observer error:', msg);
+      setHomeMsg(`Observer not saved: ${msg}`, true);
+      showToast('Observer not saved', xmlEsc(msg));
+      syncObserverLayers(); // put a dragged marker back
+      renderObserverSelect();
+      return false;
+    }
+  }
+
+  function moveObserver(id, ll) {
+    const o = observers.find(x => x.id === id);
+    if (!o) return;
+    observerAction('/observers/save', { id, name: o.name, lat: ll.lat, lon: normLng(ll.lng) }, `${o.name} moved.`);
+  }
+
+  function selectObserver(id) {
+    const o = observers.find(x => x.id === id);
+    if (!o || id === activeObsId) return;
+    observerAction('/observers/select', { id }, `Alerts now measured from ${o.name}.`);
+  }
+
+  // Add/rename and delete ask inline, under the observer picker; only one question shows at a time
+  let obsNameMode = null; // 'add' | 'rename' while the name form is open
+
+  function closeObserverForms() {
+    obsNameMode = null;
+    $('obsNameForm')?.classList.add('d-none');
+    $('obsDeleteAsk')?.classList.add('d-none');
+  }
+
+  function openObserverName(mode) {
+    const o = activeObserver();
+    const form = $('obsNameForm'), input = $('obsNameIn');
+    if (!form || !input || (mode === 'rename' && !o)) return;
+    closeObserverForms();
+    obsNameMode = mode;
+    input.value = mode === 'rename' ? o.name : '';
+    input.placeholder = mode === 'rename' ? 'New name' : 'Name for the new observer';
+    form.classList.remove('d-none');
+    input.focus();
+    input.select();
+  }
+
+  function submitObserverName(e) {
+    e.preventDefault();
+    const name = ($('obsNameIn')?.value || '').trim();
+    if (!name) return;
+    if (obsNameMode === 'add') addObserver(name);
+    else if (obsNameMode === 'rename') renameObserver(name);
+    closeObserverForms();
+  }
+
+  function askDeleteObserver() {
+    const o = activeObserver();
+    if (!o || observers.length < 2) return;
+    closeObserverForms();
+    $('obsDeleteText').textContent = `Delete “${o.name}”?`;
+    $('obsDeleteAsk')?.classList.remove('d-none');
+  }
+
+  // New observers start at the coordinates typed in the panel, or the map centre
+  function addObserver(name) {
+    const latIn = $('homeLatIn'), lonIn = $('homeLonIn');
+    const typed = latIn && lonIn && latIn.value.trim() !== '' && lonIn.value.trim() !== '';
+    const lat = typed ? parseCoord(latIn, 90) : null;
+    const lon = typed ? parseCoord(lonIn, 180) : null;
+    const c = map ? map.getCenter() : { lat: 0, lng: 0 };
+    const at = (lat !== null && lon !== null) ? { lat, lon } : { lat: c.lat, lon: normLng(c.lng) };
+    observerAction('/observers/save', { name, ...at }, `Added ${name}; drag its marker to fine-tune.`);
+  }
+
+  function renameObserver(name) {
+    const o = activeObserver();
+    if (!o || name === o.name) return;
+    observerAction('/observers/save', { id: o.id, name, lat: o.lat, lon: o.lon }, `Renamed to ${name}.`);
+  }
+
+  function deleteObserver() {
+    const o = activeObserver();
+    closeObserverForms();
+    if (!o || observers.length < 2) return;
+    observerAction('/observers/delete', { id: o.id }, `Deleted ${o.name}.`);
+  }
+
+  async function searchHome(e) {
+    e.preventDefault();
+    const q = ($('homeSearch')?.value || '').trim();
+    const box = $('homeResults');
+    if (!q || !box) return;
+    setHomeMsg('Searching…', false);
+    const { hits, source } = await geocode(q);
+    box.innerHTML = '';
+    if (!hits.length) {
+      setHomeMsg(`No places found for “${q}”.`, true);
+      return;
+    }
+    setHomeMsg('', false);
+    for (const h of hits) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'list-group-item list-group-item-action';
+      btn.textContent = h.label;
+      const src = document.createElement('span');
+      src.className = 'home-result-src';
+      src.textContent = source;
+      btn.prepend(src);
+      on(btn, 'click', () => {
+        box.innerHTML = '';
+        setHomeAndShow(h.lat, h.lon, h.label.split(',')[0]);
+      });
+      box.appendChild(btn);
+    }
+  }
+
+  // One polling round while the event stream is down; a failed sample is rethrown so the scheduler backs off
+  async function poll() {
+    let sampleErr = null;
+    try {
+      await handleSample(iss, await fetchSample());
+    } catch (e) {
+      sampleErr = e;
+    }
+
+    // Check for home location and satellite list updates
+    try {
+      const j = await getData('/config.json', 'config.json');
+      if (j && j.home) applyHome(Number(j.home.lat), Number(j.home.lon));
+      if (j && Array.isArray(j.sats) && j.sats.join(',') !== sats.map(s => s.norad).join(',')) applySatList(j.sats.map(Number));
+    } catch (e) {
+      console.warn('Config check error:', e.message || e);
+    }
+    if (sampleErr) throw sampleErr;
+  }
+
+  // --- Device mirror: /screen.raw deltas painted onto a canvas, A/B buttons posted back ---
+  const screen = { epoch: 0, frame: 0, busy: false, again: false };
+
+  // Paint one /screen.raw reply (format in the firmware's handleScreenRaw) and remember its frame
+  function drawScreenDelta(cv, buf) {
+    const dv = new DataView(buf);
+    if (dv.byteLength < SCREEN_HDR_BYTES || dv.getUint8(0) !== 0x4D || dv.getUint8(1) !== 0x35 || dv.getUint8(2) !== 1) {
+      throw new Error('screen.raw: unexpected format');
+    }
+    const w = dv.getUint16(4, true), h = dv.getUint16(6, true);
+    const y0 = dv.getUint16(16, true), rows = dv.getUint16(18, true);
+    if (cv.width !== w || cv.height !== h) {
+      cv.width = w;
+      cv.height = h;
+    }
+    const ctx = cv.getContext('2d');
+    const img = ctx.createImageData(w, rows);
+    const px = img.data;
+    const end = px.length;
+    let o = 0;
+    for (let i = SCREEN_HDR_BYTES; i + 4 <= dv.byteLength && o < end; i += 4) {
+      const n = dv.getUint16(i, true), c = dv.getUint16(i + 2, true);
+      // RGB565 → RGB888, repeating the top bits so white stays 255
+      const r = ((c >> 11) << 3) | (c >> 13), g = (((c >> 5) & 0x3F) << 2) | ((c >> 9) & 0x03), b = ((c & 0x1F) << 3) | ((c >> 2) & 0x07);
+      for (let k = 0; k < n && o < end; k++, o += 4) {
+        px[o] = r;
+        px[o + 1] = g;
+        px[o + 2] = b;
+        px[o + 3] = 255;
+      }
+    }
+    if (o < end) throw new Error('screen.raw: truncated');
+    ctx.putImageData(img, 0, y0);
+    screen.epoch = dv.getUint32(8, true);
+    screen.frame = dv.getUint32(12, true);
+  }
+
+  async function fetchScreen() {
+    const cv = $('deviceScreen');
+    if (!cv || !cv.getContext) return;
+    const buf = await getData(`/screen.raw?since=${screen.frame}&epoch=${screen.epoch}`, 'screen.raw', 'bytes');
+    if (buf) drawScreenDelta(cv, buf);
+  }
+
+  // One request at a time; a change notice that arrives meanwhile triggers one more round
+  async function refreshScreen() {
+    if (screen.busy) {
+      screen.again = true;
+      return;
+    }
+    screen.busy = true;
+    try {
+      do {
+        screen.again = false;
+        await fetchScreen();
+      } while (screen.again);
+    } catch (e) {
+      // Start over with a whole frame next time
+      screen.frame = 0;
+      throw e;
+    } finally {
+      screen.busy = false;
+    }
+  }
+
+  async function pressDeviceButton(which) {
+    const btn = $(`deviceBtn${which}`);
+    if (btn) btn.disabled = true;
+    try {
+      const r = await fetch(`/button/${which.toLowerCase()}`, { method: 'POST', headers: csrfHeaders() });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.err || `HTTP ${r.status}`);
+      if (which === 'A') setScreenStatus(`Sound ${j.sound ? 'on' : 'off'}`);
+      else setScreenStatus('Refreshing ISS data…');
+      refreshScreen().catch(e => console.warn('Screen mirror error:', e.message || e));
+    } catch (e) {
+      console.warn('Device button error:', e.message || e);
+      setScreenStatus(`Button ${which} failed: ${e.message || e}`);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // Periodic jobs (see createTask); polling and the mirror only run while the event stream is down
+  const pollTask = createTask('Live fetch', poll, POLL_MS);
+  const screenTask = createTask('Screen mirror', refreshScreen, SCREEN_POLL_MS);
+  const propagateTask = createTask('Propagation', propagateOthers, POLL_MS);
+  const saveTask = createTask('Offline save', saveLastKnown, STATE_SAVE_MS);
+  // loadTle() reports failure by returning false; throw so the task backs off and retries soon instead of in 6 h
+  const tleTask = createTask('TLE refresh', async () => {
+    const ok = await Promise.all(sats.map(s => loadTle(s)));
+    const failed = sats.filter((s, i) => !ok[i]).map(s => s.name);
+    if (failed.length) throw new Error(`no TLE for ${failed.join(', ')}`);
+  }, TLE_REFRESH_MS);
+  // Satellites still without a TLE (its fetch failed, e.g. while rate-limited) have no predicted path; keep asking
+  // on a backoff of their own until SGP4 can take over, then stop
+  const tleRetryTask = createTask('TLE retry', async () => {
+    const missing = sats.filter(s => !s.satrec);
+    const ok = await Promise.all(missing.map(s => loadTle(s)));
+    missing.filter((s, i) => ok[i]).forEach((s) => {
+      backfillTrack(s);
+      if (s === sel) refreshPasses();
+    });
+    const still = missing.filter((s, i) => !ok[i]).map(s => s.name);
+    if (still.length) throw new Error(`no TLE for ${still.join(', ')}`);
+    stopTask(tleRetryTask);
+  }, TLE_RETRY_MS);
+
+  function startPolling() {
+    startTask(pollTask, POLL_MS);
+    startTask(screenTask, SCREEN_POLL_MS);
+  }
+  function stopPolling() {
+    stopTask(pollTask);
+    stopTask(screenTask);
+  }
+
+  // Subscribe to the device's /events stream; reconnect with backoff, poll meanwhile
+  function connectEvents() {
+    if (!window.EventSource) return;
+    const es = new EventSource('/events');
+    events = es;
+
+    es.onopen = () => {
+      if (eventsFails) reconcileWithDevice().catch(e => console.warn('Reconcile error:', e.message || e));
+      eventsFails = 0;
+      stopPolling();
+      setStreamState(true);
+    };
+    es.addEventListener('iss', (ev) => {
+      try {
+        const j = JSON.parse(ev.data);
+        const data = fromDevice(j);
+        if (data) handleSample(iss, data).catch(e => console.warn('Stream sample error:', e.message || e));
+        if (j && j.home) applyHome(Number(j.home.lat), Number(j.home.lon));
+        if (j) applyPrefs(j.prefs);
+      } catch (e) {
+        console.warn('Stream parse error:', e.message || e);
+      }
+    });
+    es.addEventListener('prefs', (ev) => {
+      try {
+        applyPrefs(JSON.parse(ev.data));
+      } catch (e) {
+        console.warn('Stream parse error:', e.message || e);
+      }
+    });
+    es.addEventListener('home', (ev) => {
+      try {
+        const j = JSON.parse(ev.data);
+        applyHome(Number(j.lat), Number(j.lon));
+      } catch (e) {
+        console.warn('Stream parse error:', e.message || e);
+      }
+    });
+    es.addEventListener('observers', (ev) => {
+      try {
+        applyObservers(JSON.parse(ev.data));
+      } catch (e) {
+        console.warn('Stream parse error:', e.message || e);
+      }
+    });
+    es.addEventListener('sats', (ev) => {
+      try {
+        const ids = JSON.parse(ev.data);
+        if (Array.isArray(ids)) applySatList(ids.map(Number));
+      } catch (e) {
+        console.warn('Stream parse error:', e.message || e);
+      }
+    });
+    es.addEventListener('screen', () => refreshScreen().catch(e => console.warn('Screen mirror error:', e.message || e)));
+    es.onerror = () => {
+      // Take over from EventSource's fixed retry so we can back off and poll meanwhile
+      es.close();
+      if (events === es) events = null;
+      setStreamState(false);
+      startPolling();
+      setTimeout(connectEvents, backoffMs(EVENTS_RETRY_MIN_MS, eventsFails++, EVENTS_RETRY_MAX_MS));
+    };
+  }
+
+  function setScreenStatus(text) {
+    const el = $('screenStatus');
+    if (el) el.textContent = text;
+  }
+
+  function setStreamState(live) {
+    setScreenStatus(live ? 'Live via device event stream' : `Auto-updates every ${SCREEN_POLL_MS / 1000} seconds`);
+  }
+
+  async function init() {
+    if (KIOSK) document.body.classList.add('kiosk');
+    const view = readViewState(EMBED ? location.search : location.hash);
+    if (EMBED && !view.telemetry) $('embedTelemetry')?.classList.add('d-none');
+    ui.onChange(renderPrefs);
+    if (!EMBED) await loadAuth();
+    const saved = await loadLastKnown();
+    if (saved) applyLastKnownConfig(saved);
+    await loadDeviceConfig();
+
+    // Map with **constrained world** (no repeating), reasonable minZoom
+    map = L.map('map', {
       worldCopyJump: false,
       maxBounds: [[-85, -180], [85, 180]],
       maxBoundsViscosity: 1.0,
-      minZoom: 3
+      minZoom: MAP_MIN_ZOOM
     });
-    base = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      maxZoom: 12,
-      noWrap: true,            // <- key: no world wrap tiles
-      bounds: [[-85, -180], [85, 180]],
-      attribution: '&copy; OpenStreetMap'
-    }).addTo(map);
+    await initTiles();
 
-    // Add layers
-    track.addTo(map);
-    predict.addTo(map);
+    // Add layers; a shared view (or the saved preferences) may hide some and set the map position
+    const prefs = loadViewPrefs();
+    OVERLAY_IDS.forEach(id => overlays[id].addTo(map));
+    showSat(iss);
+    applyViewState({
+      ...view,
+      sat: null,
+      layers: view.layers ?? (Array.isArray(prefs.layers) ? prefs.layers : null),
+      follow: view.follow ?? (KIOSK || EMBED ? 'sat' : prefs.follow || 'off')
+    });
+    if (!EMBED) initLayerControl();
+    map.on('moveend', writeViewState);
+    map.on('dragstart', () => {
+      if (follow !== 'off') setFollow('off'); // the user took the camera
+    });
+    map.on('movestart', userMoved);
+    map.on('moveend', () => { appMoveUntil = 0; });
+    if (!EMBED) window.addEventListener('hashchange', () => applyViewState(readViewState(location.hash)));
 
-    // Home marker (draggable)
+    // Home marker (draggable unless the page is read-only)
     const startHome = [Number.isFinite(homeLat) ? homeLat : 0, Number.isFinite(homeLon) ? homeLon : 0];
-    homeMarker = L.marker(startHome, { title: 'Home', icon: homeIcon, draggable: true }).addTo(map);
+    homeMarker = L.marker(startHome, { title: 'Home', icon: homeIcon, draggable: canEdit() }).addTo(overlays.home);
+    homeMarker.on('drag', updateAlertCircle);
     homeMarker.on('dragend', async () => {
       const p = homeMarker.getLatLng();
-      try {
-        await fetch('/savehome', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          body: qs({ lat: p.lat, lon: p.lng })
-        });
-      } catch (_) { /* ignore */ }
-      if (lastIss && Number.isFinite(lastIss.latitude) && Number.isFinite(lastIss.longitude)) {
-        updateLines(Number(lastIss.latitude), Number(lastIss.longitude));
-        updateTelemetry(lastIss);
-      }
-      fitAll(); // reflect new “home” in bounds
+      if (await setHome(p.lat, p.lng)) fitAll(); // reflect new “home” in bounds
+    });
+    renderHomeNow();
+
+    // Observers + home location panel
+    await loadObservers();
+    on($('obsSelect'), 'change', (e) => {
+      closeObserverForms();
+      selectObserver(Number(e.target.value));
     });
+    on($('obsAdd'), 'click', () => openObserverName('add'));
+    on($('obsRename'), 'click', () => openObserverName('rename'));
+    on($('obsDelete'), 'click', askDeleteObserver);
+    on($('obsNameForm'), 'submit', submitObserverName);
+    on($('obsNameCancel'), 'click', closeObserverForms);
+    on($('obsNameIn'), 'keydown', (e) => { if (e.key === 'Escape') closeObserverForms(); });
+    on($('obsDeleteYes'), 'click', deleteObserver);
+    on($('obsDeleteNo'), 'click', closeObserverForms);
+    on($('homeLocate'), 'click', locateHome);
+    on($('homeCoords'), 'submit', submitHomeCoords);
+    on($('homeSearchForm'), 'submit', searchHome);
 
-    // Buttons
+    // Buttons (one-shot moves elsewhere end the follow mode)
     on($('centerHome'), 'click', () => {
-      if (homeMarker) map.setView(homeMarker.getLatLng(), 4);
+      setFollow('off');
+      if (homeMarker) appMove(() => map.setView(homeMarker.getLatLng(), 4));
     });
     on($('centerIss'), 'click', () => {
-      if (issMarker && issMarker.getLatLng) map.setView(issMarker.getLatLng(), 4);
+      if (follow === 'frame') setFollow('off');
+      if (sel.marker._map) appMove(() => map.setView(sel.marker.getLatLng(), 4));
     });
     on($('centerSun'), 'click', () => {
-      if (sunMarker && sunMarker.getLatLng) map.setView(sunMarker.getLatLng(), 4);
+      setFollow('off');
+      if (sunMarker && sunMarker.getLatLng) appMove(() => map.setView(sunMarker.getLatLng(), 4));
+    });
+    on($('fitAll'), 'click', () => {
+      setFollow('off');
+      fitAll();
+    });
+    on($('followToggle'), 'click', cycleFollow);
+    on($('shareView'), 'click', shareView);
+
+    // Device mirror buttons
+    on($('deviceBtnA'), 'click', () => pressDeviceButton('A'));
+    on($('deviceBtnB'), 'click', () => pressDeviceButton('B'));
+
+    // Export menu
+    on($('exportToggle'), 'click', () => {
+      const panel = $('exportPanel');
+      if (panel) panel.classList.toggle('show');
+    });
+    document.querySelectorAll('#exportPanel [data-fmt]').forEach((btn) => {
+      on(btn, 'click', () => {
+        downloadExport(btn.dataset.fmt);
+        $('exportPanel')?.classList.remove('show');
+      });
+    });
+
+    // Satellites: pick one for telemetry, add by NORAD ID, remove
+    on($('satList'), 'click', (e) => {
+      const rm = e.target.closest('[data-remove]');
+      if (rm) {
+        applySatList(sats.map(s => s.norad).filter(n => n !== Number(rm.dataset.remove)));
+        saveSatList();
+        return;
+      }
+      const item = e.target.closest('[data-norad]');
+      const sat = item && sats.find(s => s.norad === Number(item.dataset.norad));
+      if (sat) selectSat(sat);
+    });
+    on($('satAddBtn'), 'click', addSatFromInput);
+    on($('satAdd'), 'keydown', (e) => {
+      if (e.key === 'Enter') addSatFromInput();
+    });
+    renderSatList();
+
+    // Track history: range buttons reload the track, the slider replays it
+    document.querySelectorAll('#historyRange [data-mins]').forEach((btn) => {
+      on(btn, 'click', async () => {
+        document.querySelectorAll('#historyRange [data-mins]').forEach(b => b.classList.toggle('active', b === btn));
+        if (ghostMarker._map) map.removeLayer(ghostMarker);
+        await loadTrackRange(Number(btn.dataset.mins));
+        fitAll();
+      });
     });
-    on($('fitAll'), 'click', () => fitAll());
+    on($('historySlider'), 'input', (e) => showHistoryPoint(Number(e.target.value)));
+
+    // Alerts
+    renderAlertForm();
+    updateAlertCircle();
+    ['alertNearOn', 'alertNearKm', 'alertPassOn', 'alertPassMins', 'alertPassVisible']
+      .forEach(id => on($(id), 'change', readAlertForm));
+    on($('alertNotify'), 'click', toggleNotify);
 
     // Legend toggle
     on($('legendToggle'), 'click', () => {
@@ -458,15 +2962,12 @@
     // Day/Night overlay (plugin URL is included in index.html)
     addOrRefreshTerminator();
     setInterval(addOrRefreshTerminator, 60 * 1000);
-
-    // Device screenshot refresh (every 5 seconds, cache-bust)
-    function refreshScreenshot() {
-      const img = $('deviceScreen');
-      if (img) {
-        img.src = `/screen.bmp?t=${Date.now()}`;
-      }
-    }
-    setInterval(refreshScreenshot, 5000);
+    setInterval(refreshSampleAge, 1000);
+    document.addEventListener('visibilitychange', resumeTasks);
+    // Tasks don't run in the background, so write the last-known state as the tab goes away
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) saveLastKnown().catch(e => console.warn('Offline save error:', e.message || e));
+    });
 
     // Handle map resize and invalidate size when window resizes
     let resizeTimeout;
@@ -474,29 +2975,43 @@
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
         if (map) {
-          map.invalidateSize();
-          // Recenter on ISS if available, otherwise fit all
-          if (issMarker && issMarker.getLatLng && issMarker.getLatLng().lat !== 0) {
-            map.setView(issMarker.getLatLng(), map.getZoom());
-          } else {
-            fitAll();
-          }
+          map.invalidateSize(); // keeps the current centre; only the follow mode moves the camera
+          followNow();
         }
       }, 250);
     });
 
-    // Load persisted track first so path is visible before live data
-    await loadPersistedTrack();
+    // Last-known state first, then the device's persisted track merged in, so the path is visible before live data
+    if (saved) showLastKnown(saved);
+    await loadPersistedTrack(historyMins);
+
+    // TLE for local propagation (the saved one when no source answers); back-fill the past track if the device had none
+    if (!(await loadTle(iss)) && saved && saved.tle) {
+      try {
+        iss.satrec = parseTle(saved.tle.line1, saved.tle.line2);
+        iss.tle = saved.tle;
+      } catch (e) {
+        console.warn('Saved TLE error:', e.message || e);
+      }
+    }
+    startTask(tleTask, TLE_REFRESH_MS);
+    backfillTrack(iss);
+    refreshPasses();
+
+    // Other satellites from the device's list, propagated locally
+    applySatList(deviceSats);
+    startTask(propagateTask, POLL_MS);
+    if (view.sat) applyViewState({ sat: view.sat });
 
-    // Default: world view if we only have home/track so far
-    if (!track.getLatLngs().length) {
-      map.fitWorld({ animate: true });
+    // Default: world view if we only have home/track so far (unless the URL brought its own)
+    if (!didInitialFit && !iss.track.getLatLngs().length) {
+      appMove(() => map.fitWorld({ animate: true }));
     } else {
       fitAllOnce();
     }
 
-    // First live sample + periodic polling
-    await poll();
+    // First live sample; then the device event stream, polling until it connects
+    await poll().catch(e => console.warn('Live fetch error:', e.message || e));
     
     // After first data load, invalidate map size to handle flexbox layout
     // and refit bounds to ensure proper centering
@@ -509,8 +3024,11 @@
         }
       }
     }, 100);
-    
-    setInterval(poll, 5000);
+
+    refreshScreen().catch(e => console.warn('Screen mirror error:', e.message || e));
+    startPolling();
+    connectEvents();
+    startTask(saveTask, STATE_SAVE_MS);
   }
 
   // Boot once DOM is ready
@@ -0,0 +1,52 @@
+(() => {
+  // Observer geometry (WGS-84): geodetic → ECEF → local east/north/up, giving topocentric look angles, slant range,
+  // range rate and Doppler. Like sgp4.js it has no DOM access: window.IssGeo in the browser, and
+  // test/geo.test.js loads it from Node.
+  const DEG = Math.PI / 180;
+  const C_KM_S = 299792.458;
+
+  // Geodetic lat/lon (deg) and height above the ellipsoid (km) → ECEF (km)
+  function geodeticToEcef(latDeg, lonDeg, altKm = 0) {
+    const a = 6378.137, f = 1 / 298.257223563, e2 = f * (2 - f);
+    const φ = latDeg * DEG, λ = lonDeg * DEG;
+    const N = a / Math.sqrt(1 - e2 * Math.sin(φ) ** 2);
+    return [
+      (N + altKm) * Math.cos(φ) * Math.cos(λ),
+      (N + altKm) * Math.cos(φ) * Math.sin(λ),
+      (N * (1 - e2) + altKm) * Math.sin(φ)
+    ];
+  }
+
+  // Azimuth/elevation (deg) and range (km) of an ECEF point seen from obs {lat, lon, alt?}
+  function lookAngles(obs, ecef) {
+    const o = geodeticToEcef(obs.lat, obs.lon, obs.alt || 0);
+    const dx = ecef[0] - o[0], dy = ecef[1] - o[1], dz = ecef[2] - o[2];
+    const φ = obs.lat * DEG, λ = obs.lon * DEG;
+    const south = Math.sin(φ) * Math.cos(λ) * dx + Math.sin(φ) * Math.sin(λ) * dy - Math.cos(φ) * dz;
+    const east = -Math.sin(λ) * dx + Math.cos(λ) * dy;
+    const up = Math.cos(φ) * Math.cos(λ) * dx + Math.cos(φ) * Math.sin(λ) * dy + Math.sin(φ) * dz;
+    const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    let az = Math.atan2(east, -south) / DEG;
+    if (az < 0) az += 360;
+    return { az, el: Math.asin(up / range) / DEG, range };
+  }
+
+  // Look angles of a point given as {lat, lon, alt (km)}, e.g. a normalised sample
+  function lookAnglesGeo(obs, p) {
+    return lookAngles(obs, geodeticToEcef(p.lat, p.lon, Number.isFinite(p.alt) ? p.alt : 0));
+  }
+
+  // Range rate (km/s) from two slant ranges dtS seconds apart; positive = receding
+  function rangeRate(range0, range1, dtS) {
+    return (range1 - range0) / dtS;
+  }
+
+  // Doppler shift (Hz) seen on a carrier of freqHz for a given range rate (km/s)
+  function dopplerHz(freqHz, rateKmS) {
+    return -freqHz * rateKmS / C_KM_S;
+  }
+
+  const api = { geodeticToEcef, lookAngles, lookAnglesGeo, rangeRate, dopplerHz };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.IssGeo = api;
+})();
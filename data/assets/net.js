@@ -0,0 +1,126 @@
+(() => {
+  // Network layer: deduplicated GETs with per-host backoff, and a scheduler for the periodic jobs. createNet() takes
+  // its surroundings (fetch, clock, timers, tab visibility) as parameters, so test/net.test.js can drive it with a
+  // stubbed fetch and fake timers; app.js passes the browser's. window.IssNet in the browser, module.exports in Node.
+
+  // An HTTP error that carries the status and the server's Retry-After (ms) so the caller can back off
+  function httpError(what, r) {
+    const e = new Error(`${what} http ${r.status}`);
+    e.status = r.status;
+    const ra = Number(r.headers && r.headers.get('Retry-After'));
+    if (Number.isFinite(ra) && ra > 0) e.retryAfterMs = ra * 1000;
+    return e;
+  }
+
+  function createNet({
+    fetch,
+    now = Date.now,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+    random = Math.random,
+    isHidden = () => false,
+    baseUrl,
+    pollMs,
+    backoffMaxMs
+  }) {
+    const inflight = new Map(); // key → Promise of the parsed body
+    const hostBackoff = new Map(); // origin → {until, fails}
+    const tasks = [];
+
+    // Exponential backoff with "equal jitter": half the doubled delay, plus a random part of the other half
+    function backoffMs(baseMs, fails, capMs = backoffMaxMs) {
+      const exp = Math.min(capMs, baseMs * 2 ** Math.min(fails, 16));
+      return exp / 2 + random() * exp / 2;
+    }
+
+    // GET and parse ('json', 'text' or 'bytes': an ArrayBuffer, null for 204). Concurrent calls for the same URL share
+    // one request; after a 429 the whole host is left alone until its backoff (or Retry-After) runs out.
+    function getData(url, what, as = 'json') {
+      const key = `${as} ${url}`;
+      if (inflight.has(key)) return inflight.get(key);
+      const host = new URL(url, baseUrl).origin;
+      const b = hostBackoff.get(host);
+      if (b && now() < b.until) {
+        const e = new Error(`${what} backing off`);
+        e.status = 429;
+        e.retryAfterMs = b.until - now();
+        return Promise.reject(e);
+      }
+      const p = (async () => {
+        const r = await fetch(url, { cache: 'no-store' });
+        if (r.status === 429) {
+          const e = httpError(what, r);
+          const fails = (b ? b.fails : 0) + 1;
+          hostBackoff.set(host, { fails, until: now() + Math.max(e.retryAfterMs || 0, backoffMs(pollMs, fails)) });
+          throw e;
+        }
+        if (!r.ok) throw httpError(what, r);
+        hostBackoff.delete(host);
+        if (as === 'bytes') return r.status === 204 ? null : r.arrayBuffer();
+        return as === 'text' ? r.text() : r.json();
+      })().finally(() => inflight.delete(key));
+      inflight.set(key, p);
+      return p;
+    }
+
+    // A periodic job that never overlaps itself: the next run is queued once this one settles, every `everyMs`
+    // while it succeeds, with backoff while it throws (at least the server's Retry-After), and not at all while the
+    // tab is hidden (it resumes on visibilitychange). A job that fails must throw, or it is never backed off.
+    function createTask(name, run, everyMs) {
+      const t = { name, run, everyMs, active: false, busy: false, timer: null, nextAt: 0, fails: 0, lastError: null };
+      tasks.push(t);
+      return t;
+    }
+
+    function startTask(t, delayMs = 0) {
+      t.active = true;
+      if (!t.busy && !t.timer) queueTask(t, delayMs);
+    }
+
+    function stopTask(t) {
+      t.active = false;
+      clearTimer(t.timer);
+      t.timer = null;
+    }
+
+    function queueTask(t, delayMs) {
+      clearTimer(t.timer);
+      t.nextAt = now() + delayMs;
+      t.timer = setTimer(() => runTask(t), delayMs);
+    }
+
+    async function runTask(t) {
+      t.timer = null;
+      if (!t.active || t.busy || isHidden()) return;
+      t.busy = true;
+      let delay = t.everyMs;
+      try {
+        await t.run();
+        t.fails = 0;
+        t.lastError = null;
+      } catch (e) {
+        t.fails++;
+        t.lastError = e;
+        delay = Math.max(e.retryAfterMs || 0, backoffMs(t.everyMs, t.fails));
+        console.warn(`${t.name} error:`, e.message || e);
+      } finally {
+        t.busy = false;
+      }
+      if (t.active) queueTask(t, delay);
+    }
+
+    // Back in view: run whatever was due while hidden (a task still backing off keeps its delay)
+    function resumeTasks() {
+      if (isHidden()) return;
+      for (const t of tasks) {
+        if (t.active && !t.busy && !t.timer) queueTask(t, Math.max(0, t.nextAt - now()));
+      }
+    }
+
+    return { backoffMs, getData, createTask, startTask, stopTask, runTask, resumeTasks, tasks };
+  }
+
+  const api = { httpError, createNet };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.IssNet = api;
+})();
@@ -0,0 +1,248 @@
+(() => {
+  // Display preferences shared by the map, statistics and setup pages: units, coordinate style, clock, time zone
+  // and language. The device keeps them (/settings.json) and hands them out with /config.json, every /iss.json
+  // sample and the "prefs" event, so every browser and the M5StickC screen show the same thing. Data stays metric
+  // and decimal on the wire; only what's displayed changes.
+  const DEFAULTS = { units: 'metric', coords: 'decimal', clock: '24h', tz: '', lang: 'en' };
+  const UNITS = {
+    metric: { k: 1, dist: 'km', speed: 'km/h' },
+    imperial: { k: 0.621371, dist: 'mi', speed: 'mph' },
+    nautical: { k: 0.539957, dist: 'nmi', speed: 'kn' }
+  };
+  const CHOICES = { units: Object.keys(UNITS), coords: ['decimal', 'dms'], clock: ['24h', '12h'], lang: ['en', 'de'] };
+
+  // UI strings by their English text; anything missing falls back to English. {name} placeholders are filled by t(),
+  // and "|context" tells apart two uses of the same English word (it's dropped from the English text).
+  const STRINGS = {
+    de: {
+      // navigation and cards
+      '🌍 Home': '🌍 Start',
+      '📊 Statistics': '📊 Statistik',
+      '⚙️ Wi-Fi Setup': '⚙️ WLAN-Einrichtung',
+      '🔒 Log in': '🔒 Anmelden',
+      'Satellites': 'Satelliten',
+      'Add': 'Hinzufügen',
+      'Live Telemetry': 'Live-Telemetrie',
+      'Upcoming Passes': 'Nächste Überflüge',
+      'Alerts': 'Alarme',
+      'ISS within': 'ISS näher als',
+      'km of home': 'km vom Standort',
+      'Pass starts within': 'Überflug beginnt in',
+      'min': 'min',
+      'Only visible passes': 'Nur sichtbare Überflüge',
+      'Observers': 'Beobachter',
+      '📍 Use my location': '📍 Meinen Standort verwenden',
+      'Set': 'Setzen',
+      'Save': 'Speichern',
+      'Cancel': 'Abbrechen',
+      'Delete': 'Löschen',
+      'Device Display': 'Gerätedisplay',
+      'Save screenshot (BMP)': 'Bildschirmfoto speichern (BMP)',
+      'Track History': 'Bahnverlauf',
+      'Drag the slider to replay the recorded track.': 'Schieberegler ziehen, um die aufgezeichnete Bahn abzuspielen.',
+      'Past path': 'Bisherige Bahn',
+      'Predicted path': 'Vorhergesagte Bahn',
+      'Footprint & swath (◯ home enters/leaves)': 'Sichtbereich & Schneise (◯ Standort tritt ein/aus)',
+      'Sun location': 'Sonnenstand',
+      'Home (drag to move)': 'Standort (zum Verschieben ziehen)',
+      'ISS location': 'ISS-Position',
+      // telemetry
+      'Waiting for data…': 'Warte auf Daten…',
+      'Waiting for {name} data…': 'Warte auf {name}-Daten…',
+      'Lat': 'Breite',
+      'Lon': 'Länge',
+      'Distance': 'Entfernung',
+      'Velocity': 'Geschwindigkeit',
+      'Height': 'Höhe',
+      'Visibility': 'Sichtbarkeit',
+      'Footprint': 'Sichtbereich',
+      'Solar Lat': 'Sonne Breite',
+      'Solar Lon': 'Sonne Länge',
+      'Source': 'Quelle',
+      'Home': 'Standort',
+      'daylight': 'Tageslicht',
+      'eclipsed': 'im Erdschatten',
+      'visible': 'sichtbar',
+      '{age} ago': 'vor {age}',
+      'in {age}': 'in {age}',
+      'below horizon': 'unter dem Horizont',
+      'up': 'sichtbar',
+      'Az / El': 'Az / Höhe',
+      'Slant Range': 'Schrägentfernung',
+      'Range Rate': 'Radialgeschw.',
+      'Orbit': 'Umlaufbahn',
+      'from TLE': 'aus TLE',
+      'fitted to recent samples': 'aus den letzten Messungen',
+      'waiting for a TLE or a few samples': 'warte auf TLE oder einige Messungen',
+      'Period': 'Umlaufzeit',
+      'Inclination': 'Inklination',
+      'Orbit No.': 'Umlauf Nr.',
+      'needs TLE': 'braucht TLE',
+      'Latitude Rate': 'Breitenänderung',
+      '▲ ascending': '▲ aufsteigend',
+      '▼ descending': '▼ absteigend',
+      'at': 'bei',
+      'Next Equator': 'Nächster Äquator',
+      'Asc. Node': 'Aufst. Knoten',
+      'Sun': 'Sonne',
+      'Sunrise': 'Sonnenaufgang',
+      'Sunset': 'Sonnenuntergang',
+      'In shadow for the next {min} min': 'Im Schatten für die nächsten {min} min',
+      'Sunlit for the next {min} min': 'Sonnenbeschienen für die nächsten {min} min',
+      '{dist} from home': '{dist} vom Standort',
+      'Now': 'Jetzt',
+      'Next pass {time}': 'Nächster Überflug {time}',
+      'no pass in view': 'kein Überflug in Sicht',
+      'Home enters {name}\'s footprint {time}': 'Standort tritt {time} in den Sichtbereich von {name} ein',
+      'Home leaves {name}\'s footprint {time}': 'Standort verlässt {time} den Sichtbereich von {name}',
+      'home inside until {time}': 'Standort im Sichtbereich bis {time}',
+      'home in view {from}–{to}': 'Standort im Sichtbereich {from}–{to}',
+      'beyond {min} min': 'über {min} min hinaus',
+      // map controls
+      'Follow the satellite': 'Satellit folgen',
+      'Following the satellite (click to keep home in view too)': 'Folgt dem Satelliten (klicken, um auch den Standort im Blick zu behalten)',
+      'Keeping home and the satellite in view (click to stop)': 'Standort und Satellit im Blick (klicken zum Beenden)',
+      // passes and banners
+      'Waiting for orbit data…': 'Warte auf Bahndaten…',
+      'No passes above {el}° in the next {days} days.': 'Keine Überflüge über {el}° in den nächsten {days} Tagen.',
+      'Date': 'Datum',
+      'Rise': 'Auf',
+      'Max': 'Max',
+      'Set|pass': 'Unter',
+      '📴 Offline: {name} last seen {when} ({age} ago)': '📴 Offline: {name} zuletzt gesehen {when} (vor {age})',
+      '⚠️ {name} data stale since {when} ({age} ago)': '⚠️ {name}-Daten veraltet seit {when} (vor {age})',
+      '⚠️ No {name} data yet': '⚠️ Noch keine {name}-Daten',
+      ' · retrying in {age}': ' · neuer Versuch in {age}',
+      ' · keep this tab open: it can\'t be reloaded without the device': ' · Tab offen lassen: ohne das Gerät lässt er sich nicht neu laden',
+      // statistics page
+      'Recorded track': 'Aufgezeichnete Bahn',
+      'Refresh': 'Aktualisieren',
+      'Passes per day within the alert radius': 'Überflüge pro Tag im Alarmradius',
+      'Distance from home (share of time)': 'Entfernung vom Standort (Zeitanteil)',
+      'Over land vs. ocean': 'Über Land oder Meer',
+      'Altitude': 'Flughöhe',
+      'Passes — closest approach to home': 'Überflüge — größte Annäherung an den Standort',
+      'Closest': 'Am nächsten',
+      'Max El': 'Max. Höhe',
+      'Above horizon': 'Über dem Horizont',
+      'in radius': 'im Radius',
+      'Land': 'Land',
+      'Ocean': 'Meer',
+      '{m}m {s}s': '{m} min {s} s',
+      '{h}h {m}m': '{h} h {m} min',
+      // setup page
+      'Device Settings': 'Geräteeinstellungen',
+      'Save Settings': 'Einstellungen speichern',
+      'Units': 'Einheiten',
+      'Coordinates': 'Koordinaten',
+      'Clock': 'Uhr',
+      'Time zone': 'Zeitzone',
+      'Language': 'Sprache'
+    }
+  };
+
+  let prefs = { ...DEFAULTS };
+  const listeners = [];
+
+  function zoneOk(tz) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: tz });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Take whatever the device sent (a /settings.json body or a "prefs" object); unknown values keep the current ones.
+  // Returns true when something changed; listeners and data-i18n elements are updated then.
+  function apply(p) {
+    if (!p || typeof p !== 'object') return false;
+    const next = { ...prefs };
+    for (const [key, allowed] of Object.entries(CHOICES)) {
+      if (allowed.includes(p[key])) next[key] = p[key];
+    }
+    if (typeof p.tz === 'string') next.tz = p.tz && zoneOk(p.tz) ? p.tz : '';
+    if (Object.keys(next).every(k => next[k] === prefs[k])) return false;
+    prefs = next;
+    translatePage();
+    for (const fn of listeners) fn(prefs);
+    return true;
+  }
+
+  function t(text, vars) {
+    const s = (STRINGS[prefs.lang] || {})[text] || text.split('|')[0];
+    return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m)) : s;
+  }
+
+  // Elements marked data-i18n hold plain English text; the first pass remembers it as the key
+  function translatePage(root = document) {
+    document.documentElement.lang = prefs.lang;
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+      el.textContent = t(el.dataset.i18n);
+    });
+  }
+
+  // ---- numbers, distances and speeds (km and km/h in) ----
+  const locale = () => (prefs.lang === 'de' ? 'de-DE' : 'en-GB');
+
+  function num(v, digits = 0) {
+    if (!Number.isFinite(v)) return '—';
+    return v.toLocaleString(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  const distValue = (km) => km * UNITS[prefs.units].k;
+  const distUnit = () => UNITS[prefs.units].dist;
+  const dist = (km, digits = 0) => (Number.isFinite(km) ? `${num(distValue(km), digits)} ${distUnit()}` : '—');
+  const speed = (kmh, digits = 0) =>
+    (Number.isFinite(kmh) ? `${num(kmh * UNITS[prefs.units].k, digits)} ${UNITS[prefs.units].speed}` : '—');
+  // Range rates (km/s): same length unit per second
+  const rate = (kms, digits = 2) => (Number.isFinite(kms) ? `${num(distValue(kms), digits)} ${distUnit()}/s` : '—');
+
+  // ---- coordinates: 51.5072 or 51°30′26″ N ----
+  function coord(v, axis, digits = 4) {
+    if (!Number.isFinite(v)) return '—';
+    if (prefs.coords !== 'dms') return v.toFixed(digits);
+    const secs = Math.round(Math.abs(v) * 3600);
+    const hemi = axis === 'lat' ? (v < 0 ? 'S' : 'N') : (v < 0 ? 'W' : 'E');
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(secs / 3600)}°${pad(Math.floor(secs / 60) % 60)}′${pad(secs % 60)}″ ${hemi}`;
+  }
+  const latLon = (lat, lon, digits = 4) => `${coord(lat, 'lat', digits)}, ${coord(lon, 'lon', digits)}`;
+
+  // ---- times (ms in): 12/24 h clock in the chosen zone, or the browser's own ----
+  function fmt(ms, opts) {
+    if (!Number.isFinite(ms)) return '—';
+    const o = { ...opts, hour12: prefs.clock === '12h' };
+    if (prefs.tz) o.timeZone = prefs.tz;
+    return new Date(ms).toLocaleString(locale(), o);
+  }
+  const time = (ms) => fmt(ms, { hour: '2-digit', minute: '2-digit' });
+  const date = (ms) => fmt(ms, { month: 'short', day: 'numeric' });
+  const dateTime = (ms) => fmt(ms, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+  window.IssPrefs = {
+    DEFAULTS,
+    CHOICES,
+    get: () => ({ ...prefs }),
+    apply,
+    onChange: (fn) => listeners.push(fn),
+    zoneOk,
+    t,
+    translatePage,
+    num,
+    distValue,
+    distUnit,
+    dist,
+    speed,
+    rate,
+    coord,
+    latLon,
+    time,
+    date,
+    dateTime
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => translatePage());
+  else translatePage();
+})();
@@ -5,15 +5,460 @@
     return await r.json();
   }
 
-  function fillDeviceBox(cfg){
+  // Units, coordinates, clock, time zone and language as stored on the device (prefs.js)
+  const P = window.IssPrefs;
+
+  // ---- admin login (/auth.json, /login, /logout, /auth/password, /auth/token) ----
+  // With a password set and no login the page is read-only; every change carries the CSRF token from /auth.json
+  let auth = {password_set:false, logged_in:false, token_set:false, csrf:''};
+  const canEdit = () => !auth.password_set || auth.logged_in;
+
+  function csrfHeaders(headers){
+    return auth.csrf ? {...headers, 'X-CSRF-Token': auth.csrf} : headers;
+  }
+
+  async function postJSON(url, body){
+    const r = await fetch(url, {method:'POST', headers: csrfHeaders({'Content-Type':'application/json'}), body: JSON.stringify(body)});
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j.err || ('http ' + r.status));
+    return j;
+  }
+
+  function showAdminMsg(text, ok){
+    const el = document.getElementById('adminMsg');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'small mt-1 ' + (ok ? 'text-success' : 'text-danger');
+  }
+
+  function fillAuth(a){
+    auth = a;
+    const show = (id, on) => { const el = document.getElementById(id); if (el) el.classList.toggle('d-none', !on); };
+    document.body.classList.toggle('read-only', !canEdit());
+    const badge = document.getElementById('adminBadge');
+    if (badge){
+      badge.textContent = !a.password_set ? 'no password' : a.logged_in ? 'logged in' : 'read-only';
+      badge.className = 'badge ' + (!a.password_set ? 'text-bg-warning' : a.logged_in ? 'text-bg-success' : 'text-bg-secondary');
+    }
+    const nav = document.getElementById('authNav');
+    if (nav){
+      nav.hidden = !a.password_set;
+      nav.textContent = a.logged_in ? '🔓 Admin' : P.t('🔒 Log in');
+    }
+    show('loginForm', a.password_set && !a.logged_in);
+    show('passwordForm', canEdit());
+    show('passCurrentRow', a.password_set);
+    show('passRemoveRow', a.password_set);
+    show('passAuthRow', !a.password_set && a.token_set);
+    show('logoutBtn', a.logged_in);
+    const label = document.getElementById('passNewLabel');
+    if (label) label.textContent = a.password_set ? 'New admin password' : 'Admin password';
+    const save = document.getElementById('passSaveBtn');
+    if (save) save.textContent = a.password_set ? 'Change Password' : 'Set Password';
+    // The Wi-Fi forms post without JavaScript, so they carry the token as a field
+    document.querySelectorAll('input[name="csrf"]').forEach(el => { el.value = a.csrf || ''; });
+  }
+
+  async function loadAuth(){
+    try { fillAuth(await getJSON('/auth.json')); } catch(e) { console.warn('Auth state error:', e.message || e); }
+  }
+
+  // Everything the page shows depends on what this browser may do
+  function reloadAll(){
+    loadSettings();
+    loadMqtt();
+    loadSavedNets();
+  }
+
+  async function login(ev){
+    ev.preventDefault();
+    const f = ev.target;
+    try {
+      fillAuth(await postJSON('/login', {password: f.password.value}));
+      f.password.value = '';
+      showAdminMsg('Logged in.', true);
+      reloadAll();
+    } catch(e) {
+      showAdminMsg('Not logged in: ' + e.message, false);
+    }
+  }
+
+  async function logout(){
+    try {
+      fillAuth(await postJSON('/logout', {}));
+      showAdminMsg('Logged out.', true);
+    } catch(e) {
+      showAdminMsg('Not logged out: ' + e.message, false);
+    }
+  }
+
+  async function savePassword(ev){
+    ev.preventDefault();
+    const f = ev.target;
+    const remove = f.remove.checked;
+    if (!remove && f.password.value.length < 8) { showAdminMsg('Use at least 8 characters.', false); return; }
+    if (!remove && f.password.value !== f.repeat.value) { showAdminMsg('The passwords don\'t match.', false); return; }
+    if (remove && !confirm('Remove the admin password? Anyone on the network will be able to change settings.')) return;
+    const body = {password: remove ? '' : f.password.value};
+    if (f.current.value) body.current = f.current.value;
+    if (f.auth.value) body.auth = f.auth.value;
+    try {
+      fillAuth(await postJSON('/auth/password', body));
+      f.reset();
+      showAdminMsg(remove ? 'Password removed.' : 'Password saved — this browser stays logged in.', true);
+      reloadAll();
+    } catch(e) {
+      showAdminMsg('Not saved: ' + e.message, false);
+    }
+  }
+
+  // The new token is only shown here, once
+  async function rotateToken(){
+    const f = document.getElementById('settingsForm');
+    const out = document.getElementById('newTokenOut');
+    if (!f) return;
+    if (auth.token_set && !confirm('Scripts using the current token will stop working. Generate a new one?')) return;
+    try {
+      const j = await postJSON('/auth/token', f.auth.value ? {auth: f.auth.value} : {});
+      auth.token_set = true;
+      f.auth.value = '';
+      await loadSettings();
+      if (out) out.textContent = j.token;
+      showSettingsMsg('New token saved — copy it now, it won\'t be shown again.', true);
+    } catch(e) {
+      showSettingsMsg('No new token: ' + e.message, false);
+    }
+  }
+
+  function fillDeviceBox(cfg, st){
     const devSsid = document.getElementById('devSsid');
     const devIp   = document.getElementById('devIp');
     const devHome = document.getElementById('devHome');
-    if (devSsid) devSsid.textContent = cfg?.wifi?.ssid ?? '—';
-    if (devIp)   devIp.textContent   = cfg?.wifi?.ip   ?? '—';
-    if (devHome) devHome.textContent = (cfg?.home?.lat?.toFixed && cfg?.home?.lon?.toFixed)
-      ? `${cfg.home.lat.toFixed(4)}, ${cfg.home.lon.toFixed(4)}`
-      : '—';
+    if (cfg){
+      if (devSsid) devSsid.textContent = cfg?.wifi?.ssid ?? '—';
+      if (devIp)   devIp.textContent   = cfg?.wifi?.ip   ?? '—';
+      if (devHome) devHome.textContent = (Number.isFinite(cfg?.home?.lat) && Number.isFinite(cfg?.home?.lon))
+        ? P.latLon(cfg.home.lat, cfg.home.lon)
+        : '—';
+    }
+    if (st){
+      const set = (id, v) => { const el = document.getElementById(id); if (el) el.textContent = v; };
+      set('devRadius', `${st.radius_km} km (re-arm +${st.hyst_km} km)`);
+      set('devSound', `${st.sound ? 'on' : 'off'}, ${st.beep_hz} Hz · LED ${st.led ? 'on' : 'off'}`);
+      set('devFetch', `every ${st.fetch_s} s`);
+      set('devUnits', `${st.units} · ${st.coords === 'dms' ? 'deg/min/sec' : 'decimal'} · ${st.clock} · ` +
+        `${st.tz || 'browser time zone'} · ${st.lang}`);
+      set('devToken', st.token_set ? 'required' : 'not set');
+    }
+  }
+
+  // ---- device settings (/settings.json) ----
+  function fillSettingsForm(st){
+    const f = document.getElementById('settingsForm');
+    if (!f || !st) return;
+    f.radius_km.value = st.radius_km;
+    f.hyst_km.value   = st.hyst_km;
+    f.fetch_s.value   = st.fetch_s;
+    f.beep_hz.value   = st.beep_hz;
+    f.sound.checked   = !!st.sound;
+    f.led.checked     = !!st.led;
+    f.units.value     = st.units;
+    f.coords.value    = st.coords;
+    f.clock.value     = st.clock;
+    f.tz.value        = st.tz || '';
+    f.lang.value      = st.lang;
+    f.token.value     = '';
+    f.clear_token.checked = false;
+    // A logged-in admin doesn't need the token
+    const authRow = document.getElementById('authRow');
+    if (authRow) authRow.classList.toggle('d-none', !st.token_set || auth.logged_in);
+    const mqttAuth = document.getElementById('mqttAuthRow');
+    if (mqttAuth) mqttAuth.classList.toggle('d-none', !st.token_set || auth.logged_in);
+  }
+
+  async function loadSettings(){
+    try {
+      const st = await getJSON('/settings.json');
+      P.apply(st);
+      fillDeviceBox(null, st);
+      fillSettingsForm(st);
+    } catch(e){}
+  }
+
+  function showSettingsMsg(text, ok){
+    const el = document.getElementById('settingsMsg');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'small ' + (ok ? 'text-success' : 'text-danger');
+  }
+
+  async function saveSettings(ev){
+    ev.preventDefault();
+    const f = ev.target;
+    const body = {
+      radius_km: Number(f.radius_km.value),
+      hyst_km:   Number(f.hyst_km.value),
+      fetch_s:   Number(f.fetch_s.value),
+      beep_hz:   Number(f.beep_hz.value),
+      sound:     f.sound.checked,
+      led:       f.led.checked,
+      units:     f.units.value,
+      coords:    f.coords.value,
+      clock:     f.clock.value,
+      tz:        f.tz.value.trim(),
+      lang:      f.lang.value
+    };
+    if (body.tz && !P.zoneOk(body.tz)){
+      showSettingsMsg(`Not saved: unknown time zone "${body.tz}"`, false);
+      return;
+    }
+    if (f.clear_token.checked) body.token = '';
+    else if (f.token.value) body.token = f.token.value;
+    if (f.auth.value) body.auth = f.auth.value;
+    try {
+      const j = await postJSON('/settings.json', body);
+      const out = document.getElementById('newTokenOut');
+      if (out) out.textContent = '';
+      P.apply(j);
+      fillSettingsForm(j);
+      fillDeviceBox(null, j);
+      f.auth.value = '';
+      showSettingsMsg('Saved — applied on the device.', true);
+    } catch(e) {
+      showSettingsMsg('Not saved: ' + e.message, false);
+    }
+  }
+
+  // Time zone suggestions (where the browser can list them) and this browser's zone as the placeholder
+  function fillTimeZones(){
+    const input = document.getElementById('setTz');
+    const list = document.getElementById('tzList');
+    const own = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (input && own) input.placeholder = `Each browser's own (here ${own})`;
+    if (list && Intl.supportedValuesOf){
+      list.innerHTML = Intl.supportedValuesOf('timeZone').map(z => `<option value="${z}"></option>`).join('');
+    }
+  }
+
+  // ---- MQTT / Home Assistant (/mqtt.json) ----
+  const MQTT_RECHECK_MS = 4000;
+
+  // PubSubClient state codes
+  const MQTT_STATES = {
+    '-4': 'timed out', '-3': 'connection lost', '-2': 'broker unreachable', '-1': 'disconnected',
+    '1': 'bad protocol', '2': 'client id rejected', '3': 'broker unavailable', '4': 'bad user/password', '5': 'not authorized'
+  };
+
+  function mqttStateText(m){
+    if (!m.enabled) return 'off';
+    if (m.connected) return `connected to ${m.host}:${m.port}`;
+    return `not connected (${MQTT_STATES[m.state] || 'state ' + m.state})`;
+  }
+
+  function fillMqtt(m){
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.textContent = v; };
+    set('devMqtt', mqttStateText(m));
+    const badge = document.getElementById('mqttBadge');
+    if (badge){
+      badge.textContent = !m.enabled ? 'off' : m.connected ? 'connected' : 'not connected';
+      badge.className = 'badge ' + (!m.enabled ? 'text-bg-secondary' : m.connected ? 'text-bg-success' : 'text-bg-danger');
+    }
+    set('mqttInfo', `State: ${m.topic}/state · home command: ${m.topic}/home/set · node ${m.node_id}` +
+      (m.last_command ? ` · last command: ${m.last_command}` : ''));
+    const f = document.getElementById('mqttForm');
+    if (!f) return;
+    f.enabled.checked = !!m.enabled;
+    f.host.value = m.host || '';
+    f.port.value = m.port;
+    f.user.value = m.user || '';
+    f.pass.value = '';
+    f.pass.placeholder = m.pass_set ? 'Leave blank to keep' : '(none)';
+    f.clear_pass.checked = false;
+    f.topic.value = m.topic;
+    f.discovery.checked = !!m.discovery;
+    f.discovery_prefix.value = m.discovery_prefix;
+  }
+
+  function showMqttMsg(text, ok){
+    const el = document.getElementById('mqttMsg');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'small ' + (ok ? 'text-success' : 'text-danger');
+  }
+
+  async function loadMqtt(){
+    try { fillMqtt(await getJSON('/mqtt.json')); } catch(e) { console.warn('MQTT settings error:', e.message || e); }
+  }
+
+  async function saveMqtt(ev){
+    ev.preventDefault();
+    const f = ev.target;
+    const body = {
+      enabled:   f.enabled.checked,
+      host:      f.host.value.trim(),
+      port:      Number(f.port.value),
+      user:      f.user.value.trim(),
+      topic:     f.topic.value.trim(),
+      discovery: f.discovery.checked,
+      discovery_prefix: f.discovery_prefix.value.trim()
+    };
+    if (f.clear_pass.checked) body.pass = '';
+    else if (f.pass.value) body.pass = f.pass.value;
+    if (f.auth.value) body.auth = f.auth.value;
+    try {
+      const j = await postJSON('/mqtt.json', body);
+      fillMqtt(j);
+      f.auth.value = '';
+      showMqttMsg(j.enabled ? 'Saved — connecting…' : 'Saved.', true);
+      // The device connects from its main loop; look again once it has had a go
+      if (j.enabled) setTimeout(loadMqtt, MQTT_RECHECK_MS);
+    } catch(e) {
+      showMqttMsg('Not saved: ' + e.message, false);
+    }
+  }
+
+  // ---- saved networks (/wifi.json) ----
+  let savedNets = [];
+  let wifiMax = 5;
+
+  function showWifiMsg(text, ok){
+    const el = document.getElementById('wifiMsg');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'small mt-1 ' + (ok ? 'text-success' : 'text-danger');
+  }
+
+  function renderSavedNets(){
+    const list = document.getElementById('wifiList');
+    const count = document.getElementById('wifiCount');
+    if (count) count.textContent = `${savedNets.length} / ${wifiMax}`;
+    if (!list) return;
+    list.innerHTML = '';
+    if (!savedNets.length){
+      const li = document.createElement('li');
+      li.className = 'list-group-item small text-muted';
+      li.textContent = '(none saved)';
+      list.appendChild(li);
+      return;
+    }
+    savedNets.forEach((n, i) => {
+      const li = document.createElement('li');
+      li.className = 'list-group-item small';
+      const prio = document.createElement('span');
+      prio.className = 'badge text-bg-secondary';
+      prio.textContent = i + 1;
+      const name = document.createElement('span');
+      name.className = 'wifi-ssid sensitive-info';
+      name.textContent = `${n.open ? '🔓' : '🔒'} ${n.ssid}`;
+      li.append(prio, name);
+      if (n.connected){
+        const b = document.createElement('span');
+        b.className = 'badge text-bg-success';
+        b.textContent = 'connected';
+        li.appendChild(b);
+      }
+      const btn = (label, title, fn, disabled) => {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = 'btn btn-sm btn-outline-secondary';
+        el.textContent = label;
+        el.title = title;
+        el.disabled = !!disabled;
+        el.onclick = fn;
+        li.appendChild(el);
+      };
+      btn('↑', 'Try earlier', () => moveNet(i, -1), i === 0);
+      btn('↓', 'Try later', () => moveNet(i, 1), i === savedNets.length - 1);
+      btn('✕', 'Remove', () => removeNet(i));
+      list.appendChild(li);
+    });
+  }
+
+  // Entries without "pass" keep the password the device already has
+  async function postNets(nets){
+    const j = await postJSON('/wifi.json', {nets});
+    savedNets = j.nets || [];
+    wifiMax = j.max || wifiMax;
+    renderSavedNets();
+  }
+
+  async function updateNets(nets, okText){
+    try {
+      await postNets(nets);
+      showWifiMsg(okText, true);
+      scanOnce();
+    } catch(e) {
+      showWifiMsg('Not saved: ' + e.message, false);
+    }
+  }
+
+  function moveNet(i, d){
+    const nets = savedNets.map(n => ({ssid: n.ssid}));
+    const [n] = nets.splice(i, 1);
+    nets.splice(i + d, 0, n);
+    updateNets(nets, 'Order saved.');
+  }
+
+  function removeNet(i){
+    const ssid = savedNets[i].ssid;
+    if (!confirm(`Forget "${ssid}"?`)) return;
+    updateNets(savedNets.filter((_, k) => k !== i).map(n => ({ssid: n.ssid})), `Removed ${ssid}.`);
+  }
+
+  function addNet(ssid, pass){
+    if (!ssid) { showWifiMsg('Enter an SSID first.', false); return; }
+    const nets = savedNets.map(n => n.ssid === ssid ? {ssid, pass} : {ssid: n.ssid});
+    if (!savedNets.some(n => n.ssid === ssid)){
+      if (nets.length >= wifiMax) { showWifiMsg(`At most ${wifiMax} networks; remove one first.`, false); return; }
+      nets.push({ssid, pass});
+    }
+    updateNets(nets, `Saved ${ssid}.`);
+  }
+
+  async function loadSavedNets(){
+    try {
+      const j = await getJSON('/wifi.json');
+      savedNets = j.nets || [];
+      wifiMax = j.max || wifiMax;
+      renderSavedNets();
+    } catch(e) {
+      console.warn('Saved networks error:', e.message || e);
+    }
+  }
+
+  // ---- diagnostics (/wifi_debug.json) ----
+  const DIAG_POLL_MS = 10000;
+
+  function rssiText(rssi){
+    if (rssi >= -55) return ['excellent', 'rssi-good'];
+    if (rssi >= -67) return ['good', 'rssi-good'];
+    if (rssi >= -75) return ['fair', 'rssi-fair'];
+    return ['weak', 'rssi-weak'];
+  }
+
+  async function refreshDiag(){
+    let d;
+    try { d = await getJSON('/wifi_debug.json'); } catch(e) { return; }
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.textContent = v; };
+    set('diagStatus', `${d.wifi_status_text || d.wifi_status}${d.mode === 'portal' ? ' (setup portal)' : ''}`);
+    set('diagSsid', d.ssid ? `${d.ssid}${d.channel ? ' · ch ' + d.channel : ''}` : '—');
+    const rssiEl = document.getElementById('diagRssi');
+    if (rssiEl){
+      if (d.rssi != null){
+        const [label, cls] = rssiText(d.rssi);
+        rssiEl.textContent = `${d.rssi} dBm (${label})`;
+        rssiEl.className = cls;
+      } else {
+        rssiEl.textContent = '—';
+        rssiEl.className = '';
+      }
+    }
+    set('diagAttempt', d.last_attempt_ssid
+      ? `${d.last_attempt_ssid}: ${d.last_attempt_result.replace('_', ' ')} after ${(d.last_attempt_duration_ms / 1000).toFixed(1)} s`
+      : '—');
+    set('diagFail', d.last_fail_reason
+      ? `${d.last_fail_text} (${d.last_fail_ssid || '?'}, ${d.last_fail_age_s} s ago)`
+      : 'none');
   }
 
   function populateSSIDs(nets){
@@ -31,8 +476,8 @@
       const opt = document.createElement('option');
       const lock = n.locked ? '🔒' : '🔓';
       opt.value = n.ssid;
-      opt.title = `${n.ssid} (${n.rssi} dBm)`;
-      opt.textContent = `${lock} ${n.ssid}  (${n.rssi} dBm)`;
+      opt.title = `${n.ssid} (${n.rssi} dBm)${n.saved ? ' — saved' : ''}`;
+      opt.textContent = `${n.saved ? '★ ' : ''}${lock} ${n.ssid}  (${n.rssi} dBm)`;
       sel.appendChild(opt);
     }
   }
@@ -51,6 +496,9 @@
   }
 
   async function main(){
+    // Offline app shell (sw.js); browsers only allow it on HTTPS or localhost
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+
     const rescanBtn = document.getElementById('rescanBtn');
     const ssidSel   = document.getElementById('ssidSelect');
     const ssidInput = document.getElementById('ssidInput');
@@ -58,8 +506,40 @@
     const forgetBtn = document.getElementById('forgetBtn');
     const forgetForm= document.getElementById('forgetForm');
 
-    // device info
-    try { fillDeviceBox(await getJSON('/config.json')); } catch(e){}
+    // login state first: it decides which forms show
+    await loadAuth();
+    const loginForm = document.getElementById('loginForm');
+    if (loginForm) loginForm.addEventListener('submit', login);
+    const passwordForm = document.getElementById('passwordForm');
+    if (passwordForm) passwordForm.addEventListener('submit', savePassword);
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) logoutBtn.onclick = logout;
+    const newTokenBtn = document.getElementById('newTokenBtn');
+    if (newTokenBtn) newTokenBtn.onclick = rotateToken;
+
+    // device info; a language change relabels the login link
+    P.onChange(() => fillAuth(auth));
+    try {
+      const cfg = await getJSON('/config.json');
+      P.apply(cfg.prefs);
+      fillDeviceBox(cfg);
+    } catch(e){}
+    await loadSettings();
+    const settingsForm = document.getElementById('settingsForm');
+    if (settingsForm) settingsForm.addEventListener('submit', saveSettings);
+    fillTimeZones();
+    loadMqtt();
+    const mqttForm = document.getElementById('mqttForm');
+    if (mqttForm) mqttForm.addEventListener('submit', saveMqtt);
+
+    // saved networks + diagnostics
+    loadSavedNets();
+    refreshDiag();
+    setInterval(refreshDiag, DIAG_POLL_MS);
+    const diagBtn = document.getElementById('diagBtn');
+    if (diagBtn) diagBtn.onclick = () => refreshDiag();
+    const addNetBtn = document.getElementById('addNetBtn');
+    if (addNetBtn && ssidInput) addNetBtn.onclick = () => addNet(ssidInput.value.trim(), passInput ? passInput.value : '');
 
     // initial scan
     scanOnce();
@@ -80,7 +560,7 @@
     }
 
     if (forgetBtn && forgetForm){
-      forgetBtn.onclick = () => { forgetForm.submit(); };
+      forgetBtn.onclick = () => { if (confirm('Forget every saved network and reboot into the setup portal?')) forgetForm.submit(); };
     }
 
     // Privacy toggle for setup page
@@ -0,0 +1,300 @@
+(() => {
+  // SGP4 (near-Earth, WGS-72), after Vallado et al. "Revisiting Spacetrack Report #3", plus the frame conversions
+  // the map needs around it. Plain functions with no DOM access: the browser gets them as window.IssSgp4, and
+  // Node's test runner loads this file directly (test/sgp4.test.js checks it against the published vectors).
+  const TWO_PI = 2 * Math.PI;
+  const DEG = Math.PI / 180;
+  const WGS72 = (() => {
+    const mu = 398600.8, re = 6378.135;
+    const xke = 60 / Math.sqrt(re * re * re / mu);
+    const j2 = 0.001082616, j3 = -0.00000253881, j4 = -0.00000165597;
+    return { mu, re, xke, j2, j3, j4, j3oj2: j3 / j2, vkmpersec: re * xke / 60 };
+  })();
+
+  // Parse the two lines of a TLE into an initialized SGP4 record
+  function parseTle(line1, line2) {
+    const l1 = String(line1 || ''), l2 = String(line2 || '');
+    if (l1[0] !== '1' || l2[0] !== '2' || l1.length < 64 || l2.length < 63) throw new Error('bad tle');
+
+    // " 12345-4" → 0.12345e-4 (implied leading decimal point)
+    const expField = (s) => {
+      const t = s.trim();
+      if (!t) return 0;
+      const m = /^([+-]?)(\d+)([+-]\d)$/.exec(t);
+      if (!m) return Number(t) || 0;
+      return Number(`${m[1]}0.${m[2]}e${m[3]}`);
+    };
+
+    const yy = Number(l1.substring(18, 20));
+    const epochDays = Number(l1.substring(20, 32));
+    const year = yy < 57 ? 2000 + yy : 1900 + yy;
+    const epochMs = Date.UTC(year, 0, 1) + (epochDays - 1) * 86400000;
+
+    const rec = {
+      satnum: l1.substring(2, 7).trim(),
+      epochMs,
+      bstar: expField(l1.substring(53, 61)),
+      inclo: Number(l2.substring(8, 16)) * DEG,
+      nodeo: Number(l2.substring(17, 25)) * DEG,
+      ecco: Number(`0.${l2.substring(26, 33).trim()}`),
+      argpo: Number(l2.substring(34, 42)) * DEG,
+      mo: Number(l2.substring(43, 51)) * DEG,
+      noKozai: Number(l2.substring(52, 63)) * TWO_PI / 1440, // rad/min
+      revnum: Number(l2.substring(63, 68)) || 0 // orbit number at epoch (0 if the field is blank)
+    };
+    if (![rec.inclo, rec.nodeo, rec.ecco, rec.argpo, rec.mo, rec.noKozai, epochMs].every(Number.isFinite)) {
+      throw new Error('bad tle');
+    }
+    return sgp4init(rec);
+  }
+
+  function sgp4init(rec) {
+    const { re, xke, j2, j4, j3oj2 } = WGS72;
+    const x2o3 = 2 / 3;
+    const { ecco, inclo, argpo, mo, bstar } = rec;
+
+    // Un-Kozai the mean motion
+    const eccsq = ecco * ecco;
+    const omeosq = 1 - eccsq;
+    const rteosq = Math.sqrt(omeosq);
+    const cosio = Math.cos(inclo);
+    const cosio2 = cosio * cosio;
+    const ak = Math.pow(xke / rec.noKozai, x2o3);
+    const d1 = 0.75 * j2 * (3 * cosio2 - 1) / (rteosq * omeosq);
+    let del = d1 / (ak * ak);
+    const adel = ak * (1 - del * del - del * (1 / 3 + 134 * del * del / 81));
+    del = d1 / (adel * adel);
+    const no = rec.noKozai / (1 + del);
+
+    const ao = Math.pow(xke / no, x2o3);
+    const sinio = Math.sin(inclo);
+    const po = ao * omeosq;
+    const con42 = 1 - 5 * cosio2;
+    const con41 = -con42 - cosio2 - cosio2;
+    const posq = po * po;
+    const rp = ao * (1 - ecco);
+
+    if (TWO_PI / no >= 225) throw new Error('deep-space orbit not supported');
+    if (omeosq < 0 || no < 0) throw new Error('bad elements');
+
+    const isimp = rp < (220 / re + 1);
+
+    // Atmospheric density parameters, adjusted for low perigee
+    let sfour = 78 / re + 1;
+    let qzms24 = Math.pow((120 - 78) / re, 4);
+    const perige = (rp - 1) * re;
+    if (perige < 156) {
+      sfour = perige < 98 ? 20 : perige - 78;
+      qzms24 = Math.pow((120 - sfour) / re, 4);
+      sfour = sfour / re + 1;
+    }
+
+    const pinvsq = 1 / posq;
+    const tsi = 1 / (ao - sfour);
+    const eta = ao * ecco * tsi;
+    const etasq = eta * eta;
+    const eeta = ecco * eta;
+    const psisq = Math.abs(1 - etasq);
+    const coef = qzms24 * Math.pow(tsi, 4);
+    const coef1 = coef / Math.pow(psisq, 3.5);
+    const cc2 = coef1 * no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq)) +
+      0.375 * j2 * tsi / psisq * con41 * (8 + 3 * etasq * (8 + etasq)));
+    const cc1 = bstar * cc2;
+    const cc3 = ecco > 1e-4 ? -2 * coef * tsi * j3oj2 * no * sinio / ecco : 0;
+    const x1mth2 = 1 - cosio2;
+    const cc4 = 2 * no * coef1 * ao * omeosq * (eta * (2 + 0.5 * etasq) + ecco * (0.5 + 2 * etasq) -
+      j2 * tsi / (ao * psisq) * (-3 * con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+        0.75 * x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * argpo)));
+    const cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * j2 * pinvsq * no;
+    const temp2 = 0.5 * temp1 * j2 * pinvsq;
+    const temp3 = -0.46875 * j4 * pinvsq * pinvsq * no;
+    const mdot = no + 0.5 * temp1 * rteosq * con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+    const argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4) +
+      temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    const nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+
+    const out = Object.assign(rec, {
+      no, ao, isimp, con41, x1mth2, x7thm1: 7 * cosio2 - 1, sinio, cosio,
+      eta, cc1, cc4, cc5, mdot, argpdot, nodedot,
+      omgcof: bstar * cc3 * Math.cos(argpo),
+      xmcof: ecco > 1e-4 ? -x2o3 * coef * bstar / eeta : 0,
+      nodecf: 3.5 * omeosq * xhdot1 * cc1,
+      t2cof: 1.5 * cc1,
+      xlcof: -0.25 * j3oj2 * sinio * (3 + 5 * cosio) /
+        (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : 1.5e-12),
+      aycof: -0.5 * j3oj2 * sinio,
+      delmo: Math.pow(1 + eta * Math.cos(mo), 3),
+      sinmao: Math.sin(mo)
+    });
+
+    if (!isimp) {
+      const cc1sq = cc1 * cc1;
+      const d2 = 4 * ao * tsi * cc1sq;
+      const temp = d2 * tsi * cc1 / 3;
+      const d3 = (17 * ao + sfour) * temp;
+      const d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * cc1;
+      Object.assign(out, {
+        d2, d3, d4,
+        t3cof: d2 + 2 * cc1sq,
+        t4cof: 0.25 * (3 * d3 + cc1 * (12 * d2 + 10 * cc1sq)),
+        t5cof: 0.2 * (3 * d4 + 12 * cc1 * d3 + 6 * d2 * d2 + 15 * cc1sq * (2 * d2 + cc1sq))
+      });
+    }
+    return out;
+  }
+
+  // Propagate `tsince` minutes from epoch → TEME position (km) and velocity (km/s)
+  function sgp4(rec, tsince) {
+    const { re, xke, j2, vkmpersec } = WGS72;
+    const t = tsince;
+    const t2 = t * t;
+
+    const xmdf = rec.mo + rec.mdot * t;
+    const argpdf = rec.argpo + rec.argpdot * t;
+    const nodedf = rec.nodeo + rec.nodedot * t;
+    let argpm = argpdf;
+    let mm = xmdf;
+    let nodem = nodedf + rec.nodecf * t2;
+    let tempa = 1 - rec.cc1 * t;
+    let tempe = rec.bstar * rec.cc4 * t;
+    let templ = rec.t2cof * t2;
+
+    if (!rec.isimp) {
+      const delomg = rec.omgcof * t;
+      const delm = rec.xmcof * (Math.pow(1 + rec.eta * Math.cos(xmdf), 3) - rec.delmo);
+      const temp = delomg + delm;
+      mm = xmdf + temp;
+      argpm = argpdf - temp;
+      const t3 = t2 * t, t4 = t3 * t;
+      tempa = tempa - rec.d2 * t2 - rec.d3 * t3 - rec.d4 * t4;
+      tempe = tempe + rec.bstar * rec.cc5 * (Math.sin(mm) - rec.sinmao);
+      templ = templ + rec.t3cof * t3 + t4 * (rec.t4cof + t * rec.t5cof);
+    }
+
+    const am = Math.pow(xke / rec.no, 2 / 3) * tempa * tempa;
+    const nm = xke / Math.pow(am, 1.5);
+    let em = rec.ecco - tempe;
+    if (em >= 1 || em < -0.001) return null; // decayed / diverged
+    if (em < 1e-6) em = 1e-6;
+    mm = mm + rec.no * templ;
+    let xlm = mm + argpm + nodem;
+
+    nodem %= TWO_PI;
+    argpm %= TWO_PI;
+    xlm %= TWO_PI;
+    mm = (xlm - argpm - nodem) % TWO_PI;
+
+    // Long-period periodics
+    const axnl = em * Math.cos(argpm);
+    let temp = 1 / (am * (1 - em * em));
+    const aynl = em * Math.sin(argpm) + temp * rec.aycof;
+    const xl = mm + argpm + nodem + temp * rec.xlcof * axnl;
+
+    // Solve Kepler's equation
+    const u = (xl - nodem) % TWO_PI;
+    let eo1 = u, tem5 = 9999.9, ktr = 1;
+    let sineo1 = 0, coseo1 = 0;
+    while (Math.abs(tem5) >= 1e-12 && ktr <= 10) {
+      sineo1 = Math.sin(eo1);
+      coseo1 = Math.cos(eo1);
+      tem5 = 1 - coseo1 * axnl - sineo1 * aynl;
+      tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+      if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0 ? 0.95 : -0.95;
+      eo1 += tem5;
+      ktr++;
+    }
+
+    // Short-period periodics
+    const ecose = axnl * coseo1 + aynl * sineo1;
+    const esine = axnl * sineo1 - aynl * coseo1;
+    const el2 = axnl * axnl + aynl * aynl;
+    const pl = am * (1 - el2);
+    if (pl < 0) return null;
+    const rl = am * (1 - ecose);
+    const rdotl = Math.sqrt(am) * esine / rl;
+    const rvdotl = Math.sqrt(pl) / rl;
+    const betal = Math.sqrt(1 - el2);
+    temp = esine / (1 + betal);
+    const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+    const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+    let su = Math.atan2(sinu, cosu);
+    const sin2u = (cosu + cosu) * sinu;
+    const cos2u = 1 - 2 * sinu * sinu;
+    temp = 1 / pl;
+    const temp1 = 0.5 * j2 * temp;
+    const temp2 = temp1 * temp;
+
+    const mrt = rl * (1 - 1.5 * temp2 * betal * rec.con41) + 0.5 * temp1 * rec.x1mth2 * cos2u;
+    su = su - 0.25 * temp2 * rec.x7thm1 * sin2u;
+    const xnode = nodem + 1.5 * temp2 * rec.cosio * sin2u;
+    const xinc = rec.inclo + 1.5 * temp2 * rec.cosio * rec.sinio * cos2u;
+    const mvt = rdotl - nm * temp1 * rec.x1mth2 * sin2u / xke;
+    const rvdot = rvdotl + nm * temp1 * (rec.x1mth2 * cos2u + 1.5 * rec.con41) / xke;
+    if (mrt < 1) return null; // below the surface
+
+    // Orientation vectors
+    const sinsu = Math.sin(su), cossu = Math.cos(su);
+    const snod = Math.sin(xnode), cnod = Math.cos(xnode);
+    const sini = Math.sin(xinc), cosi = Math.cos(xinc);
+    const xmx = -snod * cosi, xmy = cnod * cosi;
+    const ux = xmx * sinsu + cnod * cossu;
+    const uy = xmy * sinsu + snod * cossu;
+    const uz = sini * sinsu;
+    const vx = xmx * cossu - cnod * sinsu;
+    const vy = xmy * cossu - snod * sinsu;
+    const vz = sini * cossu;
+
+    return {
+      r: [mrt * ux * re, mrt * uy * re, mrt * uz * re],
+      v: [(mvt * ux + rvdot * vx) * vkmpersec, (mvt * uy + rvdot * vy) * vkmpersec, (mvt * uz + rvdot * vz) * vkmpersec]
+    };
+  }
+
+  // Greenwich mean sidereal time (rad) for a unix-ms instant (IAU-82)
+  function gmstAt(ms) {
+    const tut1 = (ms / 86400000 + 2440587.5 - 2451545.0) / 36525;
+    let g = -6.2e-6 * tut1 ** 3 + 0.093104 * tut1 * tut1 +
+      (876600 * 3600 + 8640184.812866) * tut1 + 67310.54841; // seconds
+    g = (g * DEG / 240) % TWO_PI;
+    return g < 0 ? g + TWO_PI : g;
+  }
+
+  // TEME/ECI position (km) → geodetic lat/lon (deg) and height (km) on WGS-84
+  function eciToGeodetic(r, gmst) {
+    const a = 6378.137, f = 1 / 298.257223563, e2 = f * (2 - f);
+    const [x, y, z] = r;
+    let lon = Math.atan2(y, x) - gmst;
+    lon = ((lon + Math.PI) % TWO_PI + TWO_PI) % TWO_PI - Math.PI;
+    const p = Math.sqrt(x * x + y * y);
+    let lat = Math.atan2(z, p), c = 1;
+    for (let i = 0; i < 20; i++) {
+      const prev = lat;
+      c = 1 / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+      lat = Math.atan2(z + a * c * e2 * Math.sin(lat), p);
+      if (Math.abs(lat - prev) < 1e-12) break;
+    }
+    const alt = p / Math.cos(lat) - a * c;
+    return { lat: lat / DEG, lon: lon / DEG, alt };
+  }
+
+  // Rotate an ECI (TEME) vector into Earth-fixed coordinates
+  function eciToEcef(r, gmst) {
+    const c = Math.cos(gmst), s = Math.sin(gmst);
+    return [c * r[0] + s * r[1], -s * r[0] + c * r[1], r[2]];
+  }
+
+  // Propagate to a unix-ms instant → { lat, lon, alt, r, v } or null if SGP4 fails
+  function propagateAt(rec, ms) {
+    const pv = sgp4(rec, (ms - rec.epochMs) / 60000);
+    if (!pv) return null;
+    return Object.assign(eciToGeodetic(pv.r, gmstAt(ms)), pv);
+  }
+
+  const api = { WGS72, parseTle, sgp4init, sgp4, gmstAt, eciToGeodetic, eciToEcef, propagateAt };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.IssSgp4 = api;
+})();
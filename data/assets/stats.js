@@ -0,0 +1,305 @@
+(function(){
+  // Statistics from the device's persisted track (/track.json): passes over home, distance, land/ocean, altitude.
+  // Charts are plain SVG so the page works from LittleFS with no CDN.
+  const R_EARTH_KM = 6371;
+  const PASS_MIN_EL = 10;       // deg at culmination: the dashboard's passes table uses the same cut
+  const DEFAULT_ALT_KM = 420;   // for fixes recorded before the track stored altitude
+  const DEFAULT_RADIUS_KM = 800;
+  const STEP_S = 10;            // /track.json thinning: one fix per 10 s keeps 24 h around 8600 points
+  const GAP_S = 300;            // a longer hole in the record ends a pass / isn't counted as time
+  const DIST_BIN_KM = 1000;
+  const DIST_MAX_KM = 20000;
+
+  async function getJSON(url){
+    const r = await fetch(url, {cache:'no-store'});
+    if(!r.ok) throw new Error(url+" http "+r.status);
+    return await r.json();
+  }
+
+  const $ = (id) => document.getElementById(id);
+  const DEG = Math.PI / 180;
+
+  function haversineKm(a, b){
+    const dLat = (b.lat - a.lat) * DEG, dLon = (b.lon - a.lon) * DEG;
+    const x = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * DEG) * Math.cos(b.lat * DEG) * Math.sin(dLon / 2) ** 2;
+    return R_EARTH_KM * 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+  }
+
+  // Elevation from the same WGS-84 observer geometry as the dashboard (geo.js)
+  const { lookAnglesGeo } = window.IssGeo;
+
+  // Units, clock, time zone and UI strings as chosen on the device (prefs.js; /config.json carries them)
+  const P = window.IssPrefs;
+  const fmtTime = (ts) => P.time(ts * 1000);
+  const fmtDay  = (ts) => P.date(ts * 1000);
+  const fmtDur  = (s) => s < 90 ? P.t('{s} s', {s: Math.round(s)})
+    : s < 3600 ? P.t('{m}m {s}s', {m: Math.floor(s / 60), s: Math.round(s % 60)})
+    : P.t('{h}h {m}m', {h: Math.floor(s / 3600), m: Math.round(s % 3600 / 60)});
+  const esc = (s) => String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+
+  // ---- landmask (assets/landmask.json: run-length rows, see its "layout") ----
+  let landmask = null;
+
+  async function loadLandmask(){
+    const j = await getJSON('/assets/landmask.json');
+    const w = Math.round(360 / j.res);
+    const cells = new Uint8Array(w * j.rows.length);
+    j.rows.forEach((runs, r) => {
+      let c = 0, land = 0;
+      for (const n of runs){
+        if (land) cells.fill(1, r * w + c, r * w + c + n);
+        c += n;
+        land ^= 1;
+      }
+    });
+    landmask = {res: j.res, w, h: j.rows.length, cells};
+  }
+
+  function isLand(lat, lon){
+    const m = landmask;
+    const r = Math.min(m.h - 1, Math.max(0, Math.floor((90 - lat) / m.res)));
+    const c = Math.min(m.w - 1, Math.max(0, Math.floor((lon + 180) / m.res)));
+    return m.cells[r * m.w + c] === 1;
+  }
+
+  // ---- analysis ----
+  // Seconds each fix stands for: up to the next one, but not across a hole in the record
+  function weights(pts){
+    return pts.map((p, i) => {
+      const next = pts[i + 1];
+      const dt = next ? next.ts - p.ts : STEP_S;
+      return dt > 0 && dt <= GAP_S ? dt : 0;
+    });
+  }
+
+  // Passes: runs of fixes above home's horizon → {start, end, closestKm, closestTs, maxEl}
+  function findPasses(pts){
+    const passes = [];
+    let cur = null, prevTs = 0;
+    for (const p of pts){
+      if (cur && p.ts - prevTs > GAP_S){ passes.push(cur); cur = null; }
+      prevTs = p.ts;
+      if (p.el < 0){
+        if (cur){ passes.push(cur); cur = null; }
+        continue;
+      }
+      if (!cur) cur = {start: p.ts, end: p.ts, closestKm: Infinity, closestTs: p.ts, maxEl: -90};
+      cur.end = p.ts;
+      if (p.dist < cur.closestKm){ cur.closestKm = p.dist; cur.closestTs = p.ts; }
+      cur.maxEl = Math.max(cur.maxEl, p.el);
+    }
+    if (cur) passes.push(cur);
+    return passes.filter(p => p.maxEl >= PASS_MIN_EL);
+  }
+
+  // Passes per day in the display time zone: [{label, total, near}]
+  function dailyCounts(passes, radiusKm){
+    const days = new Map();
+    for (const p of passes){
+      const key = fmtDay(p.closestTs); // windows are at most a day, so month + day is unique
+      if (!days.has(key)) days.set(key, {label: key, total: 0, near: 0});
+      const d = days.get(key);
+      d.total++;
+      if (p.closestKm <= radiusKm) d.near++;
+    }
+    return [...days.values()];
+  }
+
+  // Share of time (%) per distance-to-home bin
+  function distHistogram(pts, w){
+    const bins = new Array(DIST_MAX_KM / DIST_BIN_KM).fill(0);
+    let total = 0;
+    pts.forEach((p, i) => {
+      bins[Math.min(bins.length - 1, Math.floor(p.dist / DIST_BIN_KM))] += w[i];
+      total += w[i];
+    });
+    return bins.map(v => total ? v * 100 / total : 0);
+  }
+
+  function landShare(pts, w){
+    let land = 0, total = 0;
+    pts.forEach((p, i) => {
+      if (isLand(p.lat, p.lon)) land += w[i];
+      total += w[i];
+    });
+    return {land, total};
+  }
+
+  // ---- SVG charts ----
+  const CW = 400, CH = 160, PAD_L = 34, PAD_B = 22, PAD_T = 8, PAD_R = 6;
+
+  // bars: [{value, label, title, tick}] — tick shows the label under the bar
+  function barChart(bars, unit){
+    if (!bars.length) return '<p class="small text-muted mb-0">No data yet.</p>';
+    const max = Math.max(1, ...bars.map(b => b.value));
+    const bw = (CW - PAD_L - PAD_R) / bars.length;
+    const y = (v) => CH - PAD_B - (v / max) * (CH - PAD_B - PAD_T);
+    const body = bars.map((b, i) => {
+      const x = PAD_L + i * bw;
+      return `<rect class="chart-bar" x="${(x + 1).toFixed(1)}" y="${y(b.value).toFixed(1)}" width="${Math.max(1, bw - 2).toFixed(1)}"` +
+        ` height="${(CH - PAD_B - y(b.value)).toFixed(1)}"><title>${esc(b.title)}</title></rect>` +
+        (b.tick ? `<text class="chart-label" x="${(x + bw / 2).toFixed(1)}" y="${CH - 8}" text-anchor="middle">${esc(b.label)}</text>` : '');
+    }).join('');
+    return svgFrame(body, `${fmtNum(max)}${unit}`, `0${unit}`);
+  }
+
+  // pts: [{x (unix s), y}], broken into segments across holes in the record
+  function lineChart(pts, unit){
+    if (pts.length < 2) return '<p class="small text-muted mb-0">Not enough data yet.</p>';
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    const x0 = Math.min(...xs), x1 = Math.max(...xs);
+    let y0 = Math.min(...ys), y1 = Math.max(...ys);
+    if (y1 - y0 < 1){ y0 -= 0.5; y1 += 0.5; }
+    const px = (x) => PAD_L + (x - x0) / Math.max(1, x1 - x0) * (CW - PAD_L - PAD_R);
+    const py = (v) => CH - PAD_B - (v - y0) / (y1 - y0) * (CH - PAD_B - PAD_T);
+    let d = '';
+    pts.forEach((p, i) => {
+      const move = i === 0 || p.x - pts[i - 1].x > GAP_S;
+      d += `${move ? 'M' : 'L'}${px(p.x).toFixed(1)},${py(p.y).toFixed(1)}`;
+    });
+    const ticks = `<text class="chart-label" x="${PAD_L}" y="${CH - 8}">${fmtTime(x0)}</text>` +
+      `<text class="chart-label" x="${CW - PAD_R}" y="${CH - 8}" text-anchor="end">${fmtTime(x1)}</text>`;
+    return svgFrame(`<path class="chart-line" d="${d}"/>${ticks}`, `${fmtNum(y1)}${unit}`, `${fmtNum(y0)}${unit}`);
+  }
+
+  function svgFrame(body, topLabel, bottomLabel){
+    return `<svg viewBox="0 0 ${CW} ${CH}" class="stats-chart" role="img">` +
+      `<line class="chart-axis" x1="${PAD_L}" y1="${PAD_T}" x2="${PAD_L}" y2="${CH - PAD_B}"/>` +
+      `<line class="chart-axis" x1="${PAD_L}" y1="${CH - PAD_B}" x2="${CW - PAD_R}" y2="${CH - PAD_B}"/>` +
+      `<text class="chart-label" x="${PAD_L - 3}" y="${PAD_T + 8}" text-anchor="end">${esc(topLabel)}</text>` +
+      `<text class="chart-label" x="${PAD_L - 3}" y="${CH - PAD_B}" text-anchor="end">${esc(bottomLabel)}</text>` +
+      body + '</svg>';
+  }
+
+  const fmtNum = (v) => Number.isInteger(v) || Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(1);
+
+  // ---- page ----
+  let rangeMins = 1440;
+
+  function renderPasses(passes, radiusKm){
+    const el = $('passTable');
+    if (!el) return;
+    if (!passes.length){
+      el.innerHTML = '<p class="small text-muted mb-0">No passes over home in this window.</p>';
+      return;
+    }
+    el.innerHTML = `<table class='table table-sm mb-0'><thead><tr><th>${P.t('Closest')}</th><th>${P.t('Distance')}</th>` +
+      `<th>${P.t('Max El')}</th><th>${P.t('Above horizon')}</th></tr></thead><tbody>` +
+      passes.slice().reverse().map(p =>
+        `<tr><td>${fmtDay(p.closestTs)} ${fmtTime(p.closestTs)}</td>` +
+        `<td>${P.dist(p.closestKm)}${p.closestKm <= radiusKm ? ` <span class="badge text-bg-warning">${P.t('in radius')}</span>` : ''}</td>` +
+        `<td>${p.maxEl.toFixed(0)}°</td>` +
+        `<td>${fmtTime(p.start)}–${fmtTime(p.end)} <span class="text-muted">(${fmtDur(p.end - p.start + STEP_S)})</span></td></tr>`
+      ).join('') + '</tbody></table>';
+  }
+
+  // What the device still holds: it keeps the track within a fixed budget and drops the oldest half when full
+  function historyNote(tr){
+    if (!tr || !tr.budget) return '';
+    const kb = (b) => `${Math.round(b / 1024)} KB`;
+    const since = tr.from_ts
+      ? `since ${fmtTime(tr.from_ts)} ${fmtDay(tr.from_ts)} (${fmtDur(Math.max(0, Date.now() / 1000 - tr.from_ts))})`
+      : 'none recorded yet';
+    return `Device history: ${since} · one fix per ${tr.step_s} s, ${kb(tr.bytes)} of ${kb(tr.budget)} used; the oldest half is dropped when it fills up`;
+  }
+
+  function setHtml(id, html){
+    const el = $(id);
+    if (el) el.innerHTML = html;
+  }
+
+  async function refresh(){
+    setHtml('statsSummary', 'Loading…');
+    let track, cfg, radiusKm = DEFAULT_RADIUS_KM;
+    try {
+      [track, cfg] = await Promise.all([
+        getJSON(`/track.json?mins=${rangeMins}&step=${STEP_S}`),
+        getJSON('/config.json'),
+        landmask ? null : loadLandmask()
+      ]);
+    } catch(e) {
+      setHtml('statsSummary', `<span class="text-danger">Could not load the track: ${esc(e.message || e)}</span>`);
+      return;
+    }
+    try { radiusKm = (await getJSON('/settings.json')).radius_km || radiusKm; } catch(e){}
+    P.apply(cfg?.prefs);
+    setHtml('statsHistory', esc(historyNote(cfg?.track)));
+
+    const home = {lat: Number(cfg?.home?.lat) || 0, lon: Number(cfg?.home?.lon) || 0};
+    const pts = (Array.isArray(track) ? track : [])
+      .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon) && Number.isFinite(p.ts))
+      .map(p => {
+        const alt = Number.isFinite(p.alt) ? p.alt : null;
+        const dist = haversineKm(home, p);
+        const el = lookAnglesGeo(home, {lat: p.lat, lon: p.lon, alt: alt ?? DEFAULT_ALT_KM}).el;
+        return {ts: p.ts, lat: p.lat, lon: p.lon, alt, dist, el};
+      });
+    if (!pts.length){
+      setHtml('statsSummary', 'No fixes recorded in this window yet.');
+      ['passTable', 'dailyChart', 'distChart', 'landChart', 'altChart'].forEach(id => setHtml(id, ''));
+      return;
+    }
+
+    const w = weights(pts);
+    const passes = findPasses(pts);
+    const near = passes.filter(p => p.closestKm <= radiusKm);
+    const closest = passes.reduce((a, p) => (!a || p.closestKm < a.closestKm ? p : a), null);
+    const covered = w.reduce((a, b) => a + b, 0);
+
+    setHtml('statsSummary',
+      `${pts.length.toLocaleString()} fixes, ${fmtTime(pts[0].ts)} ${fmtDay(pts[0].ts)} → ${fmtTime(pts[pts.length - 1].ts)} ${fmtDay(pts[pts.length - 1].ts)}` +
+      ` (${(covered / 3600).toFixed(1)} h recorded) · ${passes.length} passes above ${PASS_MIN_EL}°, ${near.length} within ${P.dist(radiusKm)}` +
+      (closest ? ` · closest ${P.dist(closest.closestKm)} at ${fmtTime(closest.closestTs)}` : ''));
+
+    renderPasses(passes, radiusKm);
+
+    setHtml('dailyChart', barChart(dailyCounts(passes, radiusKm).map(d => ({
+      value: d.near, label: `${d.label}: ${d.near}/${d.total}`, tick: true,
+      title: `${d.label}: ${d.near} of ${d.total} passes within ${P.dist(radiusKm)}`
+    })), ''));
+
+    const hist = distHistogram(pts, w);
+    setHtml('distChart', barChart(hist.map((v, i) => ({
+      value: v, label: `${(P.distValue(i * DIST_BIN_KM) / 1000).toFixed(0)}k`, tick: i % 5 === 0,
+      title: `${P.num(P.distValue(i * DIST_BIN_KM))}–${P.dist((i + 1) * DIST_BIN_KM)}: ${v.toFixed(1)} % of the time`
+    })), '%'));
+
+    const {land, total} = landShare(pts, w);
+    const landPct = total ? land * 100 / total : 0;
+    setHtml('landChart',
+      `<div class="progress stats-land" role="img" aria-label="Land ${landPct.toFixed(0)} %, ocean ${(100 - landPct).toFixed(0)} %">` +
+      `<div class="progress-bar bg-success" style="width: ${landPct.toFixed(1)}%">${P.t('Land')} ${landPct.toFixed(0)} %</div>` +
+      `<div class="progress-bar bg-info" style="width: ${(100 - landPct).toFixed(1)}%">${P.t('Ocean')} ${(100 - landPct).toFixed(0)} %</div></div>` +
+      `<div class="small text-muted mt-2">${fmtDur(land)} over land, ${fmtDur(total - land)} over water (1° land mask)</div>`);
+
+    // Every Nth fix is plenty for a 400 px wide line
+    const withAlt = pts.filter(p => p.alt !== null);
+    const every = Math.max(1, Math.ceil(withAlt.length / 400));
+    const alts = withAlt.filter((p, i) => i % every === 0).map(p => ({x: p.ts, y: P.distValue(p.alt)}));
+    setHtml('altChart', alts.length
+      ? lineChart(alts, ' ' + P.distUnit())
+      : '<p class="small text-muted mb-0">No altitude in the record yet: the device stores it with each fix from this firmware on.</p>');
+  }
+
+  function main(){
+    // Offline app shell (sw.js); browsers only allow it on HTTPS or localhost
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+
+    document.querySelectorAll('#statsRange [data-mins]').forEach(btn => {
+      btn.onclick = () => {
+        document.querySelectorAll('#statsRange [data-mins]').forEach(b => b.classList.toggle('active', b === btn));
+        rangeMins = Number(btn.dataset.mins);
+        refresh();
+      };
+    });
+    const again = $('statsRefresh');
+    if (again) again.onclick = () => refresh();
+    refresh();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', main);
+  } else {
+    main();
+  }
+})();
@@ -0,0 +1,105 @@
+// Service Worker: makes the web UI an installable app that still opens without the device.
+//  - App shell (pages, scripts, styles and bundled data from LittleFS): network first, so a reachable device always
+//    serves its current files; the cached copy answers when it isn't. The vendored libraries never change, so they
+//    come from the cache first.
+//  - OpenStreetMap tiles you've already viewed: cache first; "?cached" tile URLs (the "Cached tiles" layer) never
+//    touch the network.
+// Live data (/iss.json, /track.json, /events, …) is never cached here; app.js keeps the last-known state in IndexedDB.
+const SHELL_CACHE = 'iss-shell-v4';
+const SHELL_URLS = [
+  '/index.html', '/setup.html', '/stats.html', '/embed.html', '/manifest.webmanifest', '/favicon.ico',
+  '/assets/app.js', '/assets/prefs.js', '/assets/sgp4.js', '/assets/geo.js', '/assets/net.js', '/assets/setup.js',
+  '/assets/stats.js', '/assets/style.css', '/assets/cities.json', '/assets/landmask.json', '/assets/icon-192.png', '/assets/icon-512.png',
+  '/assets/bootstrap.min.css', '/assets/bootstrap.bundle.min.js', '/assets/leaflet.css', '/assets/leaflet.js',
+  '/assets/leaflet.terminator'
+];
+const VENDOR_URLS = [
+  '/assets/bootstrap.min.css', '/assets/bootstrap.bundle.min.js', '/assets/leaflet.css', '/assets/leaflet.js',
+  '/assets/leaflet.terminator'
+];
+// Paths the device answers with one of the shell pages
+const PAGE_ALIASES = { '/': '/index.html', '/setup': '/setup.html' };
+const NETWORK_TIMEOUT_MS = 4000; // then fall back to the cached shell
+
+const TILE_CACHE = 'iss-tiles-v1';
+const TILE_CACHE_MAX = 1500;   // entries; oldest are dropped first
+const TILE_TRIM_EVERY = 50;    // check the size every N new tiles
+
+let putsSinceTrim = 0;
+
+// One failed file (e.g. no LittleFS upload yet) shouldn't stop the rest from being cached
+self.addEventListener('install', (e) => e.waitUntil((async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(SHELL_URLS.map(u => cache.add(new Request(u, { cache: 'reload' })).catch(() => { /* next visit */ })));
+  await self.skipWaiting();
+})()));
+
+self.addEventListener('activate', (e) => e.waitUntil((async () => {
+  const names = await caches.keys();
+  await Promise.all(names.filter(n => n.startsWith('iss-shell-') && n !== SHELL_CACHE).map(n => caches.delete(n)));
+  await self.clients.claim();
+})()));
+
+self.addEventListener('fetch', (e) => {
+  if (e.request.method !== 'GET') return;
+  const url = new URL(e.request.url);
+  if (/(^|\.)tile\.openstreetmap\.org$/.test(url.hostname)) {
+    e.respondWith(tileResponse(url));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+  const path = url.pathname;
+  if (VENDOR_URLS.includes(path)) e.respondWith(vendorResponse(path));
+  else if (SHELL_URLS.includes(path) || PAGE_ALIASES[path]) e.respondWith(shellResponse(path));
+});
+
+// Cached under the path without its query (?kiosk=1, embed options), so every variant of a page works offline
+async function shellResponse(path) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const ctl = new AbortController();
+    const timer = setTimeout(() => ctl.abort(), NETWORK_TIMEOUT_MS);
+    const res = await fetch(path, { cache: 'no-store', signal: ctl.signal }).finally(() => clearTimeout(timer));
+    if (res.ok) await cache.put(path, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(path) || (PAGE_ALIASES[path] && await cache.match(PAGE_ALIASES[path]));
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function vendorResponse(path) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(path);
+  if (hit) return hit;
+  const res = await fetch(path);
+  if (res.ok) await cache.put(path, res.clone());
+  return res;
+}
+
+async function tileResponse(url) {
+  const cacheOnly = url.searchParams.has('cached');
+  // One cache entry per tile, whichever a/b/c subdomain served it
+  const key = `https://tile.openstreetmap.org${url.pathname}`;
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(key);
+  if (hit) return hit;
+  if (cacheOnly) return new Response('', { status: 504, statusText: 'tile not cached' });
+
+  // OSM serves tiles with CORS, so we get a real (non-opaque) response to store
+  const res = await fetch(key, { mode: 'cors' });
+  if (res.ok) {
+    await cache.put(key, res.clone());
+    if (++putsSinceTrim >= TILE_TRIM_EVERY) {
+      putsSinceTrim = 0;
+      trimCache(cache).catch(() => { /* best effort */ });
+    }
+  }
+  return res;
+}
+
+async function trimCache(cache) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - TILE_CACHE_MAX; i++) await cache.delete(keys[i]);
+}
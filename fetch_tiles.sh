@@ -0,0 +1,96 @@
+#!/bin/bash
+
+# ========================================
+# Offline Basemap Tiles for M5StickC Plus
+# ========================================
+# Downloads a low-zoom OpenStreetMap world basemap into data/tiles/
+# so the web UI can draw a map from /tiles/{z}/{x}/{y} without internet
+# (captive-portal mode, isolated networks). Run ./upload_littlefs.sh afterwards.
+#
+# Zoom 0-2 is 21 tiles (~250 KB of LittleFS); each extra level is 4x more.
+# The deepest zoom is capped by TILE_MAX_ZOOM in the sketch, and the
+# result is checked against the LittleFS partition (upload_littlefs.sh --check).
+# Please keep it small: https://operations.osmfoundation.org/policies/tiles/
+#
+# Usage: ./fetch_tiles.sh [max_zoom]   (default: TILE_MAX_ZOOM)
+
+set -e  # Exit on any error
+
+# ============ CONFIGURATION ============
+SKETCH="./ISS_Tracker_M5StickCPlus.ino"
+ZOOM_LIMIT=$(sed -n 's/^constexpr uint8_t TILE_MAX_ZOOM = \([0-9]*\);.*/\1/p' "$SKETCH")
+MAX_ZOOM="${1:-$ZOOM_LIMIT}"
+TILE_URL="https://tile.openstreetmap.org"
+TILES_DIR="./data/tiles"
+USER_AGENT="ISS_Tracker_M5StickCPlus offline basemap (one-time download)"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# ============ FUNCTIONS ============
+
+print_step() {
+    echo -e "\n${GREEN}▶${NC} $1"
+}
+
+print_error() {
+    echo -e "${RED}✗ ERROR:${NC} $1"
+}
+
+print_success() {
+    echo -e "${GREEN}✓${NC} $1"
+}
+
+print_warning() {
+    echo -e "${YELLOW}⚠${NC} $1"
+}
+
+# ============ MAIN SCRIPT ============
+
+echo -e "${BLUE}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
+echo -e "${BLUE}  Offline Basemap Tiles (zoom 0-${MAX_ZOOM})${NC}"
+echo -e "${BLUE}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
+
+if ! [[ "$ZOOM_LIMIT" =~ ^[0-9]+$ ]]; then
+    print_error "Couldn't read TILE_MAX_ZOOM from $SKETCH"
+    exit 1
+fi
+if ! [[ "$MAX_ZOOM" =~ ^[0-9]+$ ]] || [[ "$MAX_ZOOM" -gt "$ZOOM_LIMIT" ]]; then
+    print_error "max_zoom must be 0-${ZOOM_LIMIT} (TILE_MAX_ZOOM in the sketch; the device serves nothing deeper)"
+    exit 1
+fi
+
+print_step "Downloading tiles into $TILES_DIR..."
+COUNT=0
+for ((z = 0; z <= MAX_ZOOM; z++)); do
+    N=$((1 << z))
+    for ((x = 0; x < N; x++)); do
+        mkdir -p "$TILES_DIR/$z/$x"
+        for ((y = 0; y < N; y++)); do
+            OUT="$TILES_DIR/$z/$x/$y.png"
+            if [[ -s "$OUT" ]]; then
+                continue
+            fi
+            curl -fsS -A "$USER_AGENT" -o "$OUT" "$TILE_URL/$z/$x/$y.png"
+            COUNT=$((COUNT + 1))
+            sleep 0.2
+        done
+    done
+done
+print_success "Downloaded $COUNT new tiles"
+
+TOTAL=$(du -sh "$TILES_DIR" | awk '{print $1}')
+print_success "Basemap size: $TOTAL"
+
+print_step "Checking the web UI and tiles fit in LittleFS..."
+if ! ./upload_littlefs.sh --check > /dev/null; then
+    print_error "Zoom 0-${MAX_ZOOM} doesn't fit next to the web UI; delete $TILES_DIR and run again with a lower max_zoom"
+    exit 1
+fi
+print_success "Fits the LittleFS partition"
+echo -e "\n${BLUE}Next step:${NC} ./upload_littlefs.sh"
+echo ""
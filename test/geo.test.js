@@ -0,0 +1,63 @@
+// Observer geometry: look angles, slant range, range rate and Doppler. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { geodeticToEcef, lookAngles, lookAnglesGeo, rangeRate, dopplerHz } = require('../data/assets/geo.js');
+
+const DEG = Math.PI / 180;
+const ANGLE_TOL_DEG = 1e-6;
+const RANGE_TOL_KM = 1e-6;
+
+// Unit vector pointing north along the local horizon at (lat, lon)
+function northAt(lat, lon) {
+  const φ = lat * DEG, λ = lon * DEG;
+  return [-Math.sin(φ) * Math.cos(λ), -Math.sin(φ) * Math.sin(λ), Math.cos(φ)];
+}
+
+test('geodeticToEcef puts the equator/prime meridian on the x axis at the WGS-84 radius', () => {
+  const [x, y, z] = geodeticToEcef(0, 0, 0);
+  assert.ok(Math.abs(x - 6378.137) < RANGE_TOL_KM);
+  assert.ok(Math.abs(y) < RANGE_TOL_KM && Math.abs(z) < RANGE_TOL_KM);
+});
+
+for (const obs of [{ lat: 0, lon: 0 }, { lat: 51.5, lon: -0.12 }, { lat: -33.9, lon: 151.2, alt: 0.05 }]) {
+  test(`a satellite straight above ${obs.lat}, ${obs.lon} is at el 90° and range = its height`, () => {
+    const alt = 420;
+    const la = lookAnglesGeo(obs, { lat: obs.lat, lon: obs.lon, alt: alt + (obs.alt || 0) });
+    assert.ok(Math.abs(la.el - 90) < ANGLE_TOL_DEG, `el ${la.el}`);
+    assert.ok(Math.abs(la.range - alt) < RANGE_TOL_KM, `range ${la.range}`);
+  });
+}
+
+test('an object due north on the horizon is at az 0°, el 0°', () => {
+  const obs = { lat: 48.1, lon: 11.6 };
+  const o = geodeticToEcef(obs.lat, obs.lon);
+  const n = northAt(obs.lat, obs.lon);
+  const la = lookAngles(obs, o.map((v, i) => v + 1000 * n[i]));
+  assert.ok(Math.abs(la.el) < ANGLE_TOL_DEG, `el ${la.el}`);
+  assert.ok(la.az < ANGLE_TOL_DEG || la.az > 360 - ANGLE_TOL_DEG, `az ${la.az}`);
+  assert.ok(Math.abs(la.range - 1000) < RANGE_TOL_KM);
+});
+
+test('azimuth runs clockwise from north: east is 90°', () => {
+  const obs = { lat: 0, lon: 0 };
+  const la = lookAngles(obs, geodeticToEcef(0, 0).map((v, i) => v + 1000 * [0, 1, 0][i]));
+  assert.ok(Math.abs(la.az - 90) < ANGLE_TOL_DEG, `az ${la.az}`);
+});
+
+test('range rate is negative and Doppler positive while approaching, the reverse while receding', () => {
+  const obs = { lat: 40, lon: -75 };
+  // A satellite at 400 km moving north along the meridian, 1° (~111 km) per 15 s
+  const at = (lat) => lookAnglesGeo(obs, { lat, lon: -75, alt: 400 }).range;
+
+  const approaching = rangeRate(at(30), at(31), 15);
+  assert.ok(approaching < 0, `approaching ${approaching}`);
+  assert.ok(dopplerHz(145.8e6, approaching) > 0);
+
+  const receding = rangeRate(at(49), at(50), 15);
+  assert.ok(receding > 0, `receding ${receding}`);
+  assert.ok(dopplerHz(145.8e6, receding) < 0);
+});
+
+test('Doppler shift is the carrier times v/c', () => {
+  assert.ok(Math.abs(dopplerHz(145.8e6, -7) - 145.8e6 * 7 / 299792.458) < 1e-6);
+});
@@ -0,0 +1,249 @@
+// Network layer: backoff, task scheduling and request dedupe against a stubbed fetch and fake timers.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNet } = require('../data/assets/net.js');
+
+const POLL_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// Fake clock: timers fire only when tick() moves time past them
+function fakeClock() {
+  let now = 0;
+  let seq = 0;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimer: (fn, ms) => {
+      timers.set(++seq, { fn, at: now + ms });
+      return seq;
+    },
+    clearTimer: (id) => timers.delete(id),
+    pending: () => timers.size,
+    // Run due timers in order, letting the promises they start settle in between
+    async tick(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        due[1].fn();
+        await settle();
+      }
+      now = end;
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function response(status, body, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (k) => (k in headers ? headers[k] : null) },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function makeNet(fetch, clock, random = () => 1, isHidden = () => false) {
+  return createNet({
+    fetch,
+    now: clock.now,
+    setTimer: clock.setTimer,
+    clearTimer: clock.clearTimer,
+    random,
+    isHidden,
+    baseUrl: 'http://device.local/',
+    pollMs: POLL_MS,
+    backoffMaxMs: BACKOFF_MAX_MS
+  });
+}
+
+test('backoffMs doubles per failure, stays within equal jitter and stops at the cap', () => {
+  const clock = fakeClock();
+  const hi = makeNet(null, clock, () => 1);
+  const lo = makeNet(null, clock, () => 0);
+  assert.equal(hi.backoffMs(1000, 1), 2000);
+  assert.equal(hi.backoffMs(1000, 2), 4000);
+  assert.equal(hi.backoffMs(1000, 3), 8000);
+  assert.equal(lo.backoffMs(1000, 3), 4000);
+  assert.equal(hi.backoffMs(1000, 30), BACKOFF_MAX_MS);
+  assert.equal(lo.backoffMs(1000, 30), BACKOFF_MAX_MS / 2);
+  assert.equal(hi.backoffMs(1000, 30, 60000), 60000);
+});
+
+test('a failing task backs off, then runs on its normal period again after a success', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = fakeClock();
+  const net = makeNet(null, clock);
+  const outcomes = [false, false, false, true, true];
+  const ranAt = [];
+  const task = net.createTask('Test', async () => {
+    ranAt.push(clock.now());
+    if (!outcomes.shift()) throw new Error('down');
+  }, 1000);
+
+  net.startTask(task, 0);
+  await clock.tick(0);
+  assert.equal(task.fails, 1);
+  assert.equal(task.nextAt, 2000);
+  await clock.tick(2000);
+  assert.equal(task.fails, 2);
+  assert.equal(task.nextAt, 2000 + 4000);
+  await clock.tick(4000);
+  assert.equal(task.fails, 3);
+  await clock.tick(8000); // succeeds
+  assert.equal(task.fails, 0);
+  assert.equal(task.lastError, null);
+  assert.equal(task.nextAt, clock.now() + 1000);
+  await clock.tick(1000);
+  assert.deepEqual(ranAt, [0, 2000, 6000, 14000, 15000]);
+  net.stopTask(task);
+  assert.equal(clock.pending(), 0);
+});
+
+test('a hidden tab skips due runs; resumeTasks queues them again with what is left of their delay', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = fakeClock();
+  let hidden = false;
+  const net = makeNet(null, clock, () => 1, () => hidden);
+  let runs = 0;
+  const task = net.createTask('Test', async () => {
+    runs++;
+    throw new Error('down');
+  }, 1000);
+
+  net.startTask(task, 0);
+  await clock.tick(0);
+  assert.equal(runs, 1);
+  assert.equal(task.nextAt, 2000); // backing off
+
+  hidden = true;
+  await clock.tick(500);
+  net.resumeTasks(); // still hidden: nothing to do
+  assert.equal(clock.pending(), 1);
+  await clock.tick(1500); // due at 2000 but hidden
+  assert.equal(runs, 1);
+  assert.equal(clock.pending(), 0);
+  assert.equal(task.timer, null);
+
+  hidden = false;
+  net.resumeTasks(); // overdue: runs right away
+  assert.equal(task.nextAt, clock.now());
+  await clock.tick(0);
+  assert.equal(runs, 2);
+  assert.equal(task.fails, 2);
+  assert.equal(task.nextAt, clock.now() + 4000);
+
+  hidden = true;
+  await clock.tick(4000);
+  assert.equal(runs, 2);
+  hidden = false;
+  await clock.tick(1000);
+  net.resumeTasks();
+  assert.equal(task.nextAt, clock.now()); // the backoff ran out while hidden
+  net.stopTask(task);
+});
+
+test('resumeTasks leaves a task that is not due yet on its backoff', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = fakeClock();
+  let hidden = false;
+  const net = makeNet(null, clock, () => 1, () => hidden);
+  let runs = 0;
+  const task = net.createTask('Test', async () => {
+    runs++;
+    throw new Error('down');
+  }, 1000);
+
+  net.startTask(task, 0);
+  await clock.tick(0);
+  await clock.tick(2000);
+  assert.equal(task.nextAt, 6000);
+
+  hidden = true;
+  await clock.tick(1000);
+  hidden = false;
+  net.resumeTasks();
+  assert.equal(task.nextAt, 6000);
+  assert.equal(clock.pending(), 1);
+  await clock.tick(2999);
+  assert.equal(runs, 2);
+  await clock.tick(1);
+  assert.equal(runs, 3);
+  net.stopTask(task);
+});
+
+test('Retry-After wins over a shorter backoff'
+, async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = fakeClock();
+  const net = makeNet(async () => response(503, null, { 'Retry-After': '30' }), clock);
+  const task = net.createTask('Test', () => net.getData('/iss.json', 'iss'), 1000);
+  net.startTask(task, 0);
+  await clock.tick(0);
+  assert.equal(task.lastError.status, 503);
+  assert.equal(task.nextAt, 30000);
+  net.stopTask(task);
+});
+
+test('an error keeps the last good data: getData rejects instead of handing back the error body', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = fakeClock();
+  const replies = [response(200, { lat: 1 }), response(500, { err: 'busy' })];
+  const net = makeNet(async () => replies.shift(), clock);
+  let last = null;
+  const task = net.createTask('Live fetch', async () => {
+    last = await net.getData('/iss.json', 'iss');
+  }, POLL_MS);
+
+  net.startTask(task, 0);
+  await clock.tick(0);
+  assert.deepEqual(last, { lat: 1 });
+  await clock.tick(POLL_MS);
+  assert.deepEqual(last, { lat: 1 });
+  assert.equal(task.fails, 1);
+  assert.match(task.lastError.message, /iss http 500/);
+  net.stopTask(task);
+});
+
+test('concurrent GETs of the same URL share one request; later ones fetch again', async () => {
+  const clock = fakeClock();
+  let calls = 0;
+  const pending = [];
+  const net = makeNet(() => {
+    const n = ++calls;
+    return new Promise(resolve => pending.push(() => resolve(response(200, { n }))));
+  }, clock);
+
+  const a = net.getData('/iss.json', 'iss');
+  const b = net.getData('/iss.json', 'iss');
+  const c = net.getData('/iss.json', 'iss', 'text');
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+  assert.equal(calls, 2);
+  pending.forEach(release => release());
+  assert.deepEqual(await a, { n: 1 });
+  assert.deepEqual(await b, { n: 1 });
+  net.getData('/iss.json', 'iss');
+  assert.equal(calls, 3);
+});
+
+test('a 429 leaves the whole host alone until its backoff runs out', async () => {
+  const clock = fakeClock();
+  let calls = 0;
+  const net = makeNet(async () => {
+    calls++;
+    return calls === 1 ? response(429, null, { 'Retry-After': '10' }) : response(200, {});
+  }, clock);
+
+  await assert.rejects(net.getData('/iss.json', 'iss'), { status: 429 });
+  await assert.rejects(net.getData('/tle.json', 'tle'), { message: 'tle backing off', retryAfterMs: 10000 });
+  assert.equal(calls, 1);
+  await clock.tick(10000);
+  assert.deepEqual(await net.getData('/tle.json', 'tle'), {});
+  assert.equal(calls, 2);
+});
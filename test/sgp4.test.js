@@ -0,0 +1,57 @@
+// SGP4 against the reference vectors published with Vallado et al., "Revisiting Spacetrack Report #3"
+// (AIAA 2006-6753, tcppver.out). Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTle, sgp4, propagateAt } = require('../data/assets/sgp4.js');
+
+// The published positions are given to 1e-8 km; a WGS-72, IEEE-double port agrees to well under a metre.
+const POS_TOL_KM = 1e-3;
+const VEL_TOL_KMS = 1e-6;
+
+// Satellite 00005 (Vanguard 1): eccentric (e ≈ 0.186) near-Earth orbit, the first case in the verification set
+const TLE_00005 = [
+  '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+  '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'
+];
+const VECTORS_00005 = [
+  { t: 0, r: [7022.46529266, -1400.08296755, 0.03995155], v: [1.893841015, 6.405893759, 4.534807250] },
+  { t: 360, r: [-7154.03120202, -3783.17682504, -3536.19412294], v: [4.741887409, -4.151817765, -2.093935425] },
+  { t: 720, r: [-7134.59340119, 6531.68641334, 3260.27186483], v: [-4.113793027, -2.911922039, -2.557327851] },
+  { t: 1080, r: [5568.53901181, 4492.06992591, 3863.87641983], v: [-4.209106476, 5.159719888, 2.744852980] },
+  { t: 1440, r: [-938.55923943, -6268.18748831, -4294.02924751], v: [7.536105209, -0.427127707, 0.989878080] }
+];
+
+function assertClose(actual, expected, tol, what) {
+  actual.forEach((x, i) => {
+    assert.ok(Math.abs(x - expected[i]) <= tol, `${what}[${i}]: ${x} vs ${expected[i]} (tolerance ${tol})`);
+  });
+}
+
+test('parseTle reads the epoch, elements and B* of 00005', () => {
+  const rec = parseTle(...TLE_00005);
+  assert.equal(rec.epochMs, Date.UTC(2000, 0, 1) + (179.78495062 - 1) * 86400000);
+  assert.ok(Math.abs(rec.ecco - 0.1859667) < 1e-12);
+  assert.ok(Math.abs(rec.bstar - 0.28098e-4) < 1e-12);
+});
+
+test('parseTle rejects lines that are not a TLE', () => {
+  assert.throws(() => parseTle('hello', 'world'), /bad tle/);
+  assert.throws(() => parseTle(TLE_00005[1], TLE_00005[0]), /bad tle/);
+});
+
+for (const { t, r, v } of VECTORS_00005) {
+  test(`sgp4 matches the 00005 reference vector at t = ${t} min`, () => {
+    const pv = sgp4(parseTle(...TLE_00005), t);
+    assert.ok(pv, 'propagation failed');
+    assertClose(pv.r, r, POS_TOL_KM, 'r');
+    assertClose(pv.v, v, VEL_TOL_KMS, 'v');
+  });
+}
+
+test('propagateAt gives a geodetic point consistent with the TEME radius', () => {
+  const rec = parseTle(...TLE_00005);
+  const p = propagateAt(rec, rec.epochMs);
+  assert.ok(Math.abs(p.lat) <= 34.3, 'latitude can\'t exceed the inclination');
+  assert.ok(p.lon >= -180 && p.lon <= 180);
+  assert.ok(Math.abs(p.alt + 6378 - Math.hypot(...VECTORS_00005[0].r)) < 25);
+});
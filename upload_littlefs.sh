@@ -6,8 +6,15 @@
 # This script creates and uploads a LittleFS filesystem image
 # from the data/ folder to your M5StickC Plus
 #
+# Text assets (HTML, JS, CSS, JSON) go into the image gzipped: the
+# sketch serves <file>.gz with Content-Encoding: gzip, which keeps the
+# web UI to about a third of its size on flash.
+#
 # Requirements (install via Homebrew):
 #   brew install mklittlefs esptool
+#
+# Usage: ./upload_littlefs.sh [--check]
+#   --check  only report whether data/ fits the partition (no device needed)
 
 set -e  # Exit on any error
 
@@ -20,6 +27,11 @@ PARTITION_SIZE="917504"                # Size for huge_app partition
 BLOCK_SIZE="4096"
 PAGE_SIZE="256"
 PARTITION_OFFSET="0x310000"            # huge_app LittleFS offset
+TRACK_BUDGET="196608"                  # kept free for the track: TRACK_BUDGET_BYTES in the sketch
+GZIP_TYPES="html js css json webmanifest ico terminator" # extensions stored as .gz
+STAGE_DIR=""                           # Temporary copy of data/ as it goes into the image
+CHECK_ONLY=""
+[[ "$1" == "--check" ]] && CHECK_ONLY=1
 
 # Colors for output
 RED='\033[0;31m'
@@ -79,6 +91,43 @@ check_tools() {
     print_success "Tools found: mklittlefs, esptool"
 }
 
+# Copy data/ into a temporary folder, gzipping the text assets
+stage_data() {
+    STAGE_DIR=$(mktemp -d)
+    trap 'rm -rf "$STAGE_DIR"' EXIT
+    cp -R "$DATA_DIR"/. "$STAGE_DIR"
+    local ext
+    for ext in $GZIP_TYPES; do
+        find "$STAGE_DIR" -type f -name "*.$ext" -exec gzip -9 -n {} \;
+    done
+}
+
+# LittleFS footprint estimate: each file takes whole blocks, plus a block per directory and the two superblocks
+fs_usage() {
+    local total=0 size f
+    while IFS= read -r -d '' f; do
+        size=$(wc -c < "$f")
+        total=$((total + (size + BLOCK_SIZE - 1) / BLOCK_SIZE * BLOCK_SIZE))
+    done < <(find "$1" -type f -print0)
+    local dirs
+    dirs=$(find "$1" -type d | wc -l)
+    echo $((total + (dirs + 2) * BLOCK_SIZE))
+}
+
+# Stop before building an image that can't hold the files plus what the device writes at runtime:
+# the track budget, and a few blocks for /tle.json and the track files' partial blocks
+check_fits() {
+    local used room
+    used=$(fs_usage "$STAGE_DIR")
+    room=$((PARTITION_SIZE - TRACK_BUDGET - 4 * BLOCK_SIZE))
+    if [[ "$used" -gt "$room" ]]; then
+        print_error "data/ needs ~$((used / 1024)) KB but LittleFS has $((room / 1024)) KB once the track's $((TRACK_BUDGET / 1024)) KB is set aside"
+        print_error "Bundle fewer tiles (./fetch_tiles.sh with a lower zoom) or remove files from data/"
+        exit 1
+    fi
+    print_success "data/ needs ~$((used / 1024)) KB of $((room / 1024)) KB ($((TRACK_BUDGET / 1024)) KB more is kept for the track)"
+}
+
 # Auto-detect serial port
 detect_port() {
     if [[ -e "$PORT" ]]; then
@@ -124,6 +173,14 @@ FILE_COUNT=$(find "$DATA_DIR" -type f | wc -l | tr -d ' ')
 print_success "Found $FILE_COUNT files in $DATA_DIR"
 ls -lh "$DATA_DIR"
 
+# Step 1b: Stage the files (text assets gzipped) and check they fit
+print_step "Checking it fits the LittleFS partition..."
+stage_data
+check_fits
+if [[ -n "$CHECK_ONLY" ]]; then
+    exit 0
+fi
+
 # Step 2: Check tools are installed
 print_step "Checking required tools..."
 check_tools
@@ -136,7 +193,7 @@ detect_port
 print_step "Creating LittleFS image..."
 rm -f "$IMAGE_FILE"
 
-mklittlefs -c "$DATA_DIR" -b "$BLOCK_SIZE" -p "$PAGE_SIZE" -s "$PARTITION_SIZE" "$IMAGE_FILE"
+mklittlefs -c "$STAGE_DIR" -b "$BLOCK_SIZE" -p "$PAGE_SIZE" -s "$PARTITION_SIZE" "$IMAGE_FILE"
 
 if [[ ! -f "$IMAGE_FILE" ]]; then
     print_error "Failed to create LittleFS image"